@@ -0,0 +1,181 @@
+'use strict';
+
+var _ = require('lodash'),
+  async = require('async'),
+  RequestHandle = require('../../handle'),
+  dryRunPlan = require('../../plan').dryRunPlan;
+
+module.exports = function (Connection) {
+  Connection.addInstanceMethods(
+    /** @lends Connection.prototype */
+    {
+      /**
+       * An API call to make in {@link Connection#bulk}.
+       * @typedef {Object} BulkOperation
+       * @property {string} method - The name of the API method, e.g. {@linkcode deleteFile}.
+       * @property {Object} [params] - Its parameters by name, except {@linkcode done}, as in the options-object
+       * form of the API methods, e.g. {@linkcode {id: 1234, headers: {'If-Match': '3'}}}. A
+       * {@linkcode config} is merged over the one of the bulk call.
+       */
+
+      /**
+       * Options for {@link Connection#bulk}.
+       * @typedef {Object} OptsBulk
+       * @property {number} [concurrency] - How many operations to run at once. Their requests still go through
+       * the connection's queue. Defaults to {@linkcode 4}.
+       */
+
+      /**
+       * The outcome of a {@link BulkOperation}.
+       * @typedef {Object} BulkResult
+       * @property {number} index - The operation's index in the list.
+       * @property {string} method - The API method.
+       * @property {Object} params - Its parameters.
+       * @property {*} [result] - What the call returned, if it succeeded.
+       * @property {Error} [error] - Why the call failed, if it did: a {@link BoxError} for the errors returned by
+       * Box, e.g. a {@link BoxNotFoundError}.
+       * @property {number} retries - The number of times its requests were retried.
+       */
+
+      /**
+       * The outcome of {@link Connection#bulk}.
+       * @typedef {Object} BulkReport
+       * @property {Array.<BulkResult>} results - The results, in the order of the operations.
+       * @property {number} succeeded - The number of operations that succeeded.
+       * @property {number} failed - The number of operations that failed.
+       * @property {number} retries - The number of retries of all the operations.
+       */
+
+      /**
+       * Runs many API calls, such as deleting, moving or copying hundreds of items, a few at a time. A failed
+       * call does not stop the others: its typed error is reported in its {@link BulkResult}, and the bulk
+       * call itself only fails for invalid operations, before any is run. Cancelling the bulk call's handle
+       * cancels the calls in flight, and fails the ones not started yet. With {@linkcode config.dry_run}, no
+       * call is made, and the callback gets a {@link DryRunPlan} listing them.
+       * @summary Run API Calls in Bulk.
+       * @param {Array.<BulkOperation>} operations - The calls to make.
+       * @param {?OptsBulk} opts - Options.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when all the calls have
+       * returned. Called back with a {@link BulkReport}.
+       * @param {?RequestConfig} [config] - Configure the behaviour of the calls.
+       * @example
+       * connection.bulk([{
+       *   method: 'deleteFile',
+       *   params: {id: 1234}
+       * }, {
+       *   method: 'updateFile',
+       *   params: {id: 5678, fields: {tags: ['archived']}}
+       * }], {concurrency: 8}, function (err, report) {
+       *   _.each(_.filter(report.results, 'error'), function (result) {
+       *     console.log(result.method, result.params.id, result.error.message);
+       *   });
+       * });
+       */
+      bulk: function (operations, opts, done, config) {
+        if (!_.isArray(operations)) {
+          return done(new Error('operations must be an array.'));
+        }
+
+        var self = this,
+          invalid = _.findIndex(operations, function (operation) {
+            return !self._isBulkOperation(operation);
+          }),
+          handles = [],
+          results, subscription;
+
+        if (invalid !== -1) {
+          return done(new Error('Invalid operation at index ' + invalid + ': method must name an API method ' +
+            'taking a callback, and params its other parameters.'));
+        }
+
+        results = _.map(operations, function (operation, index) {
+          return {
+            index: index,
+            method: operation.method,
+            params: operation.params || {},
+            retries: 0
+          };
+        });
+
+        if (config && config.dry_run) {
+          return done(null, dryRunPlan(_.map(results, function (result) {
+            return {
+              action: result.method,
+              path: null,
+              id: _.has(result.params, 'id') ? String(result.params.id) : null,
+              reason: 'operation ' + (result.index + 1) + ' of ' + results.length
+            };
+          })));
+        }
+
+        subscription = self.on('request.retry', function (retry) {
+          //Transfers take over as the handle of their requests, with the operation's handle as their parent.
+          var index = _.findIndex(handles, function (handle) {
+            return retry.handle && (retry.handle === handle || retry.handle.parent === handle);
+          });
+          if (index !== -1) {
+            results[index].retries++;
+          }
+        });
+
+        async.eachLimit(results, (opts && opts.concurrency) || 4, function (result, next) {
+          var handle = handles[result.index] = RequestHandle(),
+            unregister = _.noop,
+            names = self[result.method].param_names,
+            args = _.map(names, function (name) {
+              return result.params[name];
+            });
+
+          if (config && config.handle) {
+            unregister = config.handle._register(_.bind(handle.cancel, handle));
+          }
+
+          args[_.indexOf(names, 'done')] = function (err, body) {
+            unregister();
+            if (err) {
+              result.error = err;
+            } else {
+              result.result = body;
+            }
+            next();
+          };
+          if (_.contains(names, 'config')) {
+            args[_.indexOf(names, 'config')] = _.extend({}, _.omit(config || {}, 'handle'), result.params.config, {
+              handle: handle
+            });
+          }
+          self[result.method].apply(self, args);
+        }, function () {
+          subscription.unsubscribe();
+
+          var failed = _.filter(results, 'error').length;
+          self.log.debug('Bulk: %d of %d operations failed.', failed, results.length);
+          done(null, {
+            results: results,
+            succeeded: results.length - failed,
+            failed: failed,
+            retries: _.reduce(results, function (sum, result) {
+              return sum + result.retries;
+            }, 0)
+          });
+        });
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary Check that a bulk operation names a public API method taking a callback, and only its
+       * parameters.
+       * @private
+       * @param {BulkOperation} operation - The operation.
+       * @returns {boolean} True if the operation is valid.
+       */
+      _isBulkOperation: function (operation) {
+        var method = _.isPlainObject(operation) && _.isString(operation.method) &&
+          operation.method.charAt(0) !== '_' && operation.method !== 'bulk' ? this[operation.method] : null,
+          names = method && method.param_names;
+
+        return !!names && (operation.params === undefined || _.isPlainObject(operation.params)) &&
+          _.isEmpty(_.difference(_.keys(operation.params), _.without(names, 'done')));
+      }
+    });
+};
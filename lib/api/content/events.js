@@ -2,7 +2,8 @@
 
 var async = require('async'),
   Datastore = require('nedb'),
-  _ = require('lodash');
+  _ = require('lodash'),
+  RequestHandle = require('../../handle');
 
 module.exports = function (Connection) {
   Connection.addInstanceMethods(
@@ -52,10 +53,11 @@ module.exports = function (Connection) {
 
           function (doLongPoll, next) {
             if (doLongPoll) {
+              var handle = self.pollHandle = RequestHandle();
               async.whilst(function () {
                 return self.keepPolling;
               }, _.bind(self._longPoll, self), function (err) {
-                if (err) {
+                if (err && !handle.cancelled) {
                   /**
                    * Fires when an error occurs during long-polling.
                    * @event Connection#"polling.error"
@@ -79,11 +81,14 @@ module.exports = function (Connection) {
       },
 
       /**
-       * Stop a running long-polling process.
+       * Stop a running long-polling process. A long-poll request in progress is aborted.
        * @see {@link https://developers.box.com/docs/#events-long-polling}
        */
       stopLongPolling: function () {
         this.keepPolling = false;
+        if (this.pollHandle) {
+          this.pollHandle.cancel();
+        }
       },
 
       /**
@@ -94,16 +99,19 @@ module.exports = function (Connection) {
        * @fires Connection#"polling.ready"
        */
       _longPoll: function (done) {
-        var self = this;
+        var self = this,
+          config = {
+            handle: self.pollHandle
+          };
         self.log.debug('NSP: %s', self.nsp);
 
         async.waterfall([
 
           function (next) {
             if (!self.nsp) {
-              self._request('https://api.box.com/2.0/events', 'GET', next, {
+              self._request(['events'], 'GET', next, {
                 stream_position: 'now'
-              });
+              }, null, null, null, null, config);
             } else {
               next(null, null);
             }
@@ -117,24 +125,33 @@ module.exports = function (Connection) {
                */
               self.emit('polling.ready');
             }
-            self._request('https://api.box.com/2.0/events', 'OPTIONS', next);
+            self._request(['events'], 'OPTIONS', next, null, null, null, null, null, config);
           },
           function (body, next) {
             self._request(body.entries[0].url, 'GET', next, {
               stream_position: self.nsp
-            }, null, null, null, null, {
+            }, null, null, null, null, _.extend({
               timeout: 600000,
-              num_retries: -1
-            });
+              //A long-poll is held open for minutes, and is retried for as long as polling goes on.
+              retry: self._retryPolicy(config).extend({
+                max_retries: -1,
+                max_elapsed: 0
+              })
+            }, config));
           },
           function (body, next) {
             self.log.debug(body);
             if (!_.isEmpty(body) && (body.message === 'new_change')) {
-              self._request('https://api.box.com/2.0/events', 'GET', next, {
+              self._request(['events'], 'GET', next, {
                 stream_position: self.nsp
-              });
+              }, null, null, null, null, config);
             } else {
               self.log.debug('Refreshing long-poll...');
+              if (self.metrics) {
+                self.metrics.increment('box_longpoll_reconnects_total', {
+                  connection: self.metrics_label
+                });
+              }
               next(null, null);
             }
           },
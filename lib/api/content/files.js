@@ -1,7 +1,60 @@
 'use strict';
 
 var _ = require('lodash'),
-  fs = require('fs');
+  fs = require('fs'),
+  async = require('async'),
+  path = require('path'),
+  PassThrough = require('stream').PassThrough,
+  sha1File = require('../../digest').sha1File;
+
+/**
+ * The default size in bytes from which files are uploaded through an upload session.
+ * @private
+ */
+var CHUNKED_THRESHOLD = 50 * 1024 * 1024;
+
+/**
+ * Determine if a file should be uploaded through an upload session.
+ * @private
+ * @param {number} size - The file's size in bytes.
+ * @param {?RequestConfig} config - The request configuration.
+ * @returns {boolean} True if the file should be uploaded in parts.
+ */
+function _isChunked(size, config) {
+  var threshold = (config && _.isNumber(config.chunked_threshold)) ? config.chunked_threshold : CHUNKED_THRESHOLD;
+  return size > 0 && size >= threshold;
+}
+
+/**
+ * Write a download stream to a local file. The file is only opened once the response arrives, and is
+ * appended to if the response is a partial one continuing from {@linkcode offset}.
+ * @private
+ * @param {stream.Readable} stream - The download stream.
+ * @param {string} dest - Full path to where the file should be saved.
+ * @param {number} offset - The byte offset the download was requested from.
+ * @param {optionalErrorCallback} callback - Called once the file has been written, or on the first error.
+ */
+function _saveStream(stream, dest, offset, callback) {
+  var finish = _.once(callback),
+    wr;
+
+  stream.on('error', function (err) {
+    finish(err);
+    if (wr) {
+      wr.destroy();
+    }
+  });
+  stream.once('response', function (res) {
+    wr = fs.createWriteStream(dest, {
+      flags: (offset > 0 && res.statusCode === 206) ? 'a' : 'w'
+    });
+    wr.on('error', finish);
+    wr.on('close', function () {
+      finish();
+    });
+    stream.pipe(wr);
+  });
+}
 
 module.exports = function (Connection) {
   Connection.addInstanceMethods(
@@ -30,53 +83,240 @@ module.exports = function (Connection) {
        * @param {Error} [error] - Any error that may have occurred.
        */
 
+      /**
+       * Options to pass to {@link Connection#getFileStream}.
+       * @typedef {Object} OptsGetFileStream
+       * @property {number} [version] - The ID of a previous version of the file to download.
+       * @property {number} [start] - The offset of the first byte to download.
+       * @property {number} [end] - The offset of the last byte to download, inclusive. Defaults to the end of
+       * the file.
+       * @see {@link https://developers.box.com/docs/#files-download-a-file}
+       */
+
+      /**
+       * Streams the actual data of the file. The download redirect is followed, and the bytes are
+       * streamed as they arrive, without buffering the file in memory. A byte range can be requested
+       * through {@linkcode opts.start} and {@linkcode opts.end}. The stream emits a {@linkcode response}
+       * event with the HTTP response before any data, whose status is {@linkcode 206} for a partial
+       * download, and {@linkcode progress} events with a {@link TransferProgress}. Errors, including API
+       * errors, are emitted on the returned stream. The stream's {@linkcode handle} is a {@link Transfer} that
+       * can cancel the download.
+       * @summary Download a File as a Stream.
+       * @see {@link https://developers.box.com/docs/#files-download-a-file}
+       * @param {number} id - The file's ID.
+       * @param {?OptsGetFileStream} [opts] - Download options.
+       * @param {?RequestHeaders} [headers] - Additional headers.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       * @returns {stream.Readable} The file's data.
+       */
+      getFileStream: function (id, opts, headers, config) {
+        var stream = new PassThrough();
+
+        if (!_.isNumber(parseInt(id, 10))) {
+          process.nextTick(function () {
+            stream.emit('error', new Error('id must be specified.'));
+          });
+          return stream;
+        }
+
+        if (!config || !config.transfer) {
+          config = this._withTransfer('download', config);
+          config.transfer.on('progress', function (progress) {
+            stream.emit('progress', progress);
+          });
+        }
+        stream.handle = config.transfer;
+
+        opts = opts || {};
+        if (_.isNumber(opts.start) || _.isNumber(opts.end)) {
+          headers = _.extend({}, headers, {
+            Range: 'bytes=' + (opts.start || 0) + '-' + (_.isNumber(opts.end) ? opts.end : '')
+          });
+        }
+
+        this._request(['files', id, 'content'], 'GET', function (err) {
+          if (err) {
+            stream.emit('error', err);
+          }
+        }, opts.version ? _.pick(opts, 'version') : null, null, null, headers, stream, config);
+
+        return stream;
+      },
+
+      /**
+       * Options to pass to {@link Connection#getFile}.
+       * @typedef {Object} OptsGetFile
+       * @property {number} [version] - The ID of a previous version of the file to download.
+       * @property {number} [start] - The offset of the first byte to download.
+       * @property {number} [end] - The offset of the last byte to download, inclusive.
+       * @property {boolean} [resume] - Continue from the end of a partially downloaded destination file instead
+       * of starting over, also after a connection failure during the download. Implies {@linkcode verify}.
+       * @property {boolean} [verify] - Check the downloaded file's SHA-1 digest against the one reported by Box.
+       * @property {string} [on_mismatch] - What to do with a file that fails verification:
+       * {@linkcode delete} (default) removes it, {@linkcode keep} leaves it in place. Either way, the callback
+       * receives an error with the {@linkcode sha1_mismatch} code.
+       */
+
       /**
        * Retrieves the actual data of the file. An optional {@linkcode opts.version} parameter
-       * can be set to download a previous version of the file.
+       * can be set to download a previous version of the file. The data is streamed to disk
+       * through {@link Connection#getFileStream}. Pass an {@link OptsGetFile} object instead of a
+       * version to download a byte range, or to resume and verify the download.
        * @summary Download a File.
        * @see {@link https://developers.box.com/docs/#files-download-a-file}
        * @param {number} id - The file's ID.
-       * @param {number} version - File version to download. Can be null (meaning get the latest).
+       * @param {(number | OptsGetFile)} version - File version to download, or download options. Can be null
+       * (meaning get the latest).
        * @param {string} dest - Full path to where the file should be saved.
        * @param {getFileCallback} done - The callback to invoke (with possible errors) when the request returns.
        * @param {?RequestConfig} [config] - Configure the request behaviour.
+       * @returns {Transfer} A handle publishing the progress of the download.
        */
       getFile: function (id, version, dest, done, config) {
+        var self = this,
+          opts = _.isPlainObject(version) ? version : {
+            version: version
+          };
+
         if (!_.isNumber(parseInt(id, 10))) {
           return done(new Error('id must be specified.'));
         }
-        if (!_.isEmpty(version) && !_.isNumber(parseInt(version, 10))) {
+        if (!_.isEmpty(opts.version) && !_.isNumber(parseInt(opts.version, 10))) {
           return done(new Error('version must be a number.'));
         }
         if (!_.isString(dest)) {
           return done(new Error('destination must be a string.'));
         }
+        if ((opts.resume || opts.verify) && (_.isNumber(opts.start) || _.isNumber(opts.end))) {
+          return done(new Error('A byte range cannot be combined with resume or verify.'));
+        }
 
-        var wr = fs.createWriteStream(dest);
-        var cbCalled = false;
-        wr.on("error", function (err) {
-          done(err);
-        });
-        wr.on("close", function (ex) {
-          if (!cbCalled) {
-            done();
+        config = self._withTransfer('download', config);
+        if (!opts.resume && !opts.verify) {
+          _saveStream(self.getFileStream(id, _.pick(opts, 'version', 'start', 'end'), null, config), dest, 0,
+            done);
+          return config.transfer;
+        }
+
+        self._getFileDigest(id, opts.version, config, function (err, expected) {
+          if (err) {
+            return done(err);
           }
-          cbCalled = true;
+
+          (function attempt() {
+            async.waterfall([
+
+              function (next) {
+                if (!opts.resume) {
+                  return next(null, 0);
+                }
+                fs.stat(dest, function (err, stats) {
+                  if (err) {
+                    return next(err.code === 'ENOENT' ? null : err, 0);
+                  }
+                  //A partial file larger than the original cannot be a prefix of it.
+                  next(null, stats.size > expected.size ? 0 : stats.size);
+                });
+              },
+              function (offset, next) {
+                config.transfer.setTotal(expected.size, offset);
+                if (offset === expected.size && offset > 0) {
+                  return next(null, offset);
+                }
+                if (offset > 0) {
+                  self.log.debug('Resuming download of file %s at byte %d of %d.', id, offset, expected.size);
+                }
+                _saveStream(self.getFileStream(id, _.extend(_.pick(opts, 'version'), offset > 0 ? {
+                  start: offset
+                } : {}), null, config), dest, offset, function (err) {
+                  next(err, offset);
+                });
+              }
+            ], function (err, offset) {
+              if (err && opts.resume && err.code !== 'cancelled') {
+                //Try again from where the download stopped, as long as it is making progress.
+                return fs.stat(dest, function (statErr, stats) {
+                  if (statErr || stats.size <= offset) {
+                    return done(err);
+                  }
+                  self.log.debug('Download of file %s interrupted: %s', id, err.message);
+                  attempt();
+                });
+              }
+              if (err) {
+                return done(err);
+              }
+
+              sha1File(dest, function (err, sha1) {
+                if (err || sha1 === expected.sha1) {
+                  return done(err);
+                }
+
+                var mismatch = _.extend(new Error('SHA-1 mismatch for ' + dest + ': expected ' + expected.sha1 +
+                  ', got ' + sha1), {
+                  code: 'sha1_mismatch',
+                  expected: expected.sha1,
+                  actual: sha1,
+                  path: dest
+                });
+                if (opts.on_mismatch === 'keep') {
+                  return done(mismatch);
+                }
+                fs.unlink(dest, function () {
+                  done(mismatch);
+                });
+              });
+            });
+          })();
         });
 
-        var opts = {};
-        if (version) {
-          opts.version = version;
-        }
+        return config.transfer;
+      },
 
-        this._request(['files', id, 'content'], 'GET', function (err) {
+      /**
+       * Do not call this method directly.
+       * @summary Get the SHA-1 digest and size of a file version.
+       * @private
+       * @param {number} id - The file's ID.
+       * @param {?number} version - The version's ID, or null for the current version.
+       * @param {?RequestConfig} config - Configure the request behaviour.
+       * @param {function} callback - Called with the {@linkcode sha1} and {@linkcode size} of the version.
+       */
+      _getFileDigest: function (id, version, config, callback) {
+        var self = this;
+
+        self.getFileInfo(id, function (err, info) {
           if (err) {
-            done(err);
-            cbCalled = true;
+            return callback(err);
+          }
+          if (!version || (info.file_version && info.file_version.id === String(version))) {
+            return callback(null, _.pick(info, 'sha1', 'size'));
           }
-        }, opts, null, null, null, wr, config);
+
+          self.getFileVersions(id, function (err, result) {
+            if (err) {
+              return callback(err);
+            }
+            var found = _.find(result.entries, {
+              id: String(version)
+            });
+            if (!found) {
+              return callback(new Error('Version ' + version + ' of file ' + id + ' not found.'));
+            }
+            callback(null, _.pick(found, 'sha1', 'size'));
+          }, config);
+        }, null, config);
       },
 
+      /**
+       * Gets a temporary URL from which the file can be downloaded without authentication, e.g. by a browser.
+       * @summary Get a Temporary Download Link for a File.
+       * @see {@link https://developers.box.com/docs/#files-download-a-file}
+       * @param {number} id - The file's ID.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns,
+       * with the download URL.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
       getTempDownloadLink: function (id, done, config) {
         if (!_.isNumber(parseInt(id, 10))) {
           return done(new Error('id must be specified.'));
@@ -110,6 +350,9 @@ module.exports = function (Connection) {
         if (!_.isObject(fields)) {
           return done(new Error('An fields object must be provided.'));
         }
+        if (_.has(fields, 'name') || _.has(fields, 'parent')) {
+          this._invalidatePath(id);
+        }
 
         this._request(['files', id], 'PUT', done, null, fields, null, headers, null, config);
       },
@@ -127,7 +370,10 @@ module.exports = function (Connection) {
        * specifying the destination folder for the file. If the user provides a file name that
        * already exists in the destination folder, the user will receive an error. You can
        * optionally specify a {@linkcode header[Content-MD5]} header with the SHA1 hash of the file
-       * to ensure that the file is not corrupted in transit.
+       * to ensure that the file is not corrupted in transit. Files of at least
+       * {@linkcode config.chunked_threshold} bytes are uploaded in parts through an upload session,
+       * with per-part digests. Set {@linkcode config.journal} to resume such an upload after a crash or
+       * restart, instead of starting over.
        * @summary Upload a File.
        * @see {@link https://developers.box.com/docs/#files-upload-a-file}
        * @param {string} name - The fully qualified path to the local file.
@@ -136,17 +382,33 @@ module.exports = function (Connection) {
        * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
        * @param {?RequestHeaders} [headers] - Additional headers.
        * @param {?RequestConfig} [config] - Configure the request behaviour.
+       * @returns {Transfer} A handle publishing the progress of the upload.
        */
       uploadFile: function (name, parent_id, opts, done, headers, config) {
         if (!_.isString(name) || !_.isNumber(parseInt(parent_id, 10))) {
           return done(new Error('Invalid params. Required - name: string, parent_id: number'));
         }
 
+        var self = this;
         opts = opts || {};
-        opts.parent_id = parent_id;
+        config = self._withTransfer('upload', config);
+
+        fs.stat(name, function (err, stats) {
+          if (err) {
+            return done(err);
+          }
+          if (_isChunked(stats.size, config)) {
+            return self._uploadChunked(name, stats, 'folder:' + parent_id, function (next) {
+              self.createUploadSession(parent_id, path.basename(name), stats.size, next, config);
+            }, opts, done, headers, config);
+          }
 
-        var data = fs.createReadStream(name);
-        this._request(['files', 'content'], 'POST', done, null, opts, data, headers, null, config);
+          opts.parent_id = parent_id;
+          var data = fs.createReadStream(name);
+          self._request(['files', 'content'], 'POST', done, null, opts, data, headers, null, config);
+        });
+
+        return config.transfer;
       },
 
       /**
@@ -164,6 +426,7 @@ module.exports = function (Connection) {
           return done(new Error('id must be specified.'));
         }
 
+        this._invalidatePath(id);
         this._request(['files', id], 'DELETE', done, null, null, null, headers, null, config);
       },
 
@@ -178,7 +441,9 @@ module.exports = function (Connection) {
        * This method is used to upload a new version of an existing file in a user’s account.
        * An optional {@linkcode header[If-Match]} header can be included to ensure that client
        * only overwrites the file if it knows about the latest version. The filename on Box
-       * will remain the same as the previous version.
+       * will remain the same as the previous version. Files of at least
+       * {@linkcode config.chunked_threshold} bytes are uploaded in parts through an upload session, which
+       * can be resumed through {@linkcode config.journal}.
        * @summary Upload a New Version of a File.
        * @see {@link https://developers.box.com/docs/#files-upload-a-new-version-of-a-file}
        * @param {string} name - The fully qualified path to the local file.
@@ -187,14 +452,31 @@ module.exports = function (Connection) {
        * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
        * @param {?RequestHeaders} [headers] - Additional headers.
        * @param {?RequestConfig} [config] - Configure the request behaviour.
+       * @returns {Transfer} A handle publishing the progress of the upload.
        */
       uploadFileNewVersion: function (name, id, opts, done, headers, config) {
         if (!_.isString(name) || !_.isNumber(parseInt(id, 10))) {
           return done(new Error('Invalid params. Required - name: string, id: number'));
         }
 
-        var data = fs.createReadStream(name);
-        this._request(['files', id, 'content'], 'POST', done, null, opts, data, headers, null, config);
+        var self = this;
+        config = self._withTransfer('upload', config);
+
+        fs.stat(name, function (err, stats) {
+          if (err) {
+            return done(err);
+          }
+          if (_isChunked(stats.size, config)) {
+            return self._uploadChunked(name, stats, 'file:' + id, function (next) {
+              self.createNewVersionUploadSession(id, stats.size, next, config);
+            }, opts, done, headers, config);
+          }
+
+          var data = fs.createReadStream(name);
+          self._request(['files', id, 'content'], 'POST', done, null, opts, data, headers, null, config);
+        });
+
+        return config.transfer;
       },
 
       /**
@@ -214,6 +496,25 @@ module.exports = function (Connection) {
         this._request(['files', id, 'versions'], 'GET', done, null, null, null, null, null, config);
       },
 
+      /**
+       * Walks all the previous versions of a file, fetching the pages as they are consumed.
+       * @summary Iterate over the Versions of a File.
+       * @see {@link Connection#getFileVersions}
+       * @param {number} id - The file's ID.
+       * @param {?OptsPager} [opts] - Pagination options, and optionally the {@linkcode fields} to return.
+       * @param {?RequestConfig} [config] - Configure the behaviour of the page requests.
+       * @returns {Pager} The versions.
+       */
+      iterateFileVersions: function (id, opts, config) {
+        var self = this;
+        return this._pager(function (query, callback) {
+          if (!_.isNumber(parseInt(id, 10))) {
+            return callback(new Error('id must be specified.'));
+          }
+          self._request(['files', id, 'versions'], 'GET', callback, query, null, null, null, null, config);
+        }, opts);
+      },
+
       /**
        * If there are previous versions of this file, this method can be used to promote one of the
        * older versions to the top of the stack. This actually mints a copy of the old version and
@@ -308,6 +609,7 @@ module.exports = function (Connection) {
        * @param {string} dest - Full path to where the file should be saved.
        * @param {getFileCallback} done - The callback to invoke (with possible errors) when the request returns.
        * @param {?RequestConfig} [config] - Configure the request behaviour.
+       * @returns {Transfer} A handle publishing the progress of the download.
        */
       getFileThumbnail: function (id, opts, dest, done, config) {
         if (!_.isNumber(parseInt(id, 10))) {
@@ -317,24 +619,16 @@ module.exports = function (Connection) {
           return done(new Error('destination must be a string.'));
         }
 
-        var wr = fs.createWriteStream(dest);
-        var cbCalled = false;
-        wr.on("error", function (err) {
-          done(err);
-        });
-        wr.on("close", function (ex) {
-          if (!cbCalled) {
-            done();
-          }
-          cbCalled = true;
-        });
-
+        var stream = new PassThrough();
+        config = this._withTransfer('download', config);
         this._request(['files', id, 'thumbnail.png'], 'GET', function (err) {
           if (err) {
-            done(err);
-            cbCalled = true;
+            stream.emit('error', err);
           }
-        }, opts, null, null, null, wr, config);
+        }, opts, null, null, null, stream, config);
+
+        _saveStream(stream, dest, 0, done);
+        return config.transfer;
       },
 
       /**
@@ -415,6 +709,25 @@ module.exports = function (Connection) {
         this._request(['files', id, 'comments'], 'GET', done, null, null, null, null, null, config);
       },
 
+      /**
+       * Walks all the comments on a file, fetching the pages as they are consumed.
+       * @summary Iterate over the Comments on a File.
+       * @see {@link Connection#getFileComments}
+       * @param {number} id - The file's ID.
+       * @param {?OptsPager} [opts] - Pagination options, and optionally the {@linkcode fields} to return.
+       * @param {?RequestConfig} [config] - Configure the behaviour of the page requests.
+       * @returns {Pager} The comments.
+       */
+      iterateFileComments: function (id, opts, config) {
+        var self = this;
+        return this._pager(function (query, callback) {
+          if (!_.isNumber(parseInt(id, 10))) {
+            return callback(new Error('id must be specified.'));
+          }
+          self._request(['files', id, 'comments'], 'GET', callback, query, null, null, null, null, config);
+        }, opts);
+      },
+
       /**
        * Retrieves all of the tasks for given file.
        * @summary Get the tasks for a file.
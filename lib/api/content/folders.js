@@ -1,6 +1,8 @@
 'use strict';
 
-var _ = require('lodash');
+var _ = require('lodash'),
+  Walker = require('../../walker'),
+  dryRunPlan = require('../../plan').dryRunPlan;
 
 module.exports = function (Connection) {
   Connection.addInstanceMethods(
@@ -46,6 +48,51 @@ module.exports = function (Connection) {
         this._request(['folders', id, 'items'], 'GET', done, opts, null, null, null, null, config);
       },
 
+      /**
+       * Walks all the items of a folder, fetching the pages as they are consumed. Uses marker-based pagination
+       * unless {@linkcode opts.usemarker} is {@linkcode false}.
+       * @summary Iterate over a Folder’s Items.
+       * @see {@link Connection#getFolderItems}
+       * @param {number} id - The folder's ID.
+       * @param {?(external:OptsFLO | OptsPager)} [opts] - Request and pagination options.
+       * @param {?RequestConfig} [config] - Configure the behaviour of the page requests.
+       * @returns {Pager} The items.
+       */
+      iterateFolderItems: function (id, opts, config) {
+        var self = this;
+        return this._pager(function (query, callback) {
+          self.getFolderItems(id, query, callback, config);
+        }, _.extend({
+          usemarker: true
+        }, opts));
+      },
+
+      /**
+       * Walks all the descendants of a folder, with their full paths, listing the folders as the items are
+       * consumed. Use it for inventories and syncs instead of recursing over {@link Connection#getFolderItems}.
+       * @summary Walk a Folder Tree.
+       * @see {@link Connection#iterateFolderItems}
+       * @param {number} id - The folder's ID.
+       * @param {?OptsWalk} [opts] - Depth limit, filters, order, concurrency and fields.
+       * @param {?RequestConfig} [config] - Configure the behaviour of the listing requests.
+       * @returns {Walker} The descendants, as {@link WalkEntry|entries}.
+       * @example
+       * connection.walkFolder(0, {
+       *   exclude: ['Archive', '**\/.git'],
+       *   fields: 'size,sha1'
+       * }).each(function (entry, next) {
+       *   console.log(entry.path, entry.item.size);
+       *   next();
+       * }, function (err) {
+       *   ...
+       * });
+       */
+      walkFolder: function (id, opts, config) {
+        return Walker(this, id, opts, config, function () {
+          return Connection.Promise;
+        });
+      },
+
       /**
        * Used to create a new empty folder. The new folder will be created inside of the
        * specified parent folder.
@@ -95,6 +142,9 @@ module.exports = function (Connection) {
         if (!_.isObject(fields)) {
           return done(new Error('An fields object must be provided.'));
         }
+        if (_.has(fields, 'name') || _.has(fields, 'parent')) {
+          this._invalidatePath(id);
+        }
         this._request(['folders', id], 'PUT', done, null, fields, null, headers, null, config);
       },
 
@@ -108,6 +158,8 @@ module.exports = function (Connection) {
        * Used to delete a folder. A recursive parameter must be included in order to delete folders
        * that have items inside of them. An optional {@linkcode header[If-Match]} header can be
        * included to ensure that client only deletes the folder if it knows about the latest version.
+       * With {@linkcode config.dry_run}, the folder is walked instead, and the callback gets a
+       * {@link DryRunPlan} listing everything that would be trashed.
        * @summary Delete a Folder.
        * @see {@link https://developers.box.com/docs/#folders-delete-a-folder}
        * @param {number} id - The folder's ID.
@@ -120,12 +172,32 @@ module.exports = function (Connection) {
         if (!_.isNumber(parseInt(id, 10))) {
           return done(new Error('id must be specified.'));
         }
+
+        var recursive = !!opts && String(opts.recursive) === 'true';
+        if (config && config.dry_run) {
+          return this._planFolder(id, 'delete', 'moved to the trash', 'inside deleted folder',
+            recursive ? Infinity : 1, config, function (err, folder, items) {
+              if (err) {
+                return done(err);
+              }
+              if (!recursive && items.length) {
+                return done(null, dryRunPlan([_.extend(folder, {
+                  action: 'fail',
+                  reason: 'not empty, and not deleted recursively'
+                })]));
+              }
+              done(null, dryRunPlan([folder].concat(items)));
+            });
+        }
+
+        this._invalidatePath(id);
         this._request(['folders', id], 'DELETE', done, opts, null, null, headers, null, config);
       },
 
       /**
        * Used to create a copy of a folder in another folder. The original version of the folder
-       * will not be altered.
+       * will not be altered. With {@linkcode config.dry_run}, the folder is walked instead, and the callback
+       * gets a {@link DryRunPlan} listing everything that would be copied.
        * @summary Copy a Folder.
        * @see {@link https://developers.box.com/docs/#folders-copy-a-folder}
        * @param {number} id - The source folder's ID.
@@ -148,6 +220,13 @@ module.exports = function (Connection) {
           opts.name = name;
         }
 
+        if (config && config.dry_run) {
+          return this._planFolder(id, 'copy', 'copied to folder ' + parent_id + (name ? ' as ' + name : ''),
+            'copied with', Infinity, config, function (err, folder, items) {
+              done(err, err ? null : dryRunPlan([folder].concat(items)));
+            });
+        }
+
         this._request(['folders', id, 'copy'], 'POST', done, null, opts, null, null, null, config);
       },
 
@@ -187,6 +266,24 @@ module.exports = function (Connection) {
         this._request(['folders', 'trash', 'items'], 'GET', done, opts, null, null, null, null, config);
       },
 
+      /**
+       * Walks all the items in the trash, fetching the pages as they are consumed. Uses marker-based pagination
+       * unless {@linkcode opts.usemarker} is {@linkcode false}.
+       * @summary Iterate over the Items in the Trash.
+       * @see {@link Connection#getTrashedItems}
+       * @param {?(external:OptsFLO | OptsPager)} [opts] - Request and pagination options.
+       * @param {?RequestConfig} [config] - Configure the behaviour of the page requests.
+       * @returns {Pager} The items.
+       */
+      iterateTrashedItems: function (opts, config) {
+        var self = this;
+        return this._pager(function (query, callback) {
+          self.getTrashedItems(query, callback, config);
+        }, _.extend({
+          usemarker: true
+        }, opts));
+      },
+
       /**
        * Retrieves an item that has been moved to the trash.
        * @summary Get a Trashed Folder.
@@ -247,6 +344,50 @@ module.exports = function (Connection) {
         }
 
         this._request(['folders', id], 'POST', done, null, opts, null, null, null, config);
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary Walk a folder to plan an operation on it and everything in it, for a dry run.
+       * @private
+       * @param {number} id - The folder's ID.
+       * @param {string} action - The planned action.
+       * @param {string} reason - Why the folder itself is affected.
+       * @param {string} item_reason - Why its items are affected, followed by the folder's path, e.g.
+       * {@linkcode inside deleted folder}.
+       * @param {number} max_depth - How deep to walk.
+       * @param {?RequestConfig} config - Configure the behaviour of the listing requests.
+       * @param {function} callback - Called with an optional error, the folder's {@link PlannedAction}, and
+       * those of its items, top-down.
+       */
+      _planFolder: function (id, action, reason, item_reason, max_depth, config, callback) {
+        var walker = this.walkFolder(id, {
+            order: 'depth',
+            max_depth: max_depth
+          }, config),
+          items = [];
+
+        walker.each(function (entry, next) {
+          items.push({
+            action: action,
+            path: entry.path,
+            id: entry.item.id
+          });
+          next();
+        }, function (err) {
+          if (err) {
+            return callback(err);
+          }
+          _.each(items, function (item) {
+            item.reason = item_reason + ' ' + walker.root.path;
+          });
+          callback(null, {
+            action: action,
+            path: walker.root.path,
+            id: walker.root.id,
+            reason: reason
+          }, items);
+        });
       }
     });
 };
\ No newline at end of file
@@ -0,0 +1,386 @@
+'use strict';
+
+var _ = require('lodash'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  async = require('async'),
+  errors = require('../../errors');
+
+/**
+ * The collision strategies available for each item type.
+ * @private
+ */
+var STRATEGIES = {
+  file: ['fail', 'rename', 'overwrite'],
+  folder: ['fail', 'rename', 'merge']
+};
+
+/**
+ * Do not call this function directly.
+ * @summary Number a name to avoid a collision.
+ * @private
+ * @param {string} name - The name.
+ * @param {number} n - The number.
+ * @param {string} type - {@linkcode file}, to number the name before its extension, or {@linkcode folder}.
+ * @returns {string} The numbered name, e.g. {@linkcode report (1).pdf}.
+ */
+function _numbered(name, n, type) {
+  var ext = type === 'file' ? path.extname(name) : '';
+  return name.slice(0, name.length - ext.length) + ' (' + n + ')' + ext;
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Get the item a move or rename collided with.
+ * @private
+ * @param {Error} [err] - The error of the update.
+ * @returns {?Object} The conflicting item in mini format, if the error is a name collision.
+ */
+function _conflictOf(err) {
+  if (!(err instanceof errors.BoxConflictError) || err.code !== 'item_name_in_use') {
+    return null;
+  }
+  return _.first([].concat((err.context_info && err.context_info.conflicts) || [])) || null;
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Get the {@linkcode If-Match} etag of a call.
+ * @private
+ * @param {?RequestHeaders} headers - The call's headers.
+ * @returns {?string} The etag, if any.
+ */
+function _etagOf(headers) {
+  return (headers && (headers['If-Match'] || headers['if-match'])) || null;
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Report what an overwrite or merge already did when trashing the moved item failed.
+ * @private
+ * @param {Error} err - Why the moved item could not be trashed.
+ * @param {Object} result - The file overwritten, or the folder merged into.
+ * @returns {Error} The error, with the result as {@linkcode partial_result}.
+ */
+function _partial(err, result) {
+  err.partial_result = result;
+  return err;
+}
+
+module.exports = function (Connection) {
+  Connection.addInstanceMethods(
+    /** @lends Connection.prototype */
+    {
+      /**
+       * Options for {@link Connection#moveFile}, {@link Connection#moveFolder}, {@link Connection#renameFile}
+       * and {@link Connection#renameFolder}.
+       * @typedef {Object} OptsMove
+       * @property {string} [name] - A new name for the moved item. Moves only.
+       * @property {string} [on_conflict] - What to do if an item with the same name is in the way:
+       * {@linkcode fail} with a {@link BoxConflictError}; {@linkcode rename} the item to the first free name
+       * of {@linkcode name (1).ext}, {@linkcode name (2).ext}, etc.; {@linkcode overwrite} the file in the way
+       * with a new version, then trash the moved file, for files only; or {@linkcode merge} the folder into
+       * the one in the way, for folders only. Defaults to {@linkcode fail}. The moved file or the emptied
+       * folder is only trashed if it did not change since the move was attempted, by its
+       * {@linkcode If-Match} etag, or the etag it had then. If it cannot be trashed, the file in the way has
+       * already been overwritten, or the items merged: the error has the file overwritten or the folder merged
+       * into as {@linkcode partial_result}, and the moved item is left in place.
+       * @property {string} [file_conflict] - What to do with the files that collide while merging folders:
+       * {@linkcode fail}, {@linkcode rename} or {@linkcode overwrite}. Defaults to {@linkcode rename}.
+       */
+
+      /**
+       * Moves a file into another folder, resolving a name collision as set by {@linkcode opts.on_conflict}.
+       * An {@linkcode header[If-Match]} header guards the move against concurrent changes of the file.
+       * @summary Move a File.
+       * @see {@link Connection#updateFile}
+       * @param {number} id - The file's ID.
+       * @param {number} parent_id - The destination folder's ID.
+       * @param {?OptsMove} opts - The new name, and the collision strategy.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * Called back with the file where it ended up: the file in the way, if it was overwritten.
+       * @param {?RequestHeaders} [headers] - Additional headers.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      moveFile: function (id, parent_id, opts, done, headers, config) {
+        if (!_.isNumber(parseInt(id, 10)) || !_.isNumber(parseInt(parent_id, 10))) {
+          return done(new Error('Invalid params. Required - id: number, parent_id: number'));
+        }
+        this._moveItem('file', id, _.extend({
+          parent: {
+            id: String(parent_id)
+          }
+        }, opts && opts.name ? {
+          name: opts.name
+        } : null), opts, headers, config, done);
+      },
+
+      /**
+       * Moves a folder into another folder, resolving a name collision as set by {@linkcode opts.on_conflict}.
+       * An {@linkcode header[If-Match]} header guards the move against concurrent changes of the folder.
+       * @summary Move a Folder.
+       * @see {@link Connection#updateFolder}
+       * @param {number} id - The folder's ID.
+       * @param {number} parent_id - The destination folder's ID.
+       * @param {?OptsMove} opts - The new name, and the collision strategy.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * Called back with the folder where it ended up: the folder in the way, if it was merged into it.
+       * @param {?RequestHeaders} [headers] - Additional headers.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      moveFolder: function (id, parent_id, opts, done, headers, config) {
+        if (!_.isNumber(parseInt(id, 10)) || !_.isNumber(parseInt(parent_id, 10))) {
+          return done(new Error('Invalid params. Required - id: number, parent_id: number'));
+        }
+        this._moveItem('folder', id, _.extend({
+          parent: {
+            id: String(parent_id)
+          }
+        }, opts && opts.name ? {
+          name: opts.name
+        } : null), opts, headers, config, done);
+      },
+
+      /**
+       * Renames a file, resolving a name collision as set by {@linkcode opts.on_conflict}. An
+       * {@linkcode header[If-Match]} header guards the rename against concurrent changes of the file.
+       * @summary Rename a File.
+       * @see {@link Connection#updateFile}
+       * @param {number} id - The file's ID.
+       * @param {string} name - The new name.
+       * @param {?OptsMove} opts - The collision strategy.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * @param {?RequestHeaders} [headers] - Additional headers.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      renameFile: function (id, name, opts, done, headers, config) {
+        if (!_.isNumber(parseInt(id, 10)) || !_.isString(name)) {
+          return done(new Error('Invalid params. Required - id: number, name: string'));
+        }
+        this._moveItem('file', id, {
+          name: name
+        }, opts, headers, config, done);
+      },
+
+      /**
+       * Renames a folder, resolving a name collision as set by {@linkcode opts.on_conflict}. An
+       * {@linkcode header[If-Match]} header guards the rename against concurrent changes of the folder.
+       * @summary Rename a Folder.
+       * @see {@link Connection#updateFolder}
+       * @param {number} id - The folder's ID.
+       * @param {string} name - The new name.
+       * @param {?OptsMove} opts - The collision strategy.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * @param {?RequestHeaders} [headers] - Additional headers.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      renameFolder: function (id, name, opts, done, headers, config) {
+        if (!_.isNumber(parseInt(id, 10)) || !_.isString(name)) {
+          return done(new Error('Invalid params. Required - id: number, name: string'));
+        }
+        this._moveItem('folder', id, {
+          name: name
+        }, opts, headers, config, done);
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary Update the parent or name of an item, and resolve a name collision by the strategy.
+       * @private
+       * @param {string} type - {@linkcode file} or {@linkcode folder}.
+       * @param {number} id - The item's ID.
+       * @param {Object} fields - The new {@linkcode parent} and {@linkcode name}.
+       * @param {?OptsMove} opts - The collision strategy.
+       * @param {?RequestHeaders} headers - Additional headers.
+       * @param {?RequestConfig} config - Configure the request behaviour.
+       * @param {requestCallback} callback - Called with the item where it ended up.
+       */
+      _moveItem: function (type, id, fields, opts, headers, config, callback) {
+        var self = this,
+          update = type === 'file' ? self.updateFile : self.updateFolder,
+          strategy = (opts && opts.on_conflict) || 'fail',
+          n = 0,
+          name = fields.name;
+
+        if (!_.contains(STRATEGIES[type], strategy)) {
+          return callback(new Error('on_conflict must be one of: ' + STRATEGIES[type].join(', ')));
+        }
+
+        (function attempt(fields) {
+          update.call(self, id, fields, function (err, item) {
+            var conflict = _conflictOf(err);
+            if (!conflict || strategy === 'fail') {
+              return callback(err, item);
+            }
+            if (strategy === 'overwrite') {
+              return conflict.type === 'file' ? self._overwriteFile(id, conflict, headers, config, callback) :
+                callback(err);
+            }
+            if (strategy === 'merge') {
+              return conflict.type === 'folder' ? self._mergeFolder(id, conflict, opts, headers, config,
+                callback) : callback(err);
+            }
+
+            self._nameOf(type, id, name, config, function (err, own) {
+              if (err) {
+                return callback(err);
+              }
+              name = own;
+              attempt(_.extend({}, fields, {
+                name: _numbered(name, ++n, type)
+              }));
+            });
+          }, headers, config);
+        })(fields);
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary Get the name of an item being moved, unless it is given a new one.
+       * @private
+       * @param {string} type - {@linkcode file} or {@linkcode folder}.
+       * @param {number} id - The item's ID.
+       * @param {?string} name - The new name, if any.
+       * @param {?RequestConfig} config - Configure the request behaviour.
+       * @param {function} callback - Called with an optional error and the name.
+       */
+      _nameOf: function (type, id, name, config, callback) {
+        if (name) {
+          return callback(null, name);
+        }
+        var getInfo = type === 'file' ? this.getFileInfo : this.getFolderInfo;
+        getInfo.call(this, id, function (err, item) {
+          callback(err, item && item.name);
+        }, null, config);
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary Overwrite a file with another as a new version, then trash the other, unless it changed since
+       * the move was attempted. The move's {@linkcode If-Match} etag was already checked by Box then.
+       * @private
+       * @param {number} id - The ID of the file to move.
+       * @param {Object} target - The file in the way, in mini format.
+       * @param {?RequestHeaders} headers - Additional headers, with the {@linkcode If-Match} etag of the file
+       * to move.
+       * @param {?RequestConfig} config - Configure the request behaviour.
+       * @param {requestCallback} callback - Called with the overwritten file.
+       */
+      _overwriteFile: function (id, target, headers, config, callback) {
+        var self = this,
+          tmp = path.join(os.tmpdir(), 'box-sdk-overwrite-' + id + '-' + Date.now());
+
+        async.waterfall([
+          function (next) {
+            self.getFileInfo(id, next, null, config);
+          },
+          function (file, next) {
+            self.getFile(id, null, tmp, function (err) {
+              next(err, file);
+            }, config);
+          },
+          function (file, next) {
+            self.uploadFileNewVersion(tmp, target.id, {
+              content_modified_at: file.content_modified_at
+            }, function (err, result) {
+              next(err, file, result);
+            }, {
+              'If-Match': target.etag
+            }, config);
+          },
+          function (file, result, next) {
+            var overwritten = result.entries[0];
+            self.deleteFile(id, function (err) {
+              if (err) {
+                self.log.warning('File %s overwrote file %s, but could not be trashed: %s', id, target.id,
+                  err.message);
+                return next(_partial(err, overwritten));
+              }
+              next(null, overwritten);
+            }, {
+              'If-Match': _etagOf(headers) || file.etag
+            }, config);
+          }
+        ], function (err, file) {
+          fs.unlink(tmp, function () {
+            callback(err, file);
+          });
+        });
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary Merge a folder into another: move its items into the other, merging the subfolders in the
+       * way and resolving file collisions by {@linkcode opts.file_conflict}, then trash the emptied folder,
+       * unless it changed since the move was attempted. The move's {@linkcode If-Match} etag was already checked
+       * by Box then, and moving the items out does not change the folder's.
+       * @private
+       * @param {number} id - The ID of the folder to merge.
+       * @param {Object} target - The folder in the way, in mini format.
+       * @param {?OptsMove} opts - The collision strategy for files.
+       * @param {?RequestHeaders} headers - Additional headers, with the {@linkcode If-Match} etag of the folder
+       * to merge.
+       * @param {?RequestConfig} config - Configure the request behaviour.
+       * @param {requestCallback} callback - Called with the folder merged into.
+       */
+      _mergeFolder: function (id, target, opts, headers, config, callback) {
+        var self = this,
+          file_conflict = (opts && opts.file_conflict) || 'rename',
+          etag = _etagOf(headers),
+          items = [];
+
+        async.series([
+          function (next) {
+            if (etag) {
+              return next();
+            }
+            self.getFolderInfo(id, function (err, folder) {
+              etag = folder && folder.etag;
+              next(err);
+            }, null, config);
+          },
+          function (next) {
+            self.iterateFolderItems(id, {
+              limit: 1000
+            }, config).each(function (item, next) {
+              items.push(item);
+              next();
+            }, next);
+          },
+          function (next) {
+            async.eachSeries(items, function (item, next) {
+              var move = item.type === 'file' ? self.moveFile : self.moveFolder;
+              move.call(self, item.id, target.id, {
+                on_conflict: item.type === 'file' ? file_conflict : 'merge',
+                file_conflict: file_conflict
+              }, function (err) {
+                next(err);
+              }, null, config);
+            }, next);
+          },
+          function (next) {
+            self.deleteFolder(id, {
+              recursive: false
+            }, function (err) {
+              if (err) {
+                self.log.warning('Folder %s was merged into folder %s, but could not be trashed: %s', id, target.id,
+                  err.message);
+                return self.getFolderInfo(target.id, function (infoErr, folder) {
+                  next(_partial(err, infoErr ? target : folder));
+                }, null, config);
+              }
+              next();
+            }, {
+              'If-Match': etag
+            }, config);
+          }
+        ], function (err) {
+          if (err) {
+            return callback(err);
+          }
+          self.getFolderInfo(target.id, callback, null, config);
+        });
+      }
+    });
+};
@@ -0,0 +1,298 @@
+'use strict';
+
+var _ = require('lodash'),
+  errors = require('../../errors');
+
+/**
+ * The root folder, which the empty path resolves to.
+ * @private
+ */
+var ROOT = {
+  type: 'folder',
+  id: '0',
+  name: 'All Files'
+};
+
+/**
+ * Do not call this function directly.
+ * @summary Split a path into its names.
+ * @private
+ * @param {string} path - The path, e.g. {@linkcode /Projects/2026/report.pdf}.
+ * @returns {Array.<string>} The names, e.g. {@linkcode ['Projects', '2026', 'report.pdf']}.
+ */
+function _segments(path) {
+  return _.compact(path.split('/'));
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Create the error for a path that does not resolve to an item of the expected type.
+ * @private
+ * @param {string} path - The path.
+ * @param {string} [type] - The expected type, {@linkcode file} or {@linkcode folder}.
+ * @returns {BoxNotFoundError} The error.
+ */
+function _notFound(path, type) {
+  return new errors.BoxNotFoundError('No ' + (type || 'item') + ' at ' + path, {
+    status: 404,
+    code: 'not_found',
+    context_info: {
+      path: path
+    }
+  });
+}
+
+module.exports = function (Connection) {
+  Connection.addInstanceMethods(
+    /** @lends Connection.prototype */
+    {
+      /**
+       * Finds the item at a path, by listing the folders along it. Paths are relative to the root folder, and
+       * names are matched case-insensitively, as Box does. With a {@link PathCache}, only the folders not
+       * resolved before are listed.
+       * @summary Resolve a Path to an Item.
+       * @param {string} path - The path, e.g. {@linkcode /Projects/2026/report.pdf}.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * Called back with the item in mini format, with its {@linkcode type}, {@linkcode id} and
+       * {@linkcode name}, or a {@link BoxNotFoundError}.
+       * @param {?RequestConfig} [config] - Configure the behaviour of the listing requests.
+       */
+      resolvePath: function (path, done, config) {
+        if (!_.isString(path)) {
+          return done(new Error('path must be specified.'));
+        }
+        this._walkPath(path, false, config, function (err, item) {
+          done(err, item);
+        });
+      },
+
+      /**
+       * Resolves a path with {@link Connection#resolvePath}, and retrieves the file at it.
+       * @summary Get Information About a File by Path.
+       * @see {@link Connection#getFileInfo}
+       * @param {string} path - The file's path.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * @param {?RequestHeaders} [headers] - Additional headers.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      getFileByPath: function (path, done, headers, config) {
+        if (!_.isString(path)) {
+          return done(new Error('path must be specified.'));
+        }
+        this._getByPath('file', path, headers, config, done);
+      },
+
+      /**
+       * Resolves a path with {@link Connection#resolvePath}, and retrieves the folder at it.
+       * @summary Get Information About a Folder by Path.
+       * @see {@link Connection#getFolderInfo}
+       * @param {string} path - The folder's path.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * @param {?RequestHeaders} [headers] - Additional headers.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      getFolderByPath: function (path, done, headers, config) {
+        if (!_.isString(path)) {
+          return done(new Error('path must be specified.'));
+        }
+        this._getByPath('folder', path, headers, config, done);
+      },
+
+      /**
+       * Creates the folders along a path that do not exist yet, like {@linkcode mkdir -p}. Existing folders
+       * are detected from the {@linkcode item_name_in_use} conflict of {@link Connection#createFolder}, so
+       * that concurrent calls for the same path do not fail. Fails with a {@link BoxConflictError} if a file
+       * is in the way.
+       * @summary Create the Folders Along a Path.
+       * @param {string} path - The folder's path, e.g. {@linkcode /Projects/2026}.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * Called back with the innermost folder in mini format.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      createFolderPath: function (path, done, config) {
+        if (!_.isString(path)) {
+          return done(new Error('path must be specified.'));
+        }
+        this._walkPath(path, true, config, function (err, folder) {
+          done(err, folder);
+        });
+      },
+
+      /**
+       * Uploads a file into the folder at a path, creating the folders along it as needed with
+       * {@link Connection#createFolderPath}.
+       * @summary Upload a File to a Path.
+       * @see {@link Connection#uploadFile}
+       * @param {string} name - The fully qualified path to the local file.
+       * @param {string} path - The destination folder's path.
+       * @param {?OptsUploadFile} opts - Request options.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * @param {?RequestHeaders} [headers] - Additional headers.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       * @returns {Transfer} A handle publishing the progress of the upload.
+       */
+      uploadToPath: function (name, path, opts, done, headers, config) {
+        if (!_.isString(name) || !_.isString(path)) {
+          return done(new Error('Invalid params. Required - name: string, path: string'));
+        }
+
+        var self = this;
+        config = self._withTransfer('upload', config);
+
+        self.createFolderPath(path, function (err, folder) {
+          if (err) {
+            return done(err);
+          }
+          self.uploadFile(name, folder.id, opts, done, headers, config);
+        }, _.omit(config, 'transfer'));
+
+        return config.transfer;
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary Drop an item that is being renamed, moved or deleted from the {@link PathCache}, along with
+       * everything cached below it.
+       * @private
+       * @param {(number | string)} id - The item's ID.
+       */
+      _invalidatePath: function (id) {
+        if (this.path_cache) {
+          this.path_cache.invalidate(id);
+        }
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary Resolve a path, and retrieve the item at it if it has the expected type. An item that was
+       * cached but is not found anymore is resolved again.
+       * @private
+       * @param {string} type - {@linkcode file} or {@linkcode folder}.
+       * @param {string} path - The path.
+       * @param {?RequestHeaders} headers - Additional headers.
+       * @param {?RequestConfig} config - Configure the request behaviour.
+       * @param {requestCallback} callback - Called with the item.
+       */
+      _getByPath: function (type, path, headers, config, callback) {
+        var self = this;
+
+        self._walkPath(path, false, config, function (err, item, cached) {
+          if (err) {
+            return callback(err);
+          }
+          if (item.type !== type) {
+            return callback(_notFound(path, type));
+          }
+
+          var getInfo = type === 'file' ? self.getFileInfo : self.getFolderInfo;
+          getInfo.call(self, item.id, function (err, info) {
+            if (err instanceof errors.BoxNotFoundError && cached) {
+              self._invalidatePath(item.id);
+              return self._getByPath(type, path, headers, config, callback);
+            }
+            callback(err, info);
+          }, headers, config);
+        });
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary Walk a path from the root folder, looking up each name in its parent folder, or creating it
+       * as a folder. Starts from the longest cached prefix. If a cached folder is not found anymore, it is
+       * dropped from the cache and the walk starts over.
+       * @private
+       * @param {string} path - The path.
+       * @param {boolean} create - Whether to create missing folders.
+       * @param {?RequestConfig} config - Configure the request behaviour.
+       * @param {function} callback - Called with an optional error, the item, and whether it came from the
+       * cache.
+       */
+      _walkPath: function (path, create, config, callback) {
+        var self = this,
+          cache = self.path_cache,
+          segments = _segments(path),
+          start = segments.length;
+
+        while (start > 0 && !(cache && cache.get(segments.slice(0, start)))) {
+          start--;
+        }
+
+        (function step(i, parent, cached) {
+          if (i === segments.length) {
+            return callback(null, parent, cached);
+          }
+          if (parent.type !== 'folder') {
+            return callback(_notFound(path));
+          }
+
+          var lookup = create ? self._findOrCreateFolder : self._findChild;
+          lookup.call(self, parent.id, segments[i], config, function (err, item) {
+            if (err instanceof errors.BoxNotFoundError && cached && parent.id !== ROOT.id) {
+              cache.invalidate(parent.id);
+              return self._walkPath(path, create, config, callback);
+            }
+            if (err) {
+              return callback(err);
+            }
+            if (!item) {
+              return callback(_notFound(path));
+            }
+            if (cache) {
+              cache.set(segments.slice(0, i + 1), item);
+            }
+            step(i + 1, item, false);
+          });
+        })(start, start ? cache.get(segments.slice(0, start)) : ROOT, start > 0);
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary Find an item in a folder by name, listing the folder until it is found.
+       * @private
+       * @param {string} parent_id - The folder's ID.
+       * @param {string} name - The item's name.
+       * @param {?RequestConfig} config - Configure the request behaviour.
+       * @param {function} callback - Called with an optional error and the item in mini format, if found.
+       */
+      _findChild: function (parent_id, name, config, callback) {
+        var found = null;
+
+        name = name.toLowerCase();
+        this.iterateFolderItems(parent_id, {
+          limit: 1000
+        }, config).each(function (item, next) {
+          if (item.name.toLowerCase() === name) {
+            found = item;
+            return next(null, false);
+          }
+          next();
+        }, function (err) {
+          callback(err, found);
+        });
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary Create a folder, or get the existing one from the {@linkcode item_name_in_use} conflict.
+       * @private
+       * @param {string} parent_id - The parent folder's ID.
+       * @param {string} name - The folder's name.
+       * @param {?RequestConfig} config - Configure the request behaviour.
+       * @param {function} callback - Called with an optional error and the folder in mini format.
+       */
+      _findOrCreateFolder: function (parent_id, name, config, callback) {
+        this.createFolder(name, parent_id, function (err, folder) {
+          if (err instanceof errors.BoxConflictError && err.code === 'item_name_in_use') {
+            folder = _.find([].concat((err.context_info && err.context_info.conflicts) || []), {
+              type: 'folder'
+            });
+            err = folder ? null : err;
+          }
+          if (err) {
+            return callback(err);
+          }
+          callback(null, _.pick(folder, 'type', 'id', 'sequence_id', 'etag', 'name'));
+        }, config);
+      }
+    });
+};
@@ -65,6 +65,22 @@ module.exports = function (Connection) {
         opts.query = query;
 
         this._request(['search'], 'GET', done, opts, null, null, null, null, config);
+      },
+
+      /**
+       * Walks all the results of a search, fetching the pages as they are consumed.
+       * @summary Iterate over Search Results.
+       * @see {@link Connection#search}
+       * @param {string} query - The search keyword.
+       * @param {?(OptsSearch | OptsPager)} [opts] - Search and pagination options.
+       * @param {?RequestConfig} [config] - Configure the behaviour of the page requests.
+       * @returns {Pager} The results.
+       */
+      iterateSearch: function (query, opts, config) {
+        var self = this;
+        return this._pager(function (params, callback) {
+          self.search(query, params, callback, config);
+        }, opts);
       }
     });
 };
\ No newline at end of file
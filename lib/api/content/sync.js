@@ -0,0 +1,66 @@
+'use strict';
+
+var _ = require('lodash'),
+  DirectorySync = require('../../sync');
+
+module.exports = function (Connection) {
+  Connection.addInstanceMethods(
+    /** @lends Connection.prototype */
+    {
+      /**
+       * Creates a {@link DirectorySync} between a local directory and a folder on Box, to run repeatedly, or
+       * to keep in sync as changes are reported by long-polling through {@link DirectorySync#watch}.
+       * @summary Create a Directory Sync.
+       * @see {@link Connection#syncDirectory}
+       * @param {string} local_path - The local directory.
+       * @param {number} folder_id - The folder's ID on Box.
+       * @param {?OptsSync} [opts] - Direction, conflict policy, state, exclusions and concurrency.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       * @returns {DirectorySync} The sync.
+       * @throws {RangeError} Unknown direction or conflict policy.
+       * @example
+       * var sync = connection.createDirectorySync('/home/me/Projects', 1234, {
+       *   state: '/home/me/.projects-sync.db',
+       *   exclude: ['**\/.git', '**\/node_modules']
+       * });
+       * sync.run(function (err, report) {
+       *   sync.watch(function (err, report) {
+       *     ...
+       *   });
+       *   connection.startLongPolling();
+       * });
+       */
+      createDirectorySync: function (local_path, folder_id, opts, config) {
+        return DirectorySync(this, local_path, folder_id, opts, config);
+      },
+
+      /**
+       * Syncs a local directory with a folder on Box, once, in the direction given by
+       * {@linkcode opts.direction}. Files are compared by size and modification time, and by SHA-1 digest
+       * where those changed, against the state recorded by the last sync, so that deletions are told apart
+       * from new files. Keep the state in a file with {@linkcode opts.state} to sync deletions across runs.
+       * With {@linkcode config.dry_run}, nothing is changed, and the callback gets the plan instead.
+       * @summary Sync a Local Directory.
+       * @param {string} local_path - The local directory.
+       * @param {number} folder_id - The folder's ID on Box.
+       * @param {?OptsSync} opts - Direction, conflict policy, state, exclusions and concurrency.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the sync is done.
+       * Called back with a {@link SyncReport}, or a {@link DryRunPlan}. Failures of individual actions are
+       * reported in it, rather than as an error.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      syncDirectory: function (local_path, folder_id, opts, done, config) {
+        if (!_.isString(local_path) || !_.isNumber(parseInt(folder_id, 10))) {
+          return done(new Error('Invalid params. Required - local_path: string, folder_id: number'));
+        }
+
+        var sync;
+        try {
+          sync = this.createDirectorySync(local_path, folder_id, opts, config);
+        } catch (err) {
+          return done(err);
+        }
+        sync.run(done);
+      }
+    });
+};
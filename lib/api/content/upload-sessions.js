@@ -0,0 +1,459 @@
+'use strict';
+
+var _ = require('lodash'),
+  fs = require('fs'),
+  path = require('path'),
+  crypto = require('crypto'),
+  async = require('async'),
+  FileTokenStore = require('../../stores/file'),
+  //Journal files by path, so that concurrent uploads share one serialized writer per file.
+  journals = {};
+
+/**
+ * The UploadJournal interface: A key-value store in which chunked uploads record their upload session and
+ * uploaded parts while in progress. Has the same {@linkcode get}, {@linkcode set} and {@linkcode delete}
+ * methods as a {@link TokenStore}, so any token store can be used as a journal. Writes for a key must be
+ * applied in the order they are made.
+ * @typedef {Object} UploadJournal
+ * @property {function} get - {@linkcode get(key, callback)}: Called back with the stored entry, or
+ * {@linkcode null}.
+ * @property {function} set - {@linkcode set(key, entry, callback)}: Saves the entry for the key.
+ * @property {function} delete - {@linkcode delete(key, callback)}: Removes the entry for the key.
+ */
+
+module.exports = function (Connection) {
+  Connection.addInstanceMethods(
+    /** @lends Connection.prototype */
+    {
+      /**
+       * An upload session, as returned when creating one. Its {@linkcode part_size} determines how the file
+       * must be split.
+       * @external UploadSession
+       * @see {@link https://developer.box.com/reference/resources/upload-session/}
+       */
+
+      /**
+       * Creates an upload session for a new file, to upload it in parts. Used automatically by
+       * {@link Connection#uploadFile} for large files.
+       * @summary Create an Upload Session.
+       * @see {@link https://developer.box.com/reference/post-files-upload-sessions/}
+       * @param {number} parent_id - The parent folder's ID.
+       * @param {string} name - The new file's name.
+       * @param {number} size - The total size of the file in bytes.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      createUploadSession: function (parent_id, name, size, done, config) {
+        if (!_.isNumber(parseInt(parent_id, 10)) || !_.isString(name) || !_.isNumber(size)) {
+          return done(new Error('Invalid params. Required - parent_id: number, name: string, size: number'));
+        }
+
+        this._request(this.upload_url + '/files/upload_sessions', 'POST', done, null, {
+          folder_id: parent_id.toString(),
+          file_name: name,
+          file_size: size
+        }, null, null, null, config);
+      },
+
+      /**
+       * Creates an upload session for a new version of an existing file, to upload it in parts. Used
+       * automatically by {@link Connection#uploadFileNewVersion} for large files.
+       * @summary Create an Upload Session for a New Version of a File.
+       * @see {@link https://developer.box.com/reference/post-files-id-upload-sessions/}
+       * @param {number} id - The file's ID.
+       * @param {number} size - The total size of the new version in bytes.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      createNewVersionUploadSession: function (id, size, done, config) {
+        if (!_.isNumber(parseInt(id, 10)) || !_.isNumber(size)) {
+          return done(new Error('Invalid params. Required - id: number, size: number'));
+        }
+
+        this._request(this.upload_url + '/files/' + id + '/upload_sessions', 'POST', done, null, {
+          file_size: size
+        }, null, null, null, config);
+      },
+
+      /**
+       * Uploads one part of a file to an upload session. Every part except the last must be exactly
+       * {@linkcode part_size} bytes long, and start at a multiple of it.
+       * @summary Upload a Part.
+       * @see {@link https://developer.box.com/reference/put-files-upload-sessions-id/}
+       * @param {string} session_id - The upload session's ID.
+       * @param {Buffer} part - The part's data.
+       * @param {number} offset - The byte offset of the part within the file.
+       * @param {number} size - The total size of the file in bytes.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      uploadPart: function (session_id, part, offset, size, done, config) {
+        if (!_.isString(session_id) || !Buffer.isBuffer(part) || !_.isNumber(offset) || !_.isNumber(size)) {
+          return done(new Error('Invalid params. Required - session_id: string, part: Buffer, offset: number, ' +
+            'size: number'));
+        }
+
+        this._request(['files', 'upload_sessions', session_id], 'PUT', done, null, null, part, {
+          'Content-Range': 'bytes ' + offset + '-' + (offset + part.length - 1) + '/' + size,
+          Digest: 'sha=' + crypto.createHash('sha1').update(part).digest('base64')
+        }, null, config);
+      },
+
+      /**
+       * Completes an upload session once all parts have been uploaded, creating the file or the new version.
+       * An optional {@linkcode header[If-Match]} header can be included to ensure that a new version is only
+       * committed if the client knows about the latest version.
+       * @summary Commit an Upload Session.
+       * @see {@link https://developer.box.com/reference/post-files-upload-sessions-id-commit/}
+       * @param {string} session_id - The upload session's ID.
+       * @param {Array.<Object>} parts - The {@linkcode part} objects returned for each uploaded part, in order.
+       * @param {string} digest - The base64 encoded SHA-1 digest of the whole file.
+       * @param {?(OptsUploadFile | OptsUploadFileNewVersion)} opts - File attributes to set.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * @param {?RequestHeaders} [headers] - Additional headers.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      commitUploadSession: function (session_id, parts, digest, opts, done, headers, config) {
+        if (!_.isString(session_id) || !_.isArray(parts) || !_.isString(digest)) {
+          return done(new Error('Invalid params. Required - session_id: string, parts: Array, digest: string'));
+        }
+
+        this._request(this.upload_url + '/files/upload_sessions/' + session_id + '/commit', 'POST', done, null, {
+          parts: parts,
+          attributes: opts || {}
+        }, null, _.extend({}, headers, {
+          Digest: 'sha=' + digest
+        }), null, _.extend({
+          //Committing the same session twice cannot create a second file.
+          idempotent: true
+        }, config));
+      },
+
+      /**
+       * Returns the status of an upload session, including the number of parts processed so far.
+       * @summary Get an Upload Session.
+       * @see {@link https://developer.box.com/reference/get-files-upload-sessions-id/}
+       * @param {string} session_id - The upload session's ID.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      getUploadSession: function (session_id, done, config) {
+        if (!_.isString(session_id)) {
+          return done(new Error('session_id must be a string.'));
+        }
+
+        this._request(this.upload_url + '/files/upload_sessions/' + session_id, 'GET', done, null, null, null,
+          null, null, config);
+      },
+
+      /**
+       * Options to set for {@link Connection#getUploadSessionParts}.
+       * @typedef {Object} OptsGetUploadSessionParts
+       * @property {number} [limit] - The maximum number of parts to return. Defaults to 100, max 1000.
+       * @property {number} [offset] - The offset of the part at which to begin the response.
+       * @see {@link https://developer.box.com/reference/get-files-upload-sessions-id-parts/}
+       */
+
+      /**
+       * Returns the parts uploaded to an upload session so far.
+       * @summary List the Parts of an Upload Session.
+       * @see {@link https://developer.box.com/reference/get-files-upload-sessions-id-parts/}
+       * @param {string} session_id - The upload session's ID.
+       * @param {?OptsGetUploadSessionParts} opts - Request options.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      getUploadSessionParts: function (session_id, opts, done, config) {
+        if (!_.isString(session_id)) {
+          return done(new Error('session_id must be a string.'));
+        }
+
+        this._request(this.upload_url + '/files/upload_sessions/' + session_id + '/parts', 'GET', done, opts,
+          null, null, null, null, config);
+      },
+
+      /**
+       * Abandons an upload session, discarding all parts uploaded to it.
+       * @summary Abort an Upload Session.
+       * @see {@link https://developer.box.com/reference/delete-files-upload-sessions-id/}
+       * @param {string} session_id - The upload session's ID.
+       * @param {requestCallback} done - The callback to invoke (with possible errors) when the request returns.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      abortUploadSession: function (session_id, done, config) {
+        if (!_.isString(session_id)) {
+          return done(new Error('session_id must be a string.'));
+        }
+
+        this._request(this.upload_url + '/files/upload_sessions/' + session_id, 'DELETE', done, null, null, null,
+          null, null, config);
+      },
+
+      /**
+       * Parts are read from disk and uploaded at most as many at a time as the connection's concurrency, and
+       * each part is retried {@linkcode config.part_retries} times before giving up. After a part fails, no
+       * more parts are started, and the file is closed once those in flight are done. Without a
+       * {@linkcode config.journal}, the session is aborted on failure. With one, the session and its parts are
+       * recorded as they are uploaded, and a later upload of the same unchanged file to the same target lists
+       * the parts already on Box and only sends the rest. Do not call this method directly.
+       * @summary Upload a local file through an upload session.
+       * @private
+       * @param {string} name - The fully qualified path to the local file.
+       * @param {fs.Stats} stats - The stats of the local file.
+       * @param {string} target - Identifies the destination of the upload, e.g. {@linkcode folder:12345}.
+       * @param {function} createSession - Creates the upload session, given a {@link requestCallback}.
+       * @param {?Object} opts - File attributes to set on commit.
+       * @param {requestCallback} callback - Called with the committed file collection.
+       * @param {?RequestHeaders} [headers] - Additional headers for the commit.
+       * @param {?RequestConfig} [config] - Configure the request behaviour.
+       */
+      _uploadChunked: function (name, stats, target, createSession, opts, callback, headers, config) {
+        var self = this,
+          size = stats.size,
+          journal = _journal(config),
+          key = target + ':' + path.resolve(name),
+          parts = [],
+          session;
+
+        //Resolves to the session to upload to, and fills in any parts already uploaded to it.
+        function resume(next) {
+          journal.get(key, function (err, entry) {
+            if (err || !entry || !entry.session) {
+              return next(err, null);
+            }
+            if (entry.size !== size || entry.mtime !== stats.mtime.getTime()) {
+              self.log.debug('%s changed since upload session %s was started.', name, entry.session.id);
+              self.abortUploadSession(entry.session.id, _.noop);
+              return next(null, null);
+            }
+            if (entry.session.session_expires_at && Date.parse(entry.session.session_expires_at) <= Date.now()) {
+              self.log.debug('Upload session %s has expired.', entry.session.id);
+              return next(null, null);
+            }
+            self._getAllUploadSessionParts(entry.session.id, config, function (err, uploaded) {
+              if (err) {
+                self.log.debug('Cannot resume upload session %s: %s', entry.session.id, err.message);
+                return next(null, null);
+              }
+              self.log.debug('Resuming upload session %s: %d parts already uploaded.', entry.session.id,
+                uploaded.length);
+              parts = uploaded;
+              next(null, entry.session);
+            });
+          });
+        }
+
+        //Records the session and the parts uploaded so far.
+        function record(next) {
+          journal.set(key, {
+            session: session,
+            parts: _.sortBy(parts, 'offset'),
+            size: size,
+            mtime: stats.mtime.getTime()
+          }, next);
+        }
+
+        async.waterfall([
+
+          function (next) {
+            if (!journal) {
+              return next(null, null);
+            }
+            resume(next);
+          },
+          function (resumed, next) {
+            if (resumed) {
+              return next(null, resumed);
+            }
+            createSession(function (err, result) {
+              if (err || !journal) {
+                return next(err, result);
+              }
+              session = result;
+              record(function (err) {
+                next(err, result);
+              });
+            });
+          },
+          function (result, next) {
+            session = result;
+            self.log.debug('Upload session %s: %d parts of %d bytes.', session.id, session.total_parts,
+              session.part_size);
+            fs.open(name, 'r', next);
+          },
+          function (fd, next) {
+            var offsets = _.difference(_.range(0, size, session.part_size), _.pluck(parts, 'offset'));
+
+            if (config && config.transfer) {
+              config.transfer.setTotal(size, _.reduce(parts, function (sum, part) {
+                return sum + part.size;
+              }, 0));
+            }
+            async.parallel([
+              _.partial(_digestFile, name),
+              function (cb) {
+                var failed = null;
+
+                //The parts in flight read from the file: keep going until they are done, then close it.
+                async.eachLimit(offsets, self.queue.concurrency, function (offset, cb) {
+                  if (failed) {
+                    return cb();
+                  }
+                  self._uploadPartFromFile(session, fd, offset, size, config, function (err, part) {
+                    if (err) {
+                      failed = failed || err;
+                      return cb();
+                    }
+                    parts.push(part);
+                    if (config && config.transfer) {
+                      config.transfer.update(part.size);
+                    }
+                    if (!journal) {
+                      return cb();
+                    }
+                    record(function (err) {
+                      failed = failed || err;
+                      cb();
+                    });
+                  });
+                }, function () {
+                  fs.close(fd, function () {
+                    cb(failed);
+                  });
+                });
+              }
+            ], next);
+          },
+          function (results, next) {
+            self.commitUploadSession(session.id, _.sortBy(parts, 'offset'), results[0], opts, next,
+              _.omit(headers || {}, 'Content-MD5'), config);
+          },
+          function (result, next) {
+            if (!journal) {
+              return next(null, result);
+            }
+            journal['delete'](key, function (err) {
+              next(err, result);
+            });
+          }
+        ], function (err, result) {
+          if (err && session && !journal) {
+            self.log.debug('Aborting upload session %s.', session.id);
+            self.abortUploadSession(session.id, _.noop);
+          }
+          callback(err, result);
+        });
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary List all parts of an upload session, across pages.
+       * @private
+       * @param {string} session_id - The upload session's ID.
+       * @param {?RequestConfig} config - Configure the request behaviour.
+       * @param {function} callback - Called with the {@linkcode part} objects.
+       */
+      _getAllUploadSessionParts: function (session_id, config, callback) {
+        var self = this,
+          parts = [],
+          total = 1;
+
+        async.whilst(function () {
+          return parts.length < total;
+        }, function (next) {
+          self.getUploadSessionParts(session_id, {
+            offset: parts.length,
+            limit: 1000
+          }, function (err, result) {
+            if (!err && !(result && _.isArray(result.entries))) {
+              err = new Error(JSON.stringify(result));
+            }
+            if (err) {
+              return next(err);
+            }
+            parts = parts.concat(result.entries);
+            //Guard against a short page, which would otherwise loop forever.
+            total = result.entries.length ? result.total_count : parts.length;
+            next();
+          }, config);
+        }, function (err) {
+          callback(err, parts);
+        });
+      },
+
+      /**
+       * Do not call this method directly.
+       * @summary Read one part of a local file and upload it, retried by the retry policy, with
+       * {@linkcode config.part_retries} as its {@linkcode max_retries}.
+       * @private
+       * @param {external:UploadSession} session - The upload session.
+       * @param {number} fd - The open file descriptor of the local file.
+       * @param {number} offset - The byte offset of the part.
+       * @param {number} size - The size of the local file.
+       * @param {?RequestConfig} config - Configure the request behaviour.
+       * @param {function} callback - Called with the uploaded {@linkcode part} object.
+       */
+      _uploadPartFromFile: function (session, fd, offset, size, config, callback) {
+        var self = this,
+          buffer = new Buffer(Math.min(session.part_size, size - offset));
+
+        if (config && _.isNumber(config.part_retries)) {
+          config = _.extend({}, config, {
+            num_retries: config.part_retries
+          });
+        }
+
+        fs.read(fd, buffer, 0, buffer.length, offset, function (err) {
+          if (err) {
+            return callback(err);
+          }
+          self.uploadPart(session.id, buffer, offset, size, function (err, body) {
+            if (!err && !(body && body.part)) {
+              err = new Error(JSON.stringify(body));
+            }
+            callback(err, body && body.part);
+          }, config);
+        });
+      }
+    });
+};
+
+/**
+ * Resolve the upload journal configured for a request.
+ * @private
+ * @param {?RequestConfig} config - The request config.
+ * @returns {?UploadJournal} The journal, or {@linkcode null} if none is configured.
+ */
+function _journal(config) {
+  if (!config || !config.journal) {
+    return null;
+  }
+  if (!_.isString(config.journal)) {
+    return config.journal;
+  }
+
+  var filename = path.resolve(config.journal);
+  if (!journals[filename]) {
+    journals[filename] = new FileTokenStore(filename);
+  }
+  return journals[filename];
+}
+
+/**
+ * Compute the base64 encoded SHA-1 digest of a local file.
+ * @private
+ * @param {string} name - The fully qualified path to the local file.
+ * @param {function} callback - Called with the digest.
+ */
+function _digestFile(name, callback) {
+  var hash = crypto.createHash('sha1'),
+    stream = fs.createReadStream(name);
+
+  stream.on('data', function (data) {
+    hash.update(data);
+  });
+  stream.on('error', callback);
+  stream.on('end', function () {
+    callback(null, hash.digest('base64'));
+  });
+}
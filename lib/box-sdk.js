@@ -28,8 +28,52 @@
 
 var base = require('base-framework'),
 	_ = require('lodash'),
-	Log = require('log'),
-	Connection = require('./connector');
+	http = require('http'),
+	url = require('url'),
+	Router = require('router'),
+	Connection = require('./connector'),
+	RequestHandle = require('./handle'),
+	Transfer = require('./transfer'),
+	RetryPolicy = require('./retry-policy'),
+	RateLimiter = require('./rate-limiter'),
+	errors = require('./errors'),
+	logging = require('./logging'),
+	PrometheusMetrics = require('./metrics'),
+	Pager = require('./pager'),
+	Walker = require('./walker'),
+	PathCache = require('./path-cache'),
+	DirectorySync = require('./sync'),
+	TokenStore = require('./stores/token-store'),
+	MemoryTokenStore = require('./stores/memory'),
+	FileTokenStore = require('./stores/file'),
+	NedbTokenStore = require('./stores/nedb'),
+	FakeServer = require('./fake/server');
+
+/**
+ * Default base URLs of the Box endpoints, overridable through {@link BoxInit}.
+ * @private
+ */
+var DEFAULT_URLS = {
+	api_url: 'https://app.box.com/api/2.0',
+	upload_url: 'https://upload.box.com/api/2.0',
+	oauth_url: 'https://app.box.com/api/oauth2',
+	authorize_url: 'https://app.box.com/api/oauth2/authorize'
+};
+
+/**
+ * Write a minimal HTML page as the response to an authorization callback.
+ * @private
+ * @param {http.ServerResponse} res - The response to write to.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - The message to display.
+ */
+function _respond(res, status, message) {
+	res.writeHead(status, {
+		'Content-Type': 'text/html'
+	});
+	res.end('<!DOCTYPE html><html><head><title>Box Authorization</title></head><body><p>' +
+		_.escape(message) + '</p></body></html>');
+}
 
 /**
  * Constructor options for the Box object.
@@ -37,8 +81,31 @@ var base = require('base-framework'),
  * @property {string} client_id - The Box app's Client ID.
  * @property {string} client_secret - The Box app's Client Secret.
  * @property {number} port - The port on which to listen for the authorization callback.
+ * @property {optionalErrorCallback} [on_listen] - Optional callback invoked once the authorization callback
+ * server is listening, or with the error that stopped it from listening, e.g. the port being in use. Such
+ * errors are logged either way, rather than thrown.
  * @property {string} [host] - Optional host on which to listen for the authorization callback.
  * Defaults to {@linkcode localhost}.
+ * @property {TokenStore} [store] - Optional persistent store for connection tokens. Connections are
+ * rehydrated from it when first requested, and every token change is written back.
+ * @property {string} [api_url] - Optional base URL of the Content API, e.g. a gateway or a local fake server.
+ * Defaults to {@linkcode https://app.box.com/api/2.0}.
+ * @property {string} [upload_url] - Optional base URL of the Upload API.
+ * Defaults to {@linkcode https://upload.box.com/api/2.0}.
+ * @property {string} [oauth_url] - Optional base URL of the OAuth2 token endpoint.
+ * Defaults to {@linkcode https://app.box.com/api/oauth2}.
+ * @property {string} [authorize_url] - Optional URL of the authorization page users are sent to.
+ * Defaults to {@linkcode https://app.box.com/api/oauth2/authorize}.
+ * @property {(RetryPolicy | RetryPolicyInit)} [retry] - Optional retry policy of all connections' requests.
+ * Defaults to a {@link RetryPolicy} with the default options.
+ * @property {(RateLimiterInit | RateLimiter)} [rate_limit] - Optional rate limit shared by all connections.
+ * Pass a {@link RateLimiter} to share it with other Box instances as well. Not limited by default.
+ * @property {string} [log_format] - Optional log format: {@linkcode text}, or {@linkcode json} for one
+ * JSON object per line (see {@link JsonLog}). Defaults to {@linkcode text}.
+ * @property {Metrics} [metrics] - Optional metrics to report request counts, latency, retries and queue depth
+ * to, such as a {@link PrometheusMetrics}.
+ * @property {(boolean | PathCacheInit)} [path_cache] - Optional: give each connection a {@link PathCache}, so
+ * that paths are not resolved again on every call. Disabled by default.
  */
 
 /**
@@ -54,8 +121,14 @@ var Box = base.createChild().addInstanceMethods(
 	/** @lends Box.prototype */
 	{
 		init: function (opts, logLevel, logStream) {
-			var self = this;
+			var self = this,
+				Log = (opts && opts.log_format === 'json') ? logging.JsonLog : logging.TextLog;
 			self.connections = {};
+			self.log = new Log(logLevel || 'info', logStream);
+
+			_.forIn(DEFAULT_URLS, function (value, key) {
+				self[key] = ((opts && opts[key]) || value).replace(/\/+$/, '');
+			});
 
 			if (opts) {
 				if (!opts.client_id) {
@@ -66,30 +139,83 @@ var Box = base.createChild().addInstanceMethods(
 				}
 
 				self.port = parseInt(opts.port, 10);
-				if (!_.isNumber(self.port)) {
+				if (_.isNaN(self.port) || self.port < 0 || self.port > 65535) {
 					throw new Error('Must specify a numeric port');
 				}
 
-                self.host = opts.host || 'localhost';
-                self.log = new Log(logLevel || 'info', logStream);
-                self.client_id = opts.client_id;
-                self.client_secret = opts.client_secret;
-                self.access_token = opts.access_token;
-                self.access_token_expiration = opts.access_token_expiration;
-                self.refresh_token = opts.refresh_token;
-                self.refresh_token_expiration = opts.refresh_token_expiration;
-
-                setTimeout(function() {
-                    self.connections['ehgt']._setTokens({
-                        access_token: opts.access_token,
-                        access_token_expiration: opts.access_token_expiration,
-                        refresh_token: opts.refresh_token,
-                        refresh_token_expiration: opts.refresh_token_expiration
-                    });
-                }, 2000);
+				self.host = opts.host || 'localhost';
+				self.client_id = opts.client_id;
+				self.client_secret = opts.client_secret;
+				self.store = opts.store;
+				self.retry = opts.retry;
+				self.metrics = opts.metrics;
+				self.path_cache = opts.path_cache;
+				if (opts.rate_limit) {
+					self.limiter = (opts.rate_limit instanceof RateLimiter) ? opts.rate_limit :
+						RateLimiter(opts.rate_limit);
+				}
+
+				self._startServer(opts.on_listen || _.noop);
 			}
 		},
 
+		/**
+		 * Do not call this method directly.
+		 * @summary Start the authorization callback listener for standalone mode.
+		 * @private
+		 * @param {optionalErrorCallback} callback - Invoked once listening, or with the error that prevented it.
+		 */
+		_startServer: function (callback) {
+			var self = this,
+				router = new Router(),
+				socketId = 0;
+
+			router.get('/authorize', function (req, res) {
+				var query = url.parse(req.url, true).query,
+					connection = self.connections[query.id];
+
+				if (query.error) {
+					self.log.error('Authorization denied: %s', query.error_description || query.error);
+					return _respond(res, 403, 'Authorization denied: ' + (query.error_description || query.error));
+				}
+				if (!connection || !query.code) {
+					return _respond(res, 400, 'Invalid authorization request.');
+				}
+				if (query.state !== connection.csrf) {
+					self.log.error('CSRF state mismatch for %s.', connection.email);
+					return _respond(res, 403, 'Invalid authorization state.');
+				}
+
+				connection._exchangeCode(query.code, function (err) {
+					if (err) {
+						self.log.error('Token exchange failed for %s: %s', connection.email, err.message);
+						return _respond(res, 500, 'Authorization failed: ' + err.message);
+					}
+					_respond(res, 200, 'Authorization code received. You may close this window.');
+				});
+			});
+
+			self.sockets = {};
+			self.server = http.createServer(router);
+			self.server.on('connection', function (socket) {
+				var id = socketId++;
+				self.sockets[id] = socket;
+				socket.on('close', function () {
+					delete self.sockets[id];
+				});
+			});
+			self.server.on('error', function (err) {
+				self.log.error('Authorization callback server failed on %s:%d: %s', self.host, self.port, err.message);
+				callback(err);
+				callback = _.noop;
+			});
+			self.server.listen(self.port, self.host, function () {
+				self.log.info('Listening for authorization callbacks on %s:%d', self.host, self.port);
+				callback();
+				callback = _.noop;
+			});
+		},
+
 		/**
 		 * Get a connection for the provided email id.
 		 * @param {string} email - The email account identifier to connect to.
@@ -103,6 +229,20 @@ var Box = base.createChild().addInstanceMethods(
 
 			var connection = new Connection(this, email);
 			this.connections[email] = connection;
+
+			if (this.store) {
+				this.store.get(email, function (err, tokens) {
+					if (err) {
+						return connection.log.error('Could not load tokens for %s: %s', email, err.message);
+					}
+					//Tokens obtained while the lookup was pending are newer.
+					if (tokens && !connection.isAuthenticated()) {
+						connection.log.debug('Tokens loaded from store for %s.', email);
+						connection._setTokens(tokens);
+					}
+				});
+			}
+
 			return connection;
 		},
 
@@ -162,4 +302,130 @@ exports.Box = Box;
 /**
  * The {@link Connection} prototype, instances of which represent a specific account.
  */
-exports.Connection = Connection;
\ No newline at end of file
+exports.Connection = Connection;
+
+/**
+ * The {@link TokenStore} prototype, to be extended by custom token store implementations.
+ */
+exports.TokenStore = TokenStore;
+
+/**
+ * The {@link MemoryTokenStore} prototype.
+ * @example
+ * var box = box_sdk.Box({
+ *   ...
+ *   store: box_sdk.MemoryTokenStore()
+ * });
+ */
+exports.MemoryTokenStore = MemoryTokenStore;
+
+/**
+ * The {@link FileTokenStore} prototype.
+ * @example
+ * var box = box_sdk.Box({
+ *   ...
+ *   store: box_sdk.FileTokenStore('/var/lib/myapp/box-tokens.json')
+ * });
+ */
+exports.FileTokenStore = FileTokenStore;
+
+/**
+ * The {@link NedbTokenStore} prototype.
+ * @example
+ * var box = box_sdk.Box({
+ *   ...
+ *   store: box_sdk.NedbTokenStore('/var/lib/myapp/box-tokens.db')
+ * });
+ */
+exports.NedbTokenStore = NedbTokenStore;
+
+/**
+ * The {@link FakeServer} prototype, for testing without network access.
+ */
+exports.FakeServer = FakeServer;
+
+/**
+ * The {@link RequestHandle} prototype, to cancel API calls. Pass one in as {@linkcode config.handle} to cancel
+ * several calls at once.
+ */
+exports.RequestHandle = RequestHandle;
+
+/**
+ * The {@link Transfer} prototype, of the handles returned by API methods that upload or download file contents.
+ */
+exports.Transfer = Transfer;
+
+/**
+ * The {@link Pager} prototype, of the iterators returned by the API methods that walk all pages of a listing.
+ */
+exports.Pager = Pager;
+
+/**
+ * The {@link Walker} prototype, of the iterators returned by {@link Connection#walkFolder}.
+ */
+exports.Walker = Walker;
+
+/**
+ * The {@link PathCache} prototype, of the caches of resolved paths.
+ */
+exports.PathCache = PathCache;
+
+/**
+ * The {@link DirectorySync} prototype, of the syncs returned by {@link Connection#createDirectorySync}.
+ */
+exports.DirectorySync = DirectorySync;
+
+/**
+ * The {@link RetryPolicy} prototype, to configure how failed requests are retried.
+ */
+exports.RetryPolicy = RetryPolicy;
+
+/**
+ * The {@link RateLimiter} prototype, to share a rate limit across Box instances or connections.
+ */
+exports.RateLimiter = RateLimiter;
+
+/**
+ * The {@link redact} function, which removes tokens and secrets from values before they are logged.
+ */
+exports.redact = logging.redact;
+
+/**
+ * The {@link PrometheusMetrics} prototype, to collect connection metrics and export them to Prometheus.
+ */
+exports.PrometheusMetrics = PrometheusMetrics;
+
+/**
+ * The {@link BoxError} class, which all errors returned for Box error responses are instances of.
+ */
+exports.BoxError = errors.BoxError;
+
+/**
+ * The {@link BoxAuthError} class.
+ */
+exports.BoxAuthError = errors.BoxAuthError;
+
+/**
+ * The {@link BoxNotFoundError} class.
+ */
+exports.BoxNotFoundError = errors.BoxNotFoundError;
+
+/**
+ * The {@link BoxConflictError} class.
+ */
+exports.BoxConflictError = errors.BoxConflictError;
+
+/**
+ * The {@link BoxPreconditionFailedError} class.
+ */
+exports.BoxPreconditionFailedError = errors.BoxPreconditionFailedError;
+
+/**
+ * The {@link BoxRateLimitError} class.
+ */
+exports.BoxRateLimitError = errors.BoxRateLimitError;
+
+/**
+ * The {@link BoxServerError} class.
+ */
+exports.BoxServerError = errors.BoxServerError;
\ No newline at end of file
@@ -1,15 +1,195 @@
 'use strict';
 
 var request = require('request'),
-  url = require('url'),
   _ = require('lodash'),
   querystring = require('querystring'),
+  parseUrl = require('url').parse,
   base = require('base-framework'),
   fs = require('fs'),
   path = require('path'),
   async = require('async'),
   Monologue = require('monologue.js')(_),
-  FormData = require('form-data');
+  FormData = require('form-data'),
+  Transfer = require('./transfer'),
+  RateLimiter = require('./rate-limiter'),
+  Pager = require('./pager'),
+  RetryPolicy = require('./retry-policy'),
+  PathCache = require('./path-cache'),
+  errors = require('./errors'),
+  promises = require('./promises');
+
+/**
+ * The token properties persisted to a {@link TokenStore}.
+ * @private
+ */
+var TOKEN_KEYS = ['access_token', 'refresh_token', 'expires_in', 'expires_at', 'restricted_to', 'token_type'];
+
+/**
+ * How long before the access token expires (in milliseconds) that it is proactively refreshed.
+ * @private
+ */
+var REFRESH_MARGIN = 60000;
+
+/**
+ * The number of connections created, to give each an opaque label in metrics.
+ * @private
+ */
+var connections = 0;
+
+/**
+ * Do not call this function directly.
+ * @summary Perform a queued request whose successful response body is streamed into a Writable.
+ * The Writable first receives a {@linkcode response} event with the response. Other responses (redirects,
+ * errors) are small, and are buffered and passed to the task handler as usual.
+ * An error once streaming has begun, including cancellation, is emitted on the Writable, since the request
+ * cannot be retried without repeating the bytes already written.
+ * @private
+ * @param {Object} task - The queued task, with {@linkcode opts}, {@linkcode handler} and {@linkcode pipe}.
+ * @param {function} callback - Called once the request has completed, to free its slot in the queue.
+ */
+function _stream(task, callback) {
+  var r = request(task.opts),
+    streaming = false,
+    chunks = [],
+    unregister = _.noop,
+    finish = _.once(function () {
+      unregister();
+      callback();
+    }),
+    fail = _.once(function (err) {
+      if (streaming) {
+        task.pipe.emit('error', err);
+      } else {
+        task.handler(err);
+      }
+      finish();
+    });
+
+  if (task.handle) {
+    unregister = task.handle._register(function () {
+      r.abort();
+      fail(task.handle.error());
+    });
+  }
+
+  r.on('response', function (res) {
+    var range;
+
+    if (res.statusCode === 200 || res.statusCode === 206) {
+      streaming = true;
+      //Let the handler (and middleware) see the response. Its body goes to the Writable.
+      task.handler(null, res);
+      if (task.transfer) {
+        range = (/^bytes (\d+)-\d+\/(\d+)$/).exec(res.headers['content-range'] || '');
+        if (range) {
+          task.transfer.setTotal(parseInt(range[2], 10), parseInt(range[1], 10));
+        } else {
+          task.transfer.setTotal(parseInt(res.headers['content-length'], 10), 0);
+        }
+        r.on('data', function (chunk) {
+          task.transfer.update(chunk.length);
+        });
+      }
+      r.on('end', finish);
+      task.pipe.emit('response', res);
+      r.pipe(task.pipe);
+      return;
+    }
+
+    r.on('data', function (chunk) {
+      chunks.push(chunk);
+    });
+    r.on('end', function () {
+      var body = Buffer.concat(chunks).toString();
+      try {
+        body = JSON.parse(body);
+      } catch (e) {
+        //Not JSON. Pass it through as is.
+      }
+      task.handler(null, res, body);
+      finish();
+    });
+  });
+
+  r.on('error', fail);
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Perform a queued request whose response is buffered and passed to the task handler. A form upload
+ * is streamed as the request body.
+ * @private
+ * @param {Object} task - The queued task, with {@linkcode opts} and {@linkcode handler}.
+ * @param {function} callback - Called once the request has completed, to free its slot in the queue.
+ */
+function _send(task, callback) {
+  var unregister = _.noop,
+    finish = _.once(function (err, res, body) {
+      unregister();
+      task.handler(err, res, body);
+      callback();
+    }),
+    r = request(task.opts, finish);
+
+  if (task.handle) {
+    unregister = task.handle._register(function () {
+      r.abort();
+      finish(task.handle.error());
+    });
+  }
+  if (task.form) {
+    r._form = task.form;
+    if (task.transfer) {
+      task.transfer.setTotal(task['content-length'], 0);
+      task.form.on('data', function (chunk) {
+        task.transfer.update(Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk));
+      });
+    }
+  }
+  if (task['content-length']) {
+    r.setHeader('content-length', task['content-length']);
+  }
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Pass a dequeued task through the connection's middleware, and perform the request it ends up with.
+ * @private
+ * @param {Object} task - The queued task.
+ * @param {Connection} connection - The connection, with its {@linkcode middleware}, outermost first.
+ * @param {function} callback - Called once the request has completed, or a middleware has responded in its
+ * place, to free its slot in the queue.
+ */
+function _intercept(task, connection, callback) {
+  var middleware = connection.middleware,
+    dispatched = false,
+    handler = task.handler;
+
+  function next(index, opts, cb) {
+    if (index === middleware.length) {
+      var started = Date.now();
+      dispatched = true;
+      return (task.pipe ? _stream : _send)(_.extend({}, task, {
+        opts: opts,
+        handler: function (err, res, body) {
+          connection._recordRequest(opts, task.retries, Date.now() - started, err, res, body);
+          cb(err, res, body);
+        }
+      }), callback);
+    }
+    middleware[index](opts, function (nextOpts, nextCb) {
+      next(index + 1, nextOpts || opts, nextCb || cb);
+    }, cb);
+  }
+
+  next(0, task.opts, function (err, res, body) {
+    handler(err, res, body);
+    //A request that was sent frees its slot once it completes, including the streaming of a download.
+    if (!dispatched) {
+      callback();
+    }
+  });
+}
 
 /**
  * @class Connection
@@ -22,25 +202,38 @@ var Connection = base.createChild().addInstanceMethods(
   /** @lends Connection.prototype */
   {
     init: function (box, email) {
+      var self = this;
+
       this.email = email;
+      this.metrics_label = String(++connections);
       this.csrf = Math.random().toString(36).slice(2);
       this.concurrency = 7;
 
-      _.each(['host', 'port', 'log', 'client_id', 'client_secret'], function (key) {
+      _.each(['host', 'port', 'log', 'client_id', 'client_secret', 'store', 'api_url', 'upload_url', 'oauth_url',
+        'authorize_url', 'retry', 'metrics'
+      ], function (key) {
         this[key] = box[key];
       }, this);
 
-      this.queue = async.queue(function (task, cb) {
-        var r = request(task.opts, function (err, res, body) {
-          task.handler(err, res, body);
-          cb();
-        });
-        if (task.form) {
-          r._form = task.form;
-        }
-        if (task['content-length']) {
-          r.setHeader('content-length', task['content-length']);
+      //The Box's rate limiter is shared by all its connections. A connection may add one of its own.
+      this.shared_limiter = box.limiter || null;
+      this.limiter = null;
+      this.middleware = [];
+      this.setPathCache(box.path_cache);
+
+      this.queue = async.queue(function (task, callback) {
+        var cb = function () {
+          callback();
+          self._reportQueue();
+        };
+
+        self._reportQueue();
+        task.dequeue();
+        if (task.handle && task.handle.cancelled) {
+          task.handler(task.handle.error());
+          return cb();
         }
+        _intercept(task, self, cb);
       }, this.concurrency);
 
       return this;
@@ -56,19 +249,14 @@ var Connection = base.createChild().addInstanceMethods(
         return this.auth_url;
       }
       var self = this,
-        destination = {
-          protocol: 'https',
-          host: 'app.box.com',
-          pathname: '/api/oauth2/authorize',
-          search: querystring.stringify({
-            response_type: 'code',
-            client_id: self.client_id,
-            state: self.csrf,
-            redirect_uri: 'http://' + self.host + ':' + self.port + '/authorize?id=' + self.email
-          })
-        };
+        search = querystring.stringify({
+          response_type: 'code',
+          client_id: self.client_id,
+          state: self.csrf,
+          redirect_uri: 'http://' + self.host + ':' + self.port + '/authorize?id=' + self.email
+        });
 
-      self.auth_url = url.format(destination);
+      self.auth_url = self.authorize_url + '?' + search;
       return self.auth_url;
     },
 
@@ -78,6 +266,8 @@ var Connection = base.createChild().addInstanceMethods(
      * @property {string} access_token - The Access Token.
      * @property {string} refresh_token - The Refresh Token.
      * @property {number} [expires_in] - Optional lifetime value of access token in seconds.
+     * @property {number} [expires_at] - Optional absolute expiry of the access token, in milliseconds since
+     * the epoch. Computed from {@linkcode expires_in} when not provided.
      * @property {Array} [restricted_to] - Optional (possibly) list of IP from which to grant access.
      * @property {string} [token_type] - Optional. Value should normally be 'bearer'.
      */
@@ -90,7 +280,20 @@ var Connection = base.createChild().addInstanceMethods(
      * @fires Connection#"tokens.set"
      */
     _setTokens: function (tokens) {
-      _.merge(this, tokens);
+      var self = this;
+
+      _.merge(self, tokens);
+      //Tokens rehydrated from a store carry their original expiry, which must not be pushed forward.
+      if (tokens.expires_in && !tokens.expires_at) {
+        self.expires_at = Date.now() + tokens.expires_in * 1000;
+      }
+      if (self.store) {
+        self.store.set(self.email, _.pick(self, TOKEN_KEYS), function (err) {
+          if (err) {
+            self.log.error('Could not save tokens for %s: %s', self.email, err.message);
+          }
+        });
+      }
       /**
        * Fires when access tokens have been set on this connection. Could be triggered more than once,
        * so listeners must deregister after receiving the first event.
@@ -99,7 +302,125 @@ var Connection = base.createChild().addInstanceMethods(
        * @type {AuthTokens}
        * @see {@link Connection#ready}
        */
-      this.emit('tokens.set', tokens);
+      self.emit('tokens.set', tokens);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Exchange an authorization code for authentication tokens.
+     * @private
+     * @param {string} code - The authorization code received on the callback URL.
+     * @param {optionalErrorCallback} callback - Called once the tokens have been set, or on failure.
+     * @fires Connection#"tokens.set"
+     */
+    _exchangeCode: function (code, callback) {
+      var self = this;
+
+      request.post({
+        url: self.oauth_url + '/token',
+        form: {
+          grant_type: 'authorization_code',
+          code: code,
+          client_id: self.client_id,
+          client_secret: self.client_secret
+        },
+        json: true
+      }, function (err, res, body) {
+        if (err) {
+          return callback(err);
+        }
+        if (res.statusCode !== 200) {
+          return callback(errors.fromResponse(res, body, 'POST', self.oauth_url + '/token', errors.BoxAuthError));
+        }
+        self.log.debug('Tokens received for %s.', self.email);
+        self._setTokens(body);
+        callback();
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Determine if the access token is expired or about to expire.
+     * @private
+     * @returns {boolean} True if the access token should be refreshed before use.
+     */
+    _isTokenExpiring: function () {
+      return this.isAuthenticated() && !!this.refresh_token && !!this.expires_at &&
+        Date.now() >= this.expires_at - REFRESH_MARGIN;
+    },
+
+    /**
+     * Concurrent calls share a single in-flight token request, and are all called back when it returns.
+     * Do not call this method directly.
+     * @summary Refresh the authentication tokens for this connection.
+     * @private
+     * @param {optionalErrorCallback} callback - Called once the new tokens have been set, or on failure.
+     * @fires Connection#"tokens.set"
+     * @fires Connection#"tokens.refreshed"
+     * @fires Connection#"tokens.refresh_failed"
+     */
+    _refreshTokens: function (callback) {
+      var self = this;
+
+      if (self._refreshCallbacks) {
+        return self._refreshCallbacks.push(callback);
+      }
+      self._refreshCallbacks = [callback];
+
+      function _done(err) {
+        var callbacks = self._refreshCallbacks;
+        delete self._refreshCallbacks;
+
+        if (err) {
+          /**
+           * Fires when the access token could not be refreshed.
+           * @event Connection#"tokens.refresh_failed"
+           * @type {Error}
+           */
+          self.emit('tokens.refresh_failed', err);
+        } else {
+          /**
+           * Fires when the access token has been refreshed. Preceded by a {@link Connection#"tokens.set"} event.
+           * @event Connection#"tokens.refreshed"
+           * @type {AuthTokens}
+           */
+          self.emit('tokens.refreshed', _.pick(self, TOKEN_KEYS));
+        }
+        _.each(callbacks, function (cb) {
+          cb(err);
+        });
+      }
+
+      request.post({
+        url: self.oauth_url + '/token',
+        form: {
+          client_id: self.client_id,
+          client_secret: self.client_secret,
+          grant_type: 'refresh_token',
+          refresh_token: self.refresh_token
+        },
+        json: true
+      }, function (err, res, body) {
+        if (err) {
+          return _done(err);
+        }
+        if (res.statusCode !== 200) {
+          //The refresh token is no longer usable, so there is no point keeping it around.
+          self._revokeAccess();
+          if (self.store) {
+            self.store['delete'](self.email, function (err) {
+              if (err) {
+                self.log.error('Could not delete tokens for %s: %s', self.email, err.message);
+              }
+            });
+          }
+          return _done(errors.fromResponse(res, body, 'POST', self.oauth_url + '/token', errors.BoxAuthError));
+        }
+
+        self.log.debug('New tokens received.');
+        self._setTokens(body);
+        _done();
+      });
     },
 
     /**
@@ -125,15 +446,43 @@ var Connection = base.createChild().addInstanceMethods(
      * @see {@link https://developers.box.com/docs/#if-match}
      */
 
+    /**
+     * Called with every outgoing request of a connection. See {@link Connection#use}.
+     * @callback Middleware
+     * @param {Object} opts - The options of the request, as passed to
+     * [request]{@link https://github.com/request/request}: {@linkcode method}, {@linkcode url},
+     * {@linkcode headers}, {@linkcode qs}, and the {@linkcode json} payload or raw {@linkcode body}.
+     * @param {function} next - Passes the request on, as {@linkcode next(opts, callback)}. Both arguments are
+     * optional, and default to the ones this middleware was called with.
+     * @param {function} callback - Called with an optional error, the
+     * [response]{@link http://nodejs.org/api/http.html#http_http_incomingmessage} and the parsed body. The
+     * body of a download is streamed to its destination instead.
+     */
+
     /**
      * Options to configure the behaviour of the request itself.
      * @typedef {Object} RequestConfig
      * @property {number} [timeout] - The response timeout in milliseconds. Defaults to {@linkcode 120000}.
-     * @property {number} [num_retries] - The number of retries to attempt before giving up. {@linkcode 0}
-     * implies no retries. A negative number implies unlimited retries.
-     * @property {number} [ebackoff] - Initial backoff interval in milliseconds. The request dispatcher will
-     * wait for this interval before attempting a retry. The interval is doubled on each successive retry.
-     * Defaults to {@linkcode 1000}.
+     * @property {(RetryPolicy | RetryPolicyInit)} [retry] - The retry policy of this request. Defaults to the
+     * connection's {@linkcode retry} policy, which defaults to the one of the {@link Box}.
+     * @property {number} [num_retries] - Shorthand overriding the {@linkcode max_retries} of the retry policy.
+     * @property {number} [ebackoff] - Shorthand overriding the {@linkcode base_delay} of the retry policy.
+     * @property {boolean} [idempotent] - The request is safe to repeat, even though its method is not
+     * idempotent, e.g. committing an upload session.
+     * @property {number} [chunked_threshold] - Uploads of at least this many bytes go through an upload session
+     * in parts. Defaults to {@linkcode 52428800} (50MB).
+     * @property {number} [part_retries] - The number of times a failed part of an upload session is retried,
+     * overriding the {@linkcode max_retries} of the retry policy for the parts. Defaults to the policy's.
+     * @property {(string | UploadJournal)} [journal] - Records the upload session and its uploaded parts, so that
+     * an interrupted upload through an upload session resumes where it left off. Either the path of a JSON file,
+     * or an object implementing the {@link UploadJournal} interface, such as a {@link TokenStore}.
+     * @property {boolean} [progress] - Also publish the {@linkcode progress} events of a {@link Transfer} on the
+     * connection, as {@linkcode transfer.progress}.
+     * @property {RequestHandle} [handle] - A handle to cancel the request with. One is created and returned by
+     * the API method if not given.
+     * @property {boolean} [dry_run] - Plan instead of changing anything. {@link Connection#syncDirectory},
+     * {@link Connection#copyFolder}, {@link Connection#deleteFolder} and {@link Connection#bulk} call back
+     * with a {@link DryRunPlan}; other requests that would change something fail without being sent.
      */
 
     /**
@@ -154,12 +503,14 @@ var Connection = base.createChild().addInstanceMethods(
      * Use one of the wrapper API methods instead.
      * @summary Perform an HTTP request on this connection.
      * @private
-     * @param {(string | Array.<string>)} segments - The path segments to append to the API base URL.
+     * @param {(string | Array.<string>)} segments - The path segments to append to the API (or upload) base
+     * URL, or an absolute URL.
      * @param {string} method - The HTTP verb to use for this request.
      * @param {requestCallback} callback - The callback to invoke (with possible errors) when the request returns.
      * @param {?Object} [query] - A map of query parameters.
      * @param {?Object} [payload] - The request payload.
-     * @param {?external:Readable} [data] - Readable stream representing file data to be uploaded.
+     * @param {?(external:Readable | Buffer)} [data] - Readable stream representing file data to be uploaded as a
+     * multipart form, or a Buffer to be uploaded as the raw request body.
      * @param {?RequestHeaders} [headers] - Additional headers.
      * @param {external:Writable} [pipe] - Writable stream representing file data to be saved.
      * @param {?RequestConfig} [config] - Configure the request behaviour.
@@ -174,21 +525,38 @@ var Connection = base.createChild().addInstanceMethods(
       var self = this,
         url;
 
+      //The retry count and start time carry over to the self-invocations of a retry.
       config = _.merge({
         timeout: 120000,
-        num_retries: 3,
-        ebackoff: 1000
+        _retries: 0,
+        _started: Date.now()
       }, config || {});
 
+      if (config.handle && config.handle.cancelled) {
+        return callback(config.handle.error());
+      }
+
       if (_.isString(segments)) {
         url = segments;
       } else if (data) {
-        url = 'https://upload.box.com/api/2.0/' + segments.join('/');
+        url = self.upload_url + '/' + segments.join('/');
       } else {
-        url = 'https://app.box.com/api/2.0/' + segments.join('/');
+        url = self.api_url + '/' + segments.join('/');
+      }
+
+      if (config.dry_run && !_.contains(['GET', 'OPTIONS'], method)) {
+        return callback(new Error('Dry run: ' + method + ' ' + url + ' was not sent.'));
       }
 
-      console.log('\nBox.com: Attempting to connect with access token\n', self.access_token, '\n');
+      if (self._isTokenExpiring()) {
+        self.log.debug('Access token about to expire. Refreshing...');
+        return self._refreshTokens(function (err) {
+          if (err) {
+            return callback(err);
+          }
+          self._request(segments, method, callback, query, payload, data, headers, pipe, config);
+        });
+      }
 
       var opts = {
         url: url,
@@ -200,7 +568,16 @@ var Connection = base.createChild().addInstanceMethods(
         timeout: config.timeout
       };
 
-      if (data) {
+      if (Buffer.isBuffer(data)) {
+        //A raw body must not go through request's JSON serialization. The response is parsed in the handler.
+        _.merge(opts, {
+          body: data,
+          qs: query,
+          headers: {
+            'Content-Type': 'application/octet-stream'
+          }
+        });
+      } else if (data) {
         opts.json = true;
       } else {
         _.merge(opts, {
@@ -212,7 +589,7 @@ var Connection = base.createChild().addInstanceMethods(
       headers = headers || {};
       _.merge(opts.headers, headers);
 
-      if (data) {
+      if (data && !Buffer.isBuffer(data)) {
         var form = new FormData();
 
         form.append('filename', data);
@@ -228,126 +605,422 @@ var Connection = base.createChild().addInstanceMethods(
           // var r = request(opts, _handler);
           // r._form = form;
           // r.setHeader('content-length', length);
-          self.queue.push({
+          self._enqueue({
             opts: opts,
             handler: _handler,
             form: form,
-            'content-length': length
+            'content-length': length,
+            transfer: config.transfer,
+            handle: config.handle,
+            retries: config._retries
           });
         });
       } else {
-        if (pipe && method === 'GET') {
-          opts.followRedirect = false;
-        }
         // request(opts, _handler);
-        self.queue.push({
+        self._enqueue({
           opts: opts,
-          handler: _handler
+          handler: _handler,
+          pipe: (pipe && method === 'GET') ? pipe : null,
+          transfer: config.transfer,
+          handle: config.handle,
+          retries: config._retries
         });
       }
 
+      //Calls _request again once `wait` calls back, or at once if cancelled meanwhile, which then fails.
+      function _again(wait) {
+        var unregister = _.noop,
+          retry = _.once(function () {
+            unregister();
+            self._request(segments, method, callback, query, payload, data, headers, pipe, config);
+          }),
+          stop = wait(retry);
+
+        if (config.handle) {
+          unregister = config.handle._register(function () {
+            (stop || _.noop)();
+            retry();
+          });
+        }
+      }
+
+      //Waits for the given interval, returning a function that stops waiting.
+      function _delay(wait) {
+        return function (next) {
+          var timer = setTimeout(next, wait);
+          return function () {
+            clearTimeout(timer);
+          };
+        };
+      }
+
       function _handler(err, res, body) {
-        if (err) {
-          if (config.num_retries === 0) {
-            return callback(err);
+        //Whatever the outcome, a cancelled request fails.
+        if (config.handle && config.handle.cancelled) {
+          return callback(config.handle.error());
+        }
+        if (!err && Buffer.isBuffer(data) && _.isString(body)) {
+          try {
+            body = JSON.parse(body);
+          } catch (e) {
+            //Not JSON. Pass it through as is.
           }
+        }
+        var status = res ? res.statusCode : null,
+          policy, wait;
 
-          var ebck = config.ebackoff;
-
-          config.num_retries--;
-          config.ebackoff *= 2;
-          self.log.debug('Waiting %d milliseconds before retrying...', ebck);
+        if (err || status === 202 || status >= 400) {
+          policy = self._retryPolicy(config);
+          wait = policy.retryDelay({
+            retries: config._retries,
+            elapsed: Date.now() - config._started,
+            error: err,
+            status: status,
+            retry_after: res ? parseInt(res.headers['retry-after'], 10) : null,
+            method: method,
+            idempotent: config.idempotent
+          });
+          //A streamed body is consumed by the first attempt. Only a file stream can be opened again.
+          if (data && !Buffer.isBuffer(data) && !data.path) {
+            wait = null;
+          }
 
-          return _.delay(function () {
-            self._request(segments, method, callback, query, payload, data, headers, pipe, config);
-          }, ebck);
+          if (wait !== null) {
+            config._retries++;
+            self.log.debug('%s %s failed with %s. Waiting %d milliseconds before retrying...', method, opts.url,
+              err ? err.code || err.message : status, wait);
+            /**
+             * Fires before a failed request is retried.
+             * @event Connection#"request.retry"
+             * @type {object}
+             * @property {string} method - The HTTP method.
+             * @property {string} url - The request URL.
+             * @property {number} retries - The number of retries so far, including this one.
+             * @property {number} delay - The milliseconds to wait before retrying.
+             * @property {?number} status - The response status, if any.
+             * @property {?Error} error - The transport error, if any.
+             * @property {?RequestHandle} handle - The handle of the call the request belongs to, if any.
+             */
+            self.emit('request.retry', {
+              method: method,
+              url: opts.url,
+              retries: config._retries,
+              delay: wait,
+              status: status,
+              error: err || null,
+              handle: config.handle || null
+            });
+            if (self.metrics) {
+              self.metrics.increment('box_request_retries_total', {
+                method: method,
+                endpoint: self._endpoint(opts.url),
+                reason: err ? err.code || 'error' : String(status)
+              });
+              if (status === 429) {
+                self.metrics.observe('box_rate_limit_wait_seconds', {
+                  endpoint: self._endpoint(opts.url)
+                }, wait / 1000);
+              }
+            }
+            if (data && !Buffer.isBuffer(data)) {
+              //The old stream may have been read in part: close it, and reopen the same range of the file.
+              data.destroy();
+              data = fs.createReadStream(data.path, _.omit(_.pick(data, 'start', 'end'), _.isUndefined));
+            }
+            return _again(_delay(wait));
+          }
+          if (err) {
+            return callback(err);
+          }
         }
 
-        switch (res.statusCode) {
+        switch (status) {
         case 200:
-          if (pipe) {
-            pipe.end(new Buffer(body, 'binary'));
-          } else {
+        case 206:
+          //A piped body has already been streamed by the queue.
+          if (!pipe) {
             callback(err, body);
           }
           break;
 
-        case 202:
-        case 429:
-          var wait = res.headers['retry-after'] * 1000 + _.random(0, 10000);
-          self.log.debug('Status: %d, Retry-After: %d', res.statusCode, res.headers['retry-after']);
-          self.log.debug('Waiting %d milliseconds before retrying...', wait);
-          _.delay(function () {
-            self._request(segments, method, callback, query, payload, data, headers, pipe, config);
-          }, wait);
-          break;
-
         case 301:
           opts.url = res.headers.location;
           // request(opts, _handler);
-          self.queue.push({
+          self._enqueue({
             opts: opts,
-            handler: _handler
+            handler: _handler,
+            pipe: pipe,
+            transfer: config.transfer,
+            handle: config.handle,
+            retries: config._retries
           });
           break;
 
         case 302:
-          //request.get(res.headers.location, callback).pipe(pipe);
-          callback(res.headers.location);
-          break;
-
-        case 400:
-        case 403:
-        case 404:
-        case 405:
-        case 409:
-        case 412:
-          callback(new Error(JSON.stringify(body)));
+          if (!pipe) {
+            callback(null, res.headers.location);
+            break;
+          }
+          //Download URLs are pre-authorized. Do not hand the access token to another host.
+          if (parseUrl(res.headers.location).host !== parseUrl(opts.url).host) {
+            delete opts.headers.Authorization;
+          }
+          opts.url = res.headers.location;
+          delete opts.qs;
+          self._enqueue({
+            opts: opts,
+            handler: _handler,
+            pipe: pipe,
+            transfer: config.transfer,
+            handle: config.handle,
+            retries: config._retries
+          });
           break;
 
         case 401:
-          //First check if stale access tokens still exist, and only then refresh.
-          //Prevents multiple refreshes.
-          if (self.isAuthenticated()) {
+          //Only refresh if the token that was rejected is still current. Otherwise another request
+          //has already refreshed it, and a plain retry will do.
+          if (self.isAuthenticated() && opts.headers.Authorization === 'Bearer ' + self.access_token) {
             self.log.debug('Access token expired. Refreshing...');
-            self._revokeAccess();
-            var tokenParams = {
-                client_id: self.client_id,
-                client_secret: self.client_secret,
-                grant_type: 'refresh_token',
-                refresh_token: self.refresh_token
-              },
-              authUrl = 'https://app.box.com/api/oauth2/token';
-
-            request.post({
-              url: authUrl,
-              form: tokenParams,
-              json: true
-            }, function (err, res, body) {
+            self._refreshTokens(function (err) {
               if (err) {
                 return callback(err);
               }
-              if (res.statusCode === 200) {
-                self.log.debug('New tokens received.');
-                self._setTokens(body);
-                self._request(segments, method, callback, query, payload, data, headers, pipe, config);
-              } else {
-                callback(new Error(JSON.stringify(body)));
-              }
-            });
-          } else {
-            self.ready(function () {
               self._request(segments, method, callback, query, payload, data, headers, pipe, config);
             });
+          } else {
+            _again(_.bind(self.ready, self));
           }
           break;
 
         default:
+          //Includes a 202 that is still not ready once the retries have run out.
+          if (status >= 400) {
+            return callback(errors.fromResponse(res, body, method, opts.url));
+          }
           callback(err, body);
         }
       }
     },
 
+    /**
+     * Do not call this method directly.
+     * @summary Add a task to the request queue once it fits in the rate limits, such that cancelling its handle
+     * removes it from the queue.
+     * @private
+     * @param {Object} task - The task, with the request {@linkcode opts}, the response {@linkcode handler} and
+     * an optional {@linkcode handle}.
+     */
+    _enqueue: function (task) {
+      var self = this;
+
+      task.dequeue = _.noop;
+      if (task.handle && task.handle.cancelled) {
+        return task.handler(task.handle.error());
+      }
+      self._throttle(task, function (err) {
+        if (err) {
+          return task.handler(err);
+        }
+        if (task.handle) {
+          task.dequeue = task.handle._register(function () {
+            var index = _.findIndex(self.queue.tasks, function (queued) {
+              return queued.data === task;
+            });
+            if (index !== -1) {
+              self.queue.tasks.splice(index, 1);
+              task.handler(task.handle.error());
+            }
+          });
+        }
+        self.queue.push(task);
+        self._reportQueue();
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Attach a {@link Transfer} handle to a request config, unless it already has one.
+     * @private
+     * @param {string} direction - {@linkcode upload} or {@linkcode download}.
+     * @param {?RequestConfig} config - The request config.
+     * @returns {RequestConfig} A copy of the config with a {@linkcode transfer}.
+     */
+    _withTransfer: function (direction, config) {
+      if (config && config.transfer) {
+        return config;
+      }
+
+      //The transfer takes over as the handle of its requests, and is cancelled along with the given one.
+      var transfer = Transfer(direction, (config && config.progress) ? this : null, config && config.handle);
+      return _.extend({}, config, {
+        transfer: transfer,
+        handle: transfer
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Log a structured record of a request attempt at debug level, with its {@linkcode method},
+     * {@linkcode path}, {@linkcode status}, {@linkcode duration} (until the response headers, in
+     * milliseconds), {@linkcode retries} and Box {@linkcode request_id}, and report it to the connection's
+     * {@link Metrics}. The query string is left out, as download URLs carry credentials.
+     * @private
+     * @param {Object} opts - The request options.
+     * @param {number} [retries] - The number of retries before this attempt.
+     * @param {number} duration - The milliseconds until the response or error.
+     * @param {Error} [err] - The transport error, if any.
+     * @param {http.IncomingMessage} [res] - The response, if any.
+     * @param {*} [body] - The parsed response body, if buffered.
+     */
+    _recordRequest: function (opts, retries, duration, err, res, body) {
+      var endpoint,
+        record = {
+        method: opts.method,
+        path: parseUrl(opts.url).pathname,
+        status: res ? res.statusCode : null,
+        duration: duration,
+        retries: retries || 0,
+        request_id: (res && res.headers && res.headers['box-request-id']) ||
+          (_.isPlainObject(body) && body.request_id) || null
+      };
+      if (err) {
+        record.error = err.code || err.message;
+      }
+
+      this.log.debug('%s %s %s %dms (retries: %d, request id: %s)', record.method, record.path,
+        err ? record.error : record.status, record.duration, record.retries, record.request_id, record);
+
+      if (this.metrics) {
+        endpoint = this._endpoint(opts.url);
+        if (err) {
+          this.metrics.increment('box_request_errors_total', {
+            method: record.method,
+            endpoint: endpoint,
+            error: err.code || 'error'
+          });
+        } else {
+          this.metrics.increment('box_requests_total', {
+            method: record.method,
+            endpoint: endpoint,
+            status: String(record.status)
+          });
+        }
+        this.metrics.observe('box_request_duration_seconds', {
+          method: record.method,
+          endpoint: endpoint
+        }, duration / 1000);
+      }
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Get the endpoint template of a URL for metrics: its path relative to the API base URL, with
+     * ids replaced by {@linkcode :id}.
+     * @private
+     * @param {string} url - The request URL.
+     * @returns {string} The endpoint, e.g. {@linkcode /folders/:id/items}.
+     */
+    _endpoint: function (url) {
+      var pathname = parseUrl(url).pathname || '/';
+
+      _.each([this.api_url, this.upload_url], function (base) {
+        var prefix = parseUrl(base).pathname;
+        if (url.indexOf(base) === 0 && prefix !== '/' && pathname.indexOf(prefix) === 0) {
+          pathname = pathname.slice(prefix.length) || '/';
+          return false;
+        }
+      });
+
+      return _.map(pathname.split('/'), function (segment) {
+        return (/^(\d+|[0-9a-f]{16,}|[A-Za-z0-9_-]*\d[A-Za-z0-9_-]{19,})$/i).test(segment) ? ':id' : segment;
+      }).join('/');
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Report the length of the request queue, and the number of requests in flight.
+     * @private
+     */
+    _reportQueue: function () {
+      if (this.metrics) {
+        this.metrics.gauge('box_queue_length', {
+          connection: this.metrics_label
+        }, this.queue.length());
+        this.metrics.gauge('box_queue_running', {
+          connection: this.metrics_label
+        }, this.queue.running());
+      }
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Wait until a task fits in the budgets of the connection's rate limiters, for the host it is sent
+     * to. Tasks wait before they are queued, so that a throttled budget does not hold the queue's slots, and
+     * requests to the other budget are not held up behind it.
+     * @private
+     * @param {Object} task - The task.
+     * @param {optionalErrorCallback} callback - Called once the task may be dispatched, or with the cancellation
+     * error if its handle is cancelled while waiting.
+     */
+    _throttle: function (task, callback) {
+      var budget = task.opts.url.indexOf(this.upload_url) === 0 ? 'upload' : 'api',
+        handle = task.handle;
+
+      async.eachSeries(_.compact([this.limiter, this.shared_limiter]), function (limiter, next) {
+        var waiting = true,
+          unregister = _.noop,
+          stop = limiter.take(budget, function () {
+            waiting = false;
+            unregister();
+            next();
+          });
+
+        if (waiting && handle) {
+          unregister = handle._register(function () {
+            stop();
+            next(handle.error());
+          });
+        }
+      }, callback);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Get the retry policy of a request: its own, else the connection's, else the default one, with
+     * the {@linkcode num_retries} and {@linkcode ebackoff} shorthands applied.
+     * @private
+     * @param {?RequestConfig} config - The request config.
+     * @returns {RetryPolicy} The policy.
+     */
+    _retryPolicy: function (config) {
+      var policy = (config && config.retry) || this.retry,
+        overrides = _.omit({
+          max_retries: config && config.num_retries,
+          base_delay: config && config.ebackoff
+        }, _.isUndefined);
+
+      if (!(policy instanceof RetryPolicy)) {
+        policy = RetryPolicy(policy);
+      }
+      return _.isEmpty(overrides) ? policy : policy.extend(overrides);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Create a {@link Pager} over a paginated API call, returning Promises of the connection's
+     * implementation.
+     * @private
+     * @param {function} fetch - Fetches a page, given the query parameters and a callback.
+     * @param {?OptsPager} [opts] - The pagination options, and the query parameters of every page.
+     * @returns {Pager} The pager.
+     */
+    _pager: function (fetch, opts) {
+      return Pager(fetch, opts, function () {
+        return Connection.Promise;
+      });
+    },
+
     /**
      * Wait for a connection to get ready.
      * @param {optionalErrorCallback} callback - The callback with an optional err argument,
@@ -357,7 +1030,7 @@ var Connection = base.createChild().addInstanceMethods(
       if (this.isAuthenticated()) {
         callback();
       } else {
-        this.once('tokens.*', callback);
+        this.once('tokens.set', callback);
       }
     },
 
@@ -381,6 +1054,55 @@ var Connection = base.createChild().addInstanceMethods(
         throw new RangeError('Concurrency must be an integer > 0');
       }
       this.queue.concurrency = Math.floor(concurrency);
+    },
+
+    /**
+     * A middleware function sees every request the connection sends, including retries and redirects, just
+     * before it goes out, and can change its options, such as {@linkcode url}, {@linkcode headers} and
+     * {@linkcode qs}, or respond in its place. It passes the request on by calling {@linkcode next}, with a
+     * callback of its own to see the response or error, and possibly change it, before calling back.
+     * Middleware runs in the order it was added, the first added being the outermost.
+     * @summary Add a middleware function around the requests of this connection.
+     * @param {Middleware} fn - The middleware.
+     * @returns {Connection} This connection, for chaining.
+     * @example
+     * connection.use(function (opts, next, callback) {
+     *   opts.headers['As-User'] = '12345';
+     *   next(opts, function (err, res, body) {
+     *     audit(opts.method, opts.url, res && res.statusCode);
+     *     callback(err, res, body);
+     *   });
+     * });
+     */
+    use: function (fn) {
+      this.middleware.push(fn);
+      return this;
+    },
+
+    /**
+     * The connection's limiter applies in addition to any limiter set on the {@link Box}, which all its
+     * connections share.
+     * @summary Limit the rate at which this connection dispatches requests.
+     * @param {?(RateLimiterInit | RateLimiter)} limits - The budgets, or a limiter to share with other
+     * connections. {@linkcode null} removes the connection's limiter.
+     * @throws {RangeError} The rate must be a number > {@linkcode 0}.
+     */
+    setRateLimit: function (limits) {
+      if (!limits) {
+        this.limiter = null;
+      } else {
+        this.limiter = (limits instanceof RateLimiter) ? limits : RateLimiter(limits);
+      }
+    },
+
+    /**
+     * The cache is only consulted by the path-based API methods, e.g. {@link Connection#resolvePath}.
+     * @summary Remember the items that paths resolve to.
+     * @param {?(boolean | PathCacheInit)} opts - {@linkcode true} or the cache options to enable it,
+     * {@linkcode false} or {@linkcode null} to disable it.
+     */
+    setPathCache: function (opts) {
+      this.path_cache = opts ? PathCache(_.isObject(opts) ? opts : null) : null;
     }
   });
 
@@ -393,11 +1115,26 @@ var Connection = base.createChild().addInstanceMethods(
     if (stats.isDirectory()) {
       loadAPI(subpath);
     } else if (stats.isFile() && item.match(/.*\.js$/)) {
+      var existing = _.functions(Connection.prototype);
       require(subpath)(Connection);
+      _.each(_.difference(_.functions(Connection.prototype), existing), function (name) {
+        Connection.prototype[name] = promises(Connection.prototype[name], function () {
+          return Connection.Promise;
+        });
+      });
     }
   });
 })(path.join(__dirname, 'api'));
 
+/**
+ * The Promise implementation returned by API methods invoked without a callback. Defaults to the native
+ * Promise where available. Can be replaced with any compatible implementation, e.g.
+ * {@linkcode require('bluebird')}.
+ * @memberof Connection
+ * @type {function}
+ */
+Connection.Promise = global.Promise;
+
 /**
  * All {@link https://github.com/postaljs/monologue.js|Monologue} methods are mixed into the
  * {@link Connection} object.
@@ -0,0 +1,27 @@
+'use strict';
+
+var crypto = require('crypto'),
+  fs = require('fs');
+
+/**
+ * Compute the hex encoded SHA-1 digest of a local file, as Box reports it in the {@linkcode sha1} field.
+ * @private
+ * @param {string} name - The fully qualified path to the local file.
+ * @param {function} callback - Called with the digest.
+ */
+function sha1File(name, callback) {
+  var hash = crypto.createHash('sha1'),
+    stream = fs.createReadStream(name);
+
+  stream.on('data', function (data) {
+    hash.update(data);
+  });
+  stream.on('error', callback);
+  stream.on('end', function () {
+    callback(null, hash.digest('hex'));
+  });
+}
+
+module.exports = {
+  sha1File: sha1File
+};
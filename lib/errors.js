@@ -0,0 +1,172 @@
+'use strict';
+
+var _ = require('lodash'),
+  http = require('http'),
+  util = require('util');
+
+/**
+ * The properties copied onto a {@link BoxError}.
+ * @private
+ */
+var PROPS = ['status', 'code', 'context_info', 'request_id', 'help_url', 'retry_after', 'method', 'url', 'body'];
+
+/**
+ * @class BoxError
+ * @augments Error
+ * @classdesc The error an API call fails with when Box responds with an error status. Children of this class
+ * identify the common failures, so that callers can branch with {@linkcode instanceof}, and on the Box
+ * {@linkcode code} for the details.
+ * @param {string} message - The error message.
+ * @param {Object} [props] - The error details.
+ * @property {number} status - The HTTP status code.
+ * @property {?string} code - The Box error code, e.g. {@linkcode item_name_in_use}.
+ * @property {?Object} context_info - Additional details from Box, e.g. the conflicting items.
+ * @property {?string} request_id - The Box request id, for support requests.
+ * @property {?string} help_url - A link to the documentation of the error.
+ * @property {string} method - The HTTP method of the failed request.
+ * @property {string} url - The URL of the failed request.
+ * @property {*} body - The raw response body.
+ * @see {@link https://developer.box.com/guides/api-calls/permissions-and-errors/common-errors/}
+ * @example
+ * connection.createFolder('Projects', 0, function (err, folder) {
+ *   if (err instanceof box_sdk.BoxConflictError && err.code === 'item_name_in_use') {
+ *     folder = err.context_info.conflicts[0];
+ *   }
+ *   ...
+ * });
+ */
+function BoxError(message, props) {
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+  this.message = message;
+  _.extend(this, {
+    status: null,
+    code: null,
+    context_info: null,
+    request_id: null,
+    help_url: null
+  }, _.pick(props || {}, PROPS));
+}
+util.inherits(BoxError, Error);
+BoxError.prototype.name = 'BoxError';
+
+/**
+ * Do not call this function directly.
+ * @summary Define a child of {@link BoxError}.
+ * @private
+ * @param {string} name - The name of the error class.
+ * @returns {function} The error class.
+ */
+function _define(name) {
+  var Child = function () {
+    BoxError.apply(this, arguments);
+  };
+  util.inherits(Child, BoxError);
+  Child.prototype.name = name;
+  return Child;
+}
+
+/**
+ * @class BoxAuthError
+ * @augments BoxError
+ * @classdesc Status {@linkcode 401} or {@linkcode 403}: The tokens were rejected and could not be refreshed,
+ * or the user lacks permission for the operation.
+ */
+var BoxAuthError = _define('BoxAuthError');
+
+/**
+ * @class BoxNotFoundError
+ * @augments BoxError
+ * @classdesc Status {@linkcode 404}: The item does not exist, or is not visible to the user.
+ */
+var BoxNotFoundError = _define('BoxNotFoundError');
+
+/**
+ * @class BoxConflictError
+ * @augments BoxError
+ * @classdesc Status {@linkcode 409}: The operation conflicts with an existing item, e.g.
+ * {@linkcode item_name_in_use}. The conflicting items are listed in {@linkcode context_info.conflicts}.
+ */
+var BoxConflictError = _define('BoxConflictError');
+
+/**
+ * @class BoxPreconditionFailedError
+ * @augments BoxError
+ * @classdesc Status {@linkcode 412}: The item has changed since the etag sent in the
+ * {@linkcode header[If-Match]} header.
+ */
+var BoxPreconditionFailedError = _define('BoxPreconditionFailedError');
+
+/**
+ * @class BoxRateLimitError
+ * @augments BoxError
+ * @classdesc Status {@linkcode 429}: Too many requests, and the retries ran out. The number of seconds Box
+ * asked to wait is in {@linkcode retry_after}.
+ */
+var BoxRateLimitError = _define('BoxRateLimitError');
+
+/**
+ * @class BoxServerError
+ * @augments BoxError
+ * @classdesc Status {@linkcode 5xx}: Box failed to process the request.
+ */
+var BoxServerError = _define('BoxServerError');
+
+/**
+ * Create the error for a failed response, of the class matching its status.
+ * @private
+ * @param {http.IncomingMessage} res - The response.
+ * @param {*} body - The parsed response body.
+ * @param {string} method - The HTTP method of the request.
+ * @param {string} url - The URL of the request.
+ * @param {function} [ErrorClass] - The class to use instead of the one matching the status.
+ * @returns {BoxError} The error.
+ */
+function fromResponse(res, body, method, url, ErrorClass) {
+  var status = res.statusCode,
+    info = _.isPlainObject(body) ? body : {},
+    code = info.code || info.error || null,
+    retry_after = parseInt(res.headers['retry-after'], 10);
+
+  if (!ErrorClass) {
+    if (status === 401 || status === 403) {
+      ErrorClass = BoxAuthError;
+    } else if (status === 404) {
+      ErrorClass = BoxNotFoundError;
+    } else if (status === 409) {
+      ErrorClass = BoxConflictError;
+    } else if (status === 412) {
+      ErrorClass = BoxPreconditionFailedError;
+    } else if (status === 429) {
+      ErrorClass = BoxRateLimitError;
+    } else if (status >= 500) {
+      ErrorClass = BoxServerError;
+    } else {
+      ErrorClass = BoxError;
+    }
+  }
+
+  return new ErrorClass(util.format('%s %s failed with %d%s: %s', method, url, status, code ? ' ' + code : '',
+    info.message || info.error_description || http.STATUS_CODES[status]), {
+    status: status,
+    code: code,
+    context_info: info.context_info || null,
+    request_id: info.request_id || res.headers['box-request-id'] || null,
+    help_url: info.help_url || null,
+    retry_after: _.isNaN(retry_after) ? null : retry_after,
+    method: method,
+    url: url,
+    body: body
+  });
+}
+
+module.exports = {
+  BoxError: BoxError,
+  BoxAuthError: BoxAuthError,
+  BoxNotFoundError: BoxNotFoundError,
+  BoxConflictError: BoxConflictError,
+  BoxPreconditionFailedError: BoxPreconditionFailedError,
+  BoxRateLimitError: BoxRateLimitError,
+  BoxServerError: BoxServerError,
+  fromResponse: fromResponse
+};
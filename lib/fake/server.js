@@ -0,0 +1,983 @@
+'use strict';
+
+var _ = require('lodash'),
+  http = require('http'),
+  url = require('url'),
+  crypto = require('crypto'),
+  querystring = require('querystring'),
+  base = require('base-framework'),
+  Router = require('router'),
+  FakeTree = require('./tree'),
+  //Circular: only dereferenced at call time, after box-sdk has finished loading.
+  box_sdk = require('../box-sdk');
+
+/**
+ * Do not call this function directly.
+ * @summary Generate a random token.
+ * @private
+ * @returns {string} The token.
+ */
+function _token() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Write a JSON response.
+ * @private
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {Object} [body] - The response body.
+ * @param {Object} [headers] - Additional headers.
+ */
+function _send(res, status, body, headers) {
+  var data = _.isUndefined(body) ? '' : JSON.stringify(body);
+  res.writeHead(status, _.extend({
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(data)
+  }, headers));
+  res.end(data);
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Write a Box error response.
+ * @private
+ * @param {http.ServerResponse} res - The response.
+ * @param {Error} err - The error, carrying a {@linkcode status} and Box {@linkcode code}.
+ */
+function _sendError(res, err) {
+  if (!err.status) {
+    err.status = 500;
+    err.code = 'internal_server_error';
+  }
+  _send(res, err.status, {
+    type: 'error',
+    status: err.status,
+    code: err.code,
+    context_info: err.context_info,
+    help_url: 'http://developers.box.com/docs/#errors',
+    message: err.message,
+    request_id: _token().slice(0, 12)
+  });
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Parse a multipart/form-data body.
+ * @private
+ * @param {Buffer} body - The raw body.
+ * @param {string} boundary - The multipart boundary.
+ * @returns {Object} The text {@linkcode fields}, and the {@linkcode files} as {@linkcode {filename, data}}.
+ */
+function _parseMultipart(body, boundary) {
+  //Binary strings map bytes 1:1, so offsets are valid for the Buffer as well.
+  var raw = body.toString('binary'),
+    parts = raw.split('--' + boundary),
+    result = {
+      fields: {},
+      files: {}
+    };
+
+  _.each(parts.slice(1, -1), function (part) {
+    var split = part.indexOf('\r\n\r\n'),
+      head = part.slice(0, split),
+      data = part.slice(split + 4, -2),
+      name = (/name="([^"]*)"/).exec(head),
+      filename = (/filename="([^"]*)"/).exec(head);
+
+    if (!name) {
+      return;
+    }
+    if (filename) {
+      result.files[name[1]] = {
+        filename: filename[1],
+        data: new Buffer(data, 'binary')
+      };
+    } else {
+      result.fields[name[1]] = new Buffer(data, 'binary').toString('utf8');
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Page through a list of entries using {@linkcode limit} and {@linkcode offset} query parameters, or
+ * {@linkcode marker} ones when {@linkcode usemarker} is set.
+ * @private
+ * @param {Array} entries - All entries.
+ * @param {Object} query - The query parameters.
+ * @param {number} limit - The default page size.
+ * @param {number} max - The maximum page size.
+ * @returns {Object} The collection.
+ */
+function _page(entries, query, limit, max) {
+  var offset = parseInt(query.offset, 10) || 0;
+  limit = Math.min(parseInt(query.limit, 10) || limit, max);
+
+  if (query.usemarker === 'true') {
+    offset = query.marker ? parseInt(new Buffer(query.marker, 'base64').toString(), 10) || 0 : 0;
+    return {
+      entries: entries.slice(offset, offset + limit),
+      limit: limit,
+      next_marker: offset + limit < entries.length ? new Buffer(String(offset + limit)).toString('base64') : null
+    };
+  }
+
+  return {
+    total_count: entries.length,
+    entries: entries.slice(offset, offset + limit),
+    offset: offset,
+    limit: limit
+  };
+}
+
+/**
+ * Options for the {@link FakeServer}.
+ * @typedef {Object} FakeServerInit
+ * @property {number} [port] - The port to listen on. Defaults to {@linkcode 0}, i.e. any free port.
+ * @property {string} [host] - The host to listen on. Defaults to {@linkcode localhost}.
+ * @property {string} [client_id] - The client id to accept. Defaults to {@linkcode fake_client_id}.
+ * @property {string} [client_secret] - The client secret to accept. Defaults to {@linkcode fake_client_secret}.
+ * @property {string} [login] - The login of the account owner. Defaults to {@linkcode fake@example.com}.
+ * @property {number} [token_ttl] - Access token lifetime in seconds. Defaults to {@linkcode 3600}.
+ * @property {number} [longpoll_timeout] - How long a long-poll request is held open before asking the client to
+ * reconnect, in milliseconds. Defaults to {@linkcode 30000}.
+ * @property {number} [part_size] - The part size of upload sessions in bytes. Defaults to {@linkcode 8388608}.
+ */
+
+/**
+ * @class FakeServer
+ * @classdesc An in-process fake of the Box Content API, Upload API and OAuth2 endpoints, backed by an in-memory
+ * tree, for testing code built on this SDK without network access. Supports files, folders, versions, trash,
+ * comments, tasks, search, events and long-polling. Get a ready-to-use {@link Connection} through
+ * {@link FakeServer#getConnection}.
+ * @param {?FakeServerInit} [opts] - Server options.
+ * @example
+ * var fake = box_sdk.FakeServer();
+ * fake.listen(function (err) {
+ *   fake.getConnection('somebody@example.com', function (err, connection) {
+ *     connection.createFolder('Projects', 0, function (err, folder) {
+ *       ...
+ *       fake.close(done);
+ *     });
+ *   });
+ * });
+ */
+var FakeServer = base.createChild().addInstanceMethods(
+  /** @lends FakeServer.prototype */
+  {
+    init: function (opts) {
+      opts = opts || {};
+
+      this.port = parseInt(opts.port, 10) || 0;
+      this.host = opts.host || 'localhost';
+      this.client_id = opts.client_id || 'fake_client_id';
+      this.client_secret = opts.client_secret || 'fake_client_secret';
+      this.token_ttl = opts.token_ttl || 3600;
+      this.longpoll_timeout = opts.longpoll_timeout || 30000;
+      this.part_size = opts.part_size || 8 * 1024 * 1024;
+
+      this.user = {
+        type: 'user',
+        id: '1',
+        name: 'Fake User',
+        login: opts.login || 'fake@example.com'
+      };
+
+      /**
+       * The in-memory item tree.
+       * @type {FakeTree}
+       */
+      this.tree = new FakeTree(this.user);
+      this.tokens = {};
+      this.refresh_tokens = {};
+      this.codes = {};
+      this.pollers = [];
+      this.sockets = {};
+      this.sessions = {};
+      this.failures = [];
+
+      return this;
+    },
+
+    /**
+     * Start listening. The base URL is available as {@link FakeServer#url} once listening.
+     * @param {optionalErrorCallback} callback - Called once the server is listening.
+     */
+    listen: function (callback) {
+      var self = this,
+        socketId = 0,
+        router = self._routes();
+
+      self.server = http.createServer(function (req, res) {
+        self._dispatch(router, req, res);
+      });
+      self.server.on('connection', function (socket) {
+        var id = socketId++;
+        self.sockets[id] = socket;
+        socket.on('close', function () {
+          delete self.sockets[id];
+        });
+      });
+      self.server.once('error', callback);
+      self.server.listen(self.port, self.host, function () {
+        self.server.removeListener('error', callback);
+        /**
+         * The base URL of the running server.
+         * @type {string}
+         */
+        self.url = 'http://' + self.host + ':' + self.server.address().port;
+        callback();
+      });
+    },
+
+    /**
+     * Stop the server, along with the {@link Box} instance created by {@link FakeServer#getConnection}.
+     * @param {optionalErrorCallback} callback - Called once the server has stopped.
+     */
+    close: function (callback) {
+      var self = this;
+
+      _.each(self.pollers, function (poller) {
+        self._endPoll(poller, 'reconnect');
+      });
+      if (self.box) {
+        self.box.stopServer(_.noop);
+        _.each(self.box.connections, function (connection) {
+          connection.stopLongPolling();
+        });
+      }
+      if (!self.server) {
+        return callback();
+      }
+
+      self.server.close(function () {
+        delete self.server;
+        callback();
+      });
+      _.forIn(self.sockets, function (socket) {
+        socket.destroy();
+      });
+    },
+
+    /**
+     * The connection is created on a {@link Box} instance configured with this server's URLs, and is
+     * authenticated with freshly issued tokens.
+     * @summary Get an authenticated connection to this server.
+     * @param {string} email - The email account identifier to connect to.
+     * @param {function} callback - Called with an optional error and the {@link Connection}.
+     */
+    getConnection: function (email, callback) {
+      if (!this.url) {
+        return callback(new Error('The server is not listening'));
+      }
+
+      if (!this.box) {
+        this.box = box_sdk.Box({
+          client_id: this.client_id,
+          client_secret: this.client_secret,
+          port: 0,
+          api_url: this.url + '/api/2.0',
+          upload_url: this.url + '/upload/2.0',
+          oauth_url: this.url + '/oauth2',
+          authorize_url: this.url + '/oauth2/authorize'
+        }, 'error');
+      }
+
+      var connection = this.box.getConnection(email);
+      if (!connection.isAuthenticated()) {
+        connection._setTokens(this.issueTokens(email));
+      }
+      callback(null, connection);
+    },
+
+    /**
+     * Issue a new set of tokens.
+     * @param {string} login - The login the tokens belong to.
+     * @returns {AuthTokens} The tokens.
+     */
+    issueTokens: function (login) {
+      var tokens = {
+        access_token: _token(),
+        refresh_token: _token(),
+        expires_in: this.token_ttl,
+        restricted_to: [],
+        token_type: 'bearer'
+      };
+
+      this.tokens[tokens.access_token] = {
+        login: login,
+        expires_at: Date.now() + this.token_ttl * 1000
+      };
+      this.refresh_tokens[tokens.refresh_token] = login;
+      return tokens;
+    },
+
+    /**
+     * Expire all issued access tokens, so that the next request on any connection gets a 401 and
+     * has to refresh.
+     */
+    expireTokens: function () {
+      _.each(this.tokens, function (token) {
+        token.expires_at = 0;
+      });
+    },
+
+    /**
+     * Fail the next API requests, e.g. to test retries. A {@linkcode null} status resets the connection instead
+     * of responding.
+     * @param {number} count - The number of requests to fail.
+     * @param {?number} status - The HTTP status code to respond with.
+     * @param {Object} [headers] - Additional response headers, e.g. {@linkcode Retry-After}.
+     */
+    failRequests: function (count, status, headers) {
+      _.times(count, function () {
+        this.failures.push({
+          status: status,
+          headers: headers
+        });
+      }, this);
+    },
+
+    /**
+     * Stop failing requests: drop the failures set by {@link FakeServer#failRequests} that are left.
+     */
+    resetFailures: function () {
+      this.failures = [];
+    },
+
+    /**
+     * Create a folder directly in the tree, e.g. to seed test data.
+     * @param {string} name - The folder's name.
+     * @param {(number | string)} parent_id - The parent folder's id.
+     * @returns {Object} The folder, in full format.
+     */
+    createFolder: function (name, parent_id) {
+      var folder = this.tree.createFolder(name, parent_id);
+      this._notify();
+      return this.tree.full(folder);
+    },
+
+    /**
+     * Create a file directly in the tree, e.g. to seed test data.
+     * @param {string} name - The file's name.
+     * @param {(number | string)} parent_id - The parent folder's id.
+     * @param {(Buffer | string)} content - The file's content.
+     * @returns {Object} The file, in full format.
+     */
+    createFile: function (name, parent_id, content) {
+      var file = this.tree.createFile(name, parent_id, content);
+      this._notify();
+      return this.tree.full(file);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Route a request, after stripping the API prefixes and checking authorization.
+     * @private
+     * @param {function} router - The router.
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     */
+    _dispatch: function (router, req, res) {
+      var self = this,
+        parsed = url.parse(req.url, true),
+        prefix = (/^\/(api|upload)\/2\.0(?=\/)/).exec(parsed.pathname),
+        chunks = [];
+
+      req.query = parsed.query;
+
+      if (prefix) {
+        req.url = req.url.slice(prefix[0].length);
+        var auth = (/^Bearer (.+)$/).exec(req.headers.authorization || ''),
+          token = auth && self.tokens[auth[1]];
+
+        if (!token || token.expires_at <= Date.now()) {
+          req.resume();
+          return _send(res, 401, undefined, {
+            'WWW-Authenticate': 'Bearer realm="Service", error="invalid_token"'
+          });
+        }
+
+        var failure = self.failures.shift();
+        if (failure) {
+          if (failure.status === null) {
+            return req.socket.destroy();
+          }
+          req.resume();
+          return _send(res, failure.status, {
+            type: 'error',
+            status: failure.status,
+            code: failure.status === 429 ? 'rate_limit_exceeded' : 'internal_server_error',
+            message: http.STATUS_CODES[failure.status],
+            request_id: _token().slice(0, 12)
+          }, failure.headers);
+        }
+      }
+
+      req.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      req.on('end', function () {
+        var body = Buffer.concat(chunks),
+          type = req.headers['content-type'] || '',
+          boundary = (/boundary=(?:"([^"]+)"|([^;]+))/).exec(type);
+
+        try {
+          if (boundary) {
+            req.body = _parseMultipart(body, boundary[1] || boundary[2]);
+          } else if (type.indexOf('application/octet-stream') === 0) {
+            req.body = body;
+          } else if (type.indexOf('application/x-www-form-urlencoded') === 0) {
+            req.body = querystring.parse(body.toString('utf8'));
+          } else {
+            req.body = body.length ? JSON.parse(body.toString('utf8')) : {};
+          }
+        } catch (e) {
+          return _sendError(res, _.extend(new Error('Invalid request body'), {
+            status: 400,
+            code: 'bad_request'
+          }));
+        }
+
+        router(req, res, function () {
+          _sendError(res, _.extend(new Error('Not Found'), {
+            status: 404,
+            code: 'not_found'
+          }));
+        });
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Wake up pending long-poll requests if there are new events.
+     * @private
+     */
+    _notify: function () {
+      var self = this,
+        position = self.tree.events.length;
+
+      _.each(_.filter(self.pollers, function (poller) {
+        return poller.position < position;
+      }), function (poller) {
+        self._endPoll(poller, 'new_change');
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Respond to a pending long-poll request.
+     * @private
+     * @param {Object} poller - The pending request.
+     * @param {string} message - The message to respond with.
+     */
+    _endPoll: function (poller, message) {
+      clearTimeout(poller.timer);
+      this.pollers = _.without(this.pollers, poller);
+      _send(poller.res, 200, {
+        message: message
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Set up the routes.
+     * @private
+     * @returns {function} The router.
+     */
+    _routes: function () {
+      var self = this,
+        tree = self.tree,
+        router = new Router();
+
+      //Runs a handler, translating thrown tree errors into Box error responses.
+      function handle(fn) {
+        return function (req, res) {
+          var result;
+          try {
+            result = fn(req, res);
+          } catch (err) {
+            return _sendError(res, err);
+          }
+          if (result) {
+            _send(res, result[0], result[1]);
+          }
+          self._notify();
+        };
+      }
+
+      //Serializes an item, projected to the requested fields if any.
+      function item(req, it) {
+        var full = tree.full(it);
+        return req.query.fields ? _.pick(full, ['type', 'id', 'etag'].concat(req.query.fields.split(','))) : full;
+      }
+
+      //Serializes a collection of items in mini format, or projected to the requested fields if any.
+      function collection(req, items, limit, max) {
+        var page = _page(items, req.query, limit, max);
+        page.entries = _.map(page.entries, function (it) {
+          return req.query.fields ? item(req, it) : tree.mini(it);
+        });
+        return page;
+      }
+
+      //Upload sessions
+
+      //Creates an upload session for a new file or a new version, once its target has been validated.
+      function createSession(size, folder_id, file_name, file_id) {
+        if (!_.isNumber(size) || size <= 0) {
+          throw _.extend(new Error('file_size must be a positive number'), {
+            status: 400,
+            code: 'bad_request'
+          });
+        }
+
+        var id = _token().toUpperCase(),
+          endpoint = self.url + '/upload/2.0/files/upload_sessions/' + id;
+
+        self.sessions[id] = {
+          folder_id: folder_id,
+          file_name: file_name,
+          file_id: file_id,
+          file_size: size,
+          parts: {},
+          session: {
+            type: 'upload_session',
+            id: id,
+            session_expires_at: new Date(Date.now() + 7 * 24 * 3600 * 1000).toISOString(),
+            part_size: self.part_size,
+            total_parts: Math.ceil(size / self.part_size),
+            num_parts_processed: 0,
+            session_endpoints: {
+              upload_part: endpoint,
+              commit: endpoint + '/commit',
+              abort: endpoint,
+              list_parts: endpoint + '/parts',
+              status: endpoint,
+              log_event: endpoint + '/log'
+            }
+          }
+        };
+        return [201, self.sessions[id].session];
+      }
+
+      //Gets an upload session by id.
+      function getSession(id) {
+        if (!self.sessions[id]) {
+          throw _.extend(new Error('Upload session not found'), {
+            status: 404,
+            code: 'not_found'
+          });
+        }
+        return self.sessions[id];
+      }
+
+      //Sorts the parts of an upload session by offset.
+      function sessionParts(session) {
+        return _.sortBy(_.pluck(session.parts, 'part'), 'offset');
+      }
+
+      router.post('/files/upload_sessions', handle(function (req) {
+        tree.get('folder', req.body.folder_id);
+        tree.checkName(String(req.body.folder_id), req.body.file_name);
+        return createSession(req.body.file_size, String(req.body.folder_id), req.body.file_name);
+      }));
+
+      router.post('/files/{id}/upload_sessions', handle(function (req) {
+        tree.get('file', req.params.id);
+        return createSession(req.body.file_size, null, null, req.params.id);
+      }));
+
+      router.get('/files/upload_sessions/{id}', handle(function (req) {
+        var session = getSession(req.params.id);
+        session.session.num_parts_processed = _.size(session.parts);
+        return [200, session.session];
+      }));
+
+      router.put('/files/upload_sessions/{id}', handle(function (req) {
+        var session = getSession(req.params.id),
+          range = (/^bytes (\d+)-(\d+)\/(\d+)$/).exec(req.headers['content-range'] || ''),
+          data = Buffer.isBuffer(req.body) ? req.body : new Buffer(0),
+          digest = crypto.createHash('sha1').update(data).digest('base64'),
+          start = range && parseInt(range[1], 10),
+          end = range && parseInt(range[2], 10);
+
+        if (!range || parseInt(range[3], 10) !== session.file_size || start % self.part_size !== 0 ||
+          end - start + 1 !== data.length || (data.length !== self.part_size && end !== session.file_size - 1)) {
+          throw _.extend(new Error('Invalid Content-Range'), {
+            status: 416,
+            code: 'range_not_satisfiable'
+          });
+        }
+        if (req.headers.digest !== 'sha=' + digest) {
+          throw _.extend(new Error('Digest does not match the part'), {
+            status: 412,
+            code: 'sha1_mismatch'
+          });
+        }
+
+        session.parts[start] = {
+          data: data,
+          part: {
+            part_id: _token().slice(0, 8).toUpperCase(),
+            offset: start,
+            size: data.length,
+            sha1: crypto.createHash('sha1').update(data).digest('hex')
+          }
+        };
+        return [200, {
+          part: session.parts[start].part
+        }];
+      }));
+
+      router.get('/files/upload_sessions/{id}/parts', handle(function (req) {
+        return [200, _page(sessionParts(getSession(req.params.id)), req.query, 100, 1000)];
+      }));
+
+      router.post('/files/upload_sessions/{id}/commit', handle(function (req) {
+        var session = getSession(req.params.id),
+          parts = sessionParts(session),
+          data = Buffer.concat(_.map(parts, function (part) {
+            return session.parts[part.offset].data;
+          })),
+          file;
+
+        if (data.length !== session.file_size || !_.isEqual(_.pluck(req.body.parts, 'part_id'),
+            _.pluck(parts, 'part_id'))) {
+          throw _.extend(new Error('The parts do not match the uploaded parts'), {
+            status: 400,
+            code: 'bad_request'
+          });
+        }
+        if (req.headers.digest !== 'sha=' + crypto.createHash('sha1').update(data).digest('base64')) {
+          throw _.extend(new Error('Digest does not match the file'), {
+            status: 412,
+            code: 'sha1_mismatch'
+          });
+        }
+
+        if (session.file_id) {
+          file = tree.uploadVersion(session.file_id, data, req.body.attributes, req.headers['if-match']);
+        } else {
+          file = tree.createFile(session.file_name, session.folder_id, data, req.body.attributes);
+        }
+        delete self.sessions[req.params.id];
+        return [201, {
+          total_count: 1,
+          entries: [tree.full(file)]
+        }];
+      }));
+
+      router.del('/files/upload_sessions/{id}', handle(function (req) {
+        getSession(req.params.id);
+        delete self.sessions[req.params.id];
+        return [204];
+      }));
+
+      //Files
+
+      router.post('/files/content', handle(function (req) {
+        var upload = req.body.files && _.find(req.body.files),
+          fields = req.body.fields || {};
+
+        if (!upload) {
+          throw _.extend(new Error('No file uploaded'), {
+            status: 400,
+            code: 'bad_request'
+          });
+        }
+        var file = tree.createFile(fields.name || upload.filename, fields.parent_id, upload.data, fields);
+        return [201, {
+          total_count: 1,
+          entries: [tree.full(file)]
+        }];
+      }));
+
+      router.post('/files/{id}/content', handle(function (req) {
+        var upload = req.body.files && _.find(req.body.files);
+
+        if (!upload) {
+          throw _.extend(new Error('No file uploaded'), {
+            status: 400,
+            code: 'bad_request'
+          });
+        }
+        var file = tree.uploadVersion(req.params.id, upload.data, req.body.fields, req.headers['if-match']);
+        return [201, {
+          total_count: 1,
+          entries: [tree.full(file)]
+        }];
+      }));
+
+      router.get('/files/{id}', handle(function (req) {
+        return [200, item(req, tree.get('file', req.params.id))];
+      }));
+
+      router.get('/files/{id}/content', handle(function (req, res) {
+        var version = tree.getVersion(req.params.id, req.query.version);
+        res.writeHead(302, {
+          Location: self.url + '/download/' + req.params.id + '/' + version.id
+        });
+        res.end();
+      }));
+
+      router.put('/files/{id}', handle(function (req) {
+        return [200, item(req, tree.update('file', req.params.id, req.body, req.headers['if-match']))];
+      }));
+
+      router.del('/files/{id}', handle(function (req) {
+        tree.trash('file', req.params.id, false, req.headers['if-match']);
+        return [204];
+      }));
+
+      router.get('/files/{id}/versions', handle(function (req) {
+        var versions = _.map(tree.versions(req.params.id), _.bind(tree.version, tree));
+        return [200, _page(versions, req.query, 1000, 1000)];
+      }));
+
+      router.post('/files/{id}/versions/current', handle(function (req) {
+        return [201, tree.version(tree.promoteVersion(req.params.id, req.body.id))];
+      }));
+
+      router.del('/files/{id}/versions/{version}', handle(function (req) {
+        tree.deleteVersion(req.params.id, req.params.version, req.headers['if-match']);
+        return [204];
+      }));
+
+      router.post('/files/{id}/copy', handle(function (req) {
+        return [201, tree.full(tree.copy('file', req.params.id, (req.body.parent || {}).id, req.body.name))];
+      }));
+
+      router.get('/files/{id}/trash', handle(function (req) {
+        return [200, tree.full(tree.get('file', req.params.id, true))];
+      }));
+
+      router.del('/files/{id}/trash', handle(function (req) {
+        tree.purge('file', req.params.id);
+        return [204];
+      }));
+
+      router.post('/files/{id}', handle(function (req) {
+        return [201, tree.full(tree.restore('file', req.params.id, req.body.name, (req.body.parent || {}).id))];
+      }));
+
+      router.get('/files/{id}/comments', handle(function (req) {
+        return [200, _page(tree.fileComments(req.params.id), req.query, 100, 1000)];
+      }));
+
+      router.get('/files/{id}/tasks', handle(function (req) {
+        var tasks = tree.fileTasks(req.params.id);
+        return [200, {
+          total_count: tasks.length,
+          entries: tasks
+        }];
+      }));
+
+      //Folders
+
+      router.get('/folders/trash/items', handle(function (req) {
+        return [200, collection(req, tree.trashed(), 100, 1000)];
+      }));
+
+      router.get('/folders/{id}', handle(function (req) {
+        return [200, item(req, tree.get('folder', req.params.id))];
+      }));
+
+      router.get('/folders/{id}/items', handle(function (req) {
+        tree.get('folder', req.params.id);
+        return [200, collection(req, tree.children(req.params.id), 100, 1000)];
+      }));
+
+      router.post('/folders', handle(function (req) {
+        return [201, tree.full(tree.createFolder(req.body.name, (req.body.parent || {}).id))];
+      }));
+
+      router.put('/folders/{id}', handle(function (req) {
+        return [200, item(req, tree.update('folder', req.params.id, req.body, req.headers['if-match']))];
+      }));
+
+      router.del('/folders/{id}', handle(function (req) {
+        tree.trash('folder', req.params.id, req.query.recursive === 'true', req.headers['if-match']);
+        return [204];
+      }));
+
+      router.post('/folders/{id}/copy', handle(function (req) {
+        return [201, tree.full(tree.copy('folder', req.params.id, (req.body.parent || {}).id, req.body.name))];
+      }));
+
+      router.get('/folders/{id}/collaborations', handle(function (req) {
+        tree.get('folder', req.params.id);
+        return [200, {
+          total_count: 0,
+          entries: []
+        }];
+      }));
+
+      router.get('/folders/{id}/trash', handle(function (req) {
+        return [200, tree.full(tree.get('folder', req.params.id, true))];
+      }));
+
+      router.del('/folders/{id}/trash', handle(function (req) {
+        tree.purge('folder', req.params.id);
+        return [204];
+      }));
+
+      router.post('/folders/{id}', handle(function (req) {
+        return [201, tree.full(tree.restore('folder', req.params.id, req.body.name, (req.body.parent || {}).id))];
+      }));
+
+      //Comments and tasks
+
+      router.post('/comments', handle(function (req) {
+        return [201, tree.addComment((req.body.item || {}).id, req.body.message)];
+      }));
+
+      router.post('/tasks', handle(function (req) {
+        return [201, tree.addTask((req.body.item || {}).id, req.body.message, req.body.due_at)];
+      }));
+
+      //Search
+
+      router.get('/search', handle(function (req) {
+        if (!req.query.query) {
+          throw _.extend(new Error('Query is required'), {
+            status: 400,
+            code: 'bad_request'
+          });
+        }
+        return [200, collection(req, tree.search(req.query.query, req.query), 30, 200)];
+      }));
+
+      //Events
+
+      router.get('/events', handle(function (req) {
+        var position = req.query.stream_position === 'now' ? tree.events.length :
+          (parseInt(req.query.stream_position, 10) || 0),
+          entries = tree.events.slice(position, position + (parseInt(req.query.limit, 10) || 100));
+
+        return [200, {
+          chunk_size: entries.length,
+          next_stream_position: position + entries.length,
+          entries: entries
+        }];
+      }));
+
+      router.options('/events', handle(function () {
+        return [200, {
+          chunk_size: 1,
+          entries: [{
+            type: 'realtime_server',
+            url: self.url + '/realtime?channel=fake',
+            ttl: '10',
+            max_retries: '10',
+            retry_timeout: Math.ceil(self.longpoll_timeout / 1000)
+          }]
+        }];
+      }));
+
+      router.get('/realtime', function (req, res) {
+        var poller = {
+          position: parseInt(req.query.stream_position, 10) || 0,
+          res: res
+        };
+
+        if (poller.position < tree.events.length) {
+          return _send(res, 200, {
+            message: 'new_change'
+          });
+        }
+        poller.timer = setTimeout(function () {
+          self._endPoll(poller, 'reconnect');
+        }, self.longpoll_timeout);
+        self.pollers.push(poller);
+      });
+
+      //Downloads
+
+      router.get('/download/{id}/{version}', handle(function (req, res) {
+        var version = tree.getVersion(req.params.id, req.params.version),
+          range = (/^bytes=(\d*)-(\d*)$/).exec(req.headers.range || ''),
+          start = 0,
+          end = version.size - 1;
+
+        if (range && range[1]) {
+          start = parseInt(range[1], 10);
+          end = range[2] ? Math.min(parseInt(range[2], 10), end) : end;
+        } else if (range && range[2]) {
+          start = Math.max(version.size - parseInt(range[2], 10), 0);
+        }
+        if (range && (start > end || !(range[1] || range[2]))) {
+          res.writeHead(416, {
+            'Content-Range': 'bytes */' + version.size
+          });
+          return res.end();
+        }
+
+        res.writeHead(range ? 206 : 200, _.extend({
+          'Content-Type': 'application/octet-stream',
+          'Content-Length': end - start + 1,
+          'Accept-Ranges': 'bytes'
+        }, range ? {
+          'Content-Range': 'bytes ' + start + '-' + end + '/' + version.size
+        } : {}));
+        res.end(version.content.slice(start, end + 1));
+      }));
+
+      //OAuth2
+
+      router.get('/oauth2/authorize', function (req, res) {
+        if (req.query.client_id !== self.client_id || !req.query.redirect_uri) {
+          return _send(res, 400, {
+            error: 'invalid_request'
+          });
+        }
+
+        var code = _token(),
+          query = querystring.stringify({
+            code: code,
+            state: req.query.state
+          });
+        self.codes[code] = self.user.login;
+        res.writeHead(302, {
+          Location: req.query.redirect_uri + (req.query.redirect_uri.indexOf('?') === -1 ? '?' : '&') + query
+        });
+        res.end();
+      });
+
+      router.post('/oauth2/token', function (req, res) {
+        var body = req.body,
+          login;
+
+        if (body.client_id !== self.client_id || body.client_secret !== self.client_secret) {
+          return _send(res, 400, {
+            error: 'invalid_client',
+            error_description: 'The client credentials are invalid'
+          });
+        }
+
+        if (body.grant_type === 'authorization_code') {
+          login = self.codes[body.code];
+          delete self.codes[body.code];
+        } else if (body.grant_type === 'refresh_token') {
+          login = self.refresh_tokens[body.refresh_token];
+          delete self.refresh_tokens[body.refresh_token];
+        }
+
+        if (!login) {
+          return _send(res, 400, {
+            error: 'invalid_grant',
+            error_description: 'Invalid grant'
+          });
+        }
+        _send(res, 200, self.issueTokens(login));
+      });
+
+      return router;
+    }
+  });
+
+module.exports = FakeServer;
@@ -0,0 +1,729 @@
+'use strict';
+
+var _ = require('lodash'),
+  crypto = require('crypto'),
+  base = require('base-framework');
+
+/**
+ * Do not call this function directly.
+ * @summary Create an error carrying the HTTP status and Box error code to respond with.
+ * @private
+ * @param {number} status - The HTTP status code.
+ * @param {string} code - The Box error code.
+ * @param {string} message - The error message.
+ * @param {Object} [context_info] - Additional error context.
+ * @returns {Error} The error.
+ */
+function _error(status, code, message, context_info) {
+  var err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.context_info = context_info;
+  return err;
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Get the current time in the format used by Box.
+ * @private
+ * @returns {string} The timestamp.
+ */
+function _now() {
+  return new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Compute the hex SHA-1 digest of some data.
+ * @private
+ * @param {Buffer} data - The data.
+ * @returns {string} The digest.
+ */
+function _sha1(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * @class FakeTree
+ * @classdesc The in-memory item tree behind a {@link FakeServer}. Methods are synchronous, and throw errors
+ * carrying the {@linkcode status} and Box {@linkcode code} to respond with.
+ * @private
+ * @param {Object} user - The mini user object to attribute changes to.
+ */
+var FakeTree = base.createChild().addInstanceMethods(
+  /** @lends FakeTree.prototype */
+  {
+    init: function (user) {
+      this.user = user;
+      this.lastId = 1000;
+      this.items = {};
+      this.comments = [];
+      this.tasks = [];
+      this.events = [];
+
+      this.items['0'] = {
+        type: 'folder',
+        id: '0',
+        name: 'All Files',
+        description: '',
+        parent_id: null,
+        sequence_id: null,
+        created_at: null,
+        modified_at: null,
+        item_status: 'active'
+      };
+
+      return this;
+    },
+
+    /**
+     * Generate a new id.
+     * @returns {string} The id.
+     */
+    nextId: function () {
+      return String(++this.lastId);
+    },
+
+    /**
+     * Get an item by id.
+     * @param {string} type - {@linkcode file} or {@linkcode folder}.
+     * @param {string} id - The item's id.
+     * @param {boolean} [trashed] - Whether to look for a trashed item instead of an active one.
+     * @returns {Object} The item.
+     * @throws {Error} 404 if no such item exists.
+     */
+    get: function (type, id, trashed) {
+      var item = this.items[String(id)],
+        status = trashed ? 'trashed' : 'active';
+
+      if (!item || item.type !== type || item.item_status !== status) {
+        throw _error(404, trashed ? 'trashed_item_not_found' : 'not_found', 'Not Found');
+      }
+      return item;
+    },
+
+    /**
+     * Get the active children of a folder.
+     * @param {string} id - The folder's id.
+     * @returns {Array.<Object>} The child items, folders first, each sorted by name.
+     */
+    children: function (id) {
+      return _.sortBy(_.filter(this.items, function (item) {
+        return item.parent_id === id && item.item_status === 'active';
+      }), function (item) {
+        return (item.type === 'folder' ? '0' : '1') + item.name.toLowerCase();
+      });
+    },
+
+    /**
+     * Get all active descendants of a folder.
+     * @param {string} id - The folder's id.
+     * @returns {Array.<Object>} The descendant items.
+     */
+    descendants: function (id) {
+      var self = this;
+      return _.flatten(_.map(self.children(id), function (child) {
+        return child.type === 'folder' ? [child].concat(self.descendants(child.id)) : [child];
+      }));
+    },
+
+    /**
+     * Get the ancestors of an item, starting from the root.
+     * @param {Object} item - The item.
+     * @returns {Array.<Object>} The ancestor folders.
+     */
+    ancestors: function (item) {
+      var path = [];
+      while (item.parent_id !== null) {
+        item = this.items[item.parent_id];
+        path.unshift(item);
+      }
+      return path;
+    },
+
+    /**
+     * Serialize an item in mini format.
+     * @param {Object} item - The item.
+     * @returns {Object} The mini item.
+     */
+    mini: function (item) {
+      var mini = {
+        type: item.type,
+        id: item.id,
+        sequence_id: item.sequence_id === null ? null : String(item.sequence_id),
+        etag: item.sequence_id === null ? null : String(item.sequence_id),
+        name: item.name
+      };
+      if (item.type === 'file') {
+        mini.sha1 = _.last(item.versions).sha1;
+        mini.file_version = this.version(_.last(item.versions));
+      }
+      return mini;
+    },
+
+    /**
+     * Serialize an item in full format.
+     * @param {Object} item - The item.
+     * @returns {Object} The full item.
+     */
+    full: function (item) {
+      var self = this,
+        ancestors = self.ancestors(item),
+        current = item.type === 'file' ? _.last(item.versions) : null,
+        full = _.extend(self.mini(item), {
+          description: item.description,
+          size: current ? current.size : _.reduce(self.descendants(item.id), function (sum, child) {
+            return sum + (child.type === 'file' ? _.last(child.versions).size : 0);
+          }, 0),
+          path_collection: {
+            total_count: ancestors.length,
+            entries: _.map(ancestors, _.bind(self.mini, self))
+          },
+          created_at: item.created_at,
+          modified_at: item.modified_at,
+          trashed_at: item.trashed_at || null,
+          purged_at: null,
+          content_created_at: item.content_created_at || item.created_at,
+          content_modified_at: item.content_modified_at || item.modified_at,
+          created_by: item.parent_id === null ? null : self.user,
+          modified_by: item.parent_id === null ? null : self.user,
+          owned_by: self.user,
+          shared_link: null,
+          parent: item.parent_id === null ? null : self.mini(self.items[item.parent_id]),
+          item_status: item.item_status
+        });
+
+      if (item.type === 'folder') {
+        var children = self.children(item.id);
+        full.folder_upload_email = null;
+        full.item_collection = {
+          total_count: children.length,
+          entries: _.map(_.first(children, 100), _.bind(self.mini, self)),
+          offset: 0,
+          limit: 100
+        };
+      }
+      return full;
+    },
+
+    /**
+     * Serialize a file version.
+     * @param {Object} version - The version.
+     * @returns {Object} The file version object.
+     */
+    version: function (version) {
+      return _.omit(version, 'content');
+    },
+
+    /**
+     * Record an event in the event stream.
+     * @param {string} type - The event type, e.g. {@linkcode ITEM_CREATE}.
+     * @param {Object} source - The source object of the event.
+     */
+    record: function (type, source) {
+      var now = _now();
+      this.events.push({
+        type: 'event',
+        event_id: this.nextId(),
+        created_by: this.user,
+        created_at: now,
+        recorded_at: now,
+        event_type: type,
+        session_id: null,
+        source: source
+      });
+    },
+
+    /**
+     * Throw a conflict if the name is taken in a folder.
+     * @param {string} parent_id - The folder's id.
+     * @param {string} name - The name to check.
+     * @param {string} [except] - An item id to ignore, e.g. the item being renamed.
+     * @throws {Error} 409 if the name is in use.
+     */
+    checkName: function (parent_id, name, except) {
+      if (!_.isString(name) || _.isEmpty(name) || /[\/\\]/.test(name) || name === '.' || name === '..') {
+        throw _error(400, 'item_name_invalid', 'Item name invalid');
+      }
+      var conflict = _.find(this.children(parent_id), function (item) {
+        return item.id !== except && item.name.toLowerCase() === name.toLowerCase();
+      });
+      if (conflict) {
+        throw _error(409, 'item_name_in_use', 'Item with the same name already exists', {
+          conflicts: [this.mini(conflict)]
+        });
+      }
+    },
+
+    /**
+     * Throw a precondition failure if an If-Match etag does not match the item.
+     * @param {Object} item - The item.
+     * @param {string} [etag] - The If-Match header value.
+     * @throws {Error} 412 if the etag does not match.
+     */
+    checkEtag: function (item, etag) {
+      if (etag && etag !== String(item.sequence_id)) {
+        throw _error(412, 'precondition_failed', 'The resource has been modified. Please retrieve the ' +
+          'resource again and retry');
+      }
+    },
+
+    /**
+     * Mark an item as modified.
+     * @param {Object} item - The item.
+     */
+    touch: function (item) {
+      item.sequence_id++;
+      item.modified_at = _now();
+    },
+
+    /**
+     * Create a folder.
+     * @param {string} name - The folder's name.
+     * @param {string} parent_id - The parent folder's id.
+     * @returns {Object} The new folder.
+     */
+    createFolder: function (name, parent_id) {
+      parent_id = String(parent_id);
+      this.get('folder', parent_id);
+      this.checkName(parent_id, name);
+
+      var now = _now(),
+        folder = {
+          type: 'folder',
+          id: this.nextId(),
+          name: name,
+          description: '',
+          parent_id: parent_id,
+          sequence_id: 0,
+          created_at: now,
+          modified_at: now,
+          item_status: 'active'
+        };
+
+      this.items[folder.id] = folder;
+      this.record('ITEM_CREATE', this.mini(folder));
+      return folder;
+    },
+
+    /**
+     * Create a new file version object.
+     * @param {string} name - The file's name.
+     * @param {Buffer} content - The version's content.
+     * @returns {Object} The version.
+     */
+    newVersion: function (name, content) {
+      var now = _now();
+      return {
+        type: 'file_version',
+        id: this.nextId(),
+        sha1: _sha1(content),
+        name: name,
+        size: content.length,
+        created_at: now,
+        modified_at: now,
+        modified_by: this.user,
+        trashed_at: null,
+        content: content
+      };
+    },
+
+    /**
+     * Create a file.
+     * @param {string} name - The file's name.
+     * @param {string} parent_id - The parent folder's id.
+     * @param {(Buffer | string)} content - The file's content.
+     * @param {Object} [attrs] - Optional {@linkcode content_created_at} and {@linkcode content_modified_at}.
+     * @returns {Object} The new file.
+     */
+    createFile: function (name, parent_id, content, attrs) {
+      parent_id = String(parent_id);
+      this.get('folder', parent_id);
+      this.checkName(parent_id, name);
+
+      var now = _now(),
+        file = _.extend({
+          type: 'file',
+          id: this.nextId(),
+          name: name,
+          description: '',
+          parent_id: parent_id,
+          sequence_id: 0,
+          created_at: now,
+          modified_at: now,
+          item_status: 'active',
+          versions: [this.newVersion(name, new Buffer(content))]
+        }, _.pick(attrs || {}, 'content_created_at', 'content_modified_at'));
+
+      this.items[file.id] = file;
+      this.record('ITEM_UPLOAD', this.mini(file));
+      return file;
+    },
+
+    /**
+     * Upload a new version of a file.
+     * @param {string} id - The file's id.
+     * @param {(Buffer | string)} content - The new content.
+     * @param {Object} [attrs] - Optional {@linkcode content_modified_at}.
+     * @param {string} [etag] - Optional If-Match etag.
+     * @returns {Object} The file.
+     */
+    uploadVersion: function (id, content, attrs, etag) {
+      var file = this.get('file', id);
+      this.checkEtag(file, etag);
+
+      file.versions.push(this.newVersion(file.name, new Buffer(content)));
+      file.content_modified_at = (attrs && attrs.content_modified_at) || _now();
+      this.touch(file);
+      this.record('ITEM_UPLOAD', this.mini(file));
+      return file;
+    },
+
+    /**
+     * Update an item's name, description or parent.
+     * @param {string} type - {@linkcode file} or {@linkcode folder}.
+     * @param {string} id - The item's id.
+     * @param {Object} fields - The fields to update.
+     * @param {string} [etag] - Optional If-Match etag.
+     * @returns {Object} The item.
+     */
+    update: function (type, id, fields, etag) {
+      var item = this.get(type, id),
+        parent_id = fields.parent && !_.isUndefined(fields.parent.id) ? String(fields.parent.id) : item.parent_id,
+        name = _.has(fields, 'name') ? fields.name : item.name,
+        events = [];
+
+      if (item.parent_id === null) {
+        throw _error(403, 'access_denied_insufficient_permissions', 'Access denied - insufficient permission');
+      }
+      this.checkEtag(item, etag);
+
+      if (parent_id !== item.parent_id) {
+        var parent = this.get('folder', parent_id);
+        if (type === 'folder' && (parent.id === item.id || _.contains(_.pluck(this.ancestors(parent), 'id'),
+            item.id))) {
+          throw _error(400, 'bad_request', 'Cannot move a folder into itself or one of its descendants');
+        }
+        events.push('ITEM_MOVE');
+      }
+      if (name !== item.name) {
+        events.push('ITEM_RENAME');
+      }
+      this.checkName(parent_id, name, item.id);
+
+      item.parent_id = parent_id;
+      item.name = name;
+      if (_.has(fields, 'description')) {
+        item.description = fields.description;
+      }
+      this.touch(item);
+
+      _.each(events, function (event) {
+        this.record(event, this.mini(item));
+      }, this);
+      return item;
+    },
+
+    /**
+     * Move an item (and, for folders, all its descendants) to the trash.
+     * @param {string} type - {@linkcode file} or {@linkcode folder}.
+     * @param {string} id - The item's id.
+     * @param {boolean} [recursive] - Required to trash non-empty folders.
+     * @param {string} [etag] - Optional If-Match etag.
+     */
+    trash: function (type, id, recursive, etag) {
+      var item = this.get(type, id),
+        now = _now();
+
+      if (item.parent_id === null) {
+        throw _error(403, 'access_denied_insufficient_permissions', 'Access denied - insufficient permission');
+      }
+      this.checkEtag(item, etag);
+
+      if (type === 'folder') {
+        var descendants = this.descendants(item.id);
+        if (descendants.length && !recursive) {
+          throw _error(400, 'folder_not_empty', 'Cannot delete - folder not empty');
+        }
+        _.each(descendants, function (child) {
+          child.item_status = 'trashed';
+          child.trashed_at = now;
+          child.trashed_with = item.id;
+        });
+      }
+
+      item.item_status = 'trashed';
+      item.trashed_at = now;
+      this.touch(item);
+      this.record('ITEM_TRASH', this.mini(item));
+    },
+
+    /**
+     * Get the top-level items in the trash.
+     * @returns {Array.<Object>} The trashed items.
+     */
+    trashed: function () {
+      return _.sortBy(_.filter(this.items, function (item) {
+        return item.item_status === 'trashed' && !item.trashed_with;
+      }), 'trashed_at');
+    },
+
+    /**
+     * Permanently delete a trashed item.
+     * @param {string} type - {@linkcode file} or {@linkcode folder}.
+     * @param {string} id - The item's id.
+     */
+    purge: function (type, id) {
+      var item = this.get(type, id, true);
+      _.each(this.items, function (child, child_id) {
+        if (child.trashed_with === item.id) {
+          delete this.items[child_id];
+        }
+      }, this);
+      delete this.items[item.id];
+    },
+
+    /**
+     * Restore a trashed item.
+     * @param {string} type - {@linkcode file} or {@linkcode folder}.
+     * @param {string} id - The item's id.
+     * @param {string} [name] - Optional new name.
+     * @param {string} [parent_id] - Optional new parent folder's id.
+     * @returns {Object} The item.
+     */
+    restore: function (type, id, name, parent_id) {
+      var item = this.get(type, id, true);
+
+      parent_id = parent_id ? String(parent_id) : item.parent_id;
+      name = name || item.name;
+      this.get('folder', parent_id);
+      this.checkName(parent_id, name);
+
+      _.each(this.items, function (child) {
+        if (child.trashed_with === item.id) {
+          child.item_status = 'active';
+          delete child.trashed_at;
+          delete child.trashed_with;
+        }
+      });
+      item.item_status = 'active';
+      item.parent_id = parent_id;
+      item.name = name;
+      delete item.trashed_at;
+      this.touch(item);
+      this.record('ITEM_UNDELETE_VIA_TRASH', this.mini(item));
+      return item;
+    },
+
+    /**
+     * Copy an item (and, for folders, all its descendants).
+     * @param {string} type - {@linkcode file} or {@linkcode folder}.
+     * @param {string} id - The item's id.
+     * @param {string} parent_id - The destination folder's id.
+     * @param {string} [name] - Optional new name.
+     * @returns {Object} The copy.
+     */
+    copy: function (type, id, parent_id, name) {
+      var item = this.get(type, id),
+        copy;
+
+      parent_id = String(parent_id);
+      if (type === 'folder' && (parent_id === item.id || _.contains(_.pluck(this.ancestors(this.get('folder',
+          parent_id)), 'id'), item.id))) {
+        throw _error(400, 'bad_request', 'Cannot copy a folder into itself or one of its descendants');
+      }
+
+      if (type === 'file') {
+        copy = this.createFile(name || item.name, parent_id, _.last(item.versions).content);
+      } else {
+        copy = this.createFolder(name || item.name, parent_id);
+        _.each(this.children(item.id), function (child) {
+          this.copy(child.type, child.id, copy.id);
+        }, this);
+      }
+      copy.description = item.description;
+      this.record('ITEM_COPY', this.mini(copy));
+      return copy;
+    },
+
+    /**
+     * Get the previous versions of a file.
+     * @param {string} id - The file's id.
+     * @returns {Array.<Object>} The versions, most recent first.
+     */
+    versions: function (id) {
+      var file = this.get('file', id);
+      return _.initial(file.versions).reverse();
+    },
+
+    /**
+     * Promote a previous version of a file, by copying it to the top of the version stack.
+     * @param {string} id - The file's id.
+     * @param {string} version_id - The version's id.
+     * @returns {Object} The new current version.
+     */
+    promoteVersion: function (id, version_id) {
+      var file = this.get('file', id),
+        version = _.find(file.versions, {
+          id: String(version_id)
+        });
+
+      if (!version || version.trashed_at) {
+        throw _error(404, 'not_found', 'Not Found');
+      }
+
+      var promoted = this.newVersion(file.name, version.content);
+      file.versions.push(promoted);
+      this.touch(file);
+      return promoted;
+    },
+
+    /**
+     * Trash a previous version of a file.
+     * @param {string} id - The file's id.
+     * @param {string} version_id - The version's id.
+     * @param {string} [etag] - Optional If-Match etag.
+     */
+    deleteVersion: function (id, version_id, etag) {
+      var file = this.get('file', id),
+        version = _.find(_.initial(file.versions), {
+          id: String(version_id)
+        });
+
+      if (!version || version.trashed_at) {
+        throw _error(404, 'not_found', 'Not Found');
+      }
+      this.checkEtag(file, etag);
+      version.trashed_at = _now();
+    },
+
+    /**
+     * Get a version of a file.
+     * @param {string} id - The file's id.
+     * @param {string} [version_id] - The version's id. Defaults to the current version.
+     * @returns {Object} The version.
+     */
+    getVersion: function (id, version_id) {
+      var file = this.get('file', id),
+        version = version_id ? _.find(file.versions, {
+          id: String(version_id)
+        }) : _.last(file.versions);
+
+      if (!version || version.trashed_at) {
+        throw _error(404, 'not_found', 'Not Found');
+      }
+      return version;
+    },
+
+    /**
+     * Add a comment to a file.
+     * @param {string} id - The file's id.
+     * @param {string} message - The comment.
+     * @returns {Object} The comment.
+     */
+    addComment: function (id, message) {
+      var file = this.get('file', id),
+        comment = {
+          type: 'comment',
+          id: this.nextId(),
+          is_reply_comment: false,
+          message: message,
+          created_by: this.user,
+          created_at: _now(),
+          item: {
+            type: 'file',
+            id: file.id
+          },
+          modified_at: _now()
+        };
+
+      this.comments.push(comment);
+      this.record('COMMENT_CREATE', comment);
+      return comment;
+    },
+
+    /**
+     * Add a task to a file.
+     * @param {string} id - The file's id.
+     * @param {string} [message] - The task's message.
+     * @param {string} [due_at] - The task's due date.
+     * @returns {Object} The task.
+     */
+    addTask: function (id, message, due_at) {
+      var file = this.get('file', id),
+        task = {
+          type: 'task',
+          id: this.nextId(),
+          item: this.mini(file),
+          due_at: due_at || null,
+          action: 'review',
+          message: message || '',
+          task_assignment_collection: {
+            total_count: 0,
+            entries: []
+          },
+          is_completed: false,
+          created_by: this.user,
+          created_at: _now()
+        };
+
+      this.tasks.push(task);
+      this.record('TASK_ASSIGNMENT_CREATE', task);
+      return task;
+    },
+
+    /**
+     * Get the comments on a file.
+     * @param {string} id - The file's id.
+     * @returns {Array.<Object>} The comments.
+     */
+    fileComments: function (id) {
+      this.get('file', id);
+      return _.filter(this.comments, function (comment) {
+        return comment.item.id === String(id);
+      });
+    },
+
+    /**
+     * Get the tasks on a file.
+     * @param {string} id - The file's id.
+     * @returns {Array.<Object>} The tasks.
+     */
+    fileTasks: function (id) {
+      this.get('file', id);
+      return _.filter(this.tasks, function (task) {
+        return task.item.id === String(id);
+      });
+    },
+
+    /**
+     * Search active items by name and description.
+     * @param {string} query - The search keyword.
+     * @param {OptsSearch} [opts] - Search filters. Supports {@linkcode type}, {@linkcode file_extensions}
+     * and {@linkcode ancestor_folder_ids}.
+     * @returns {Array.<Object>} The matching items.
+     */
+    search: function (query, opts) {
+      var self = this,
+        extensions = opts.file_extensions ? opts.file_extensions.toLowerCase().split(',') : null,
+        ancestors = opts.ancestor_folder_ids ? opts.ancestor_folder_ids.split(',') : null;
+
+      query = query.toLowerCase();
+      return _.filter(self.descendants('0'), function (item) {
+        if (opts.type && item.type !== opts.type) {
+          return false;
+        }
+        if (extensions && (item.type !== 'file' || !_.contains(extensions,
+            _.last(item.name.toLowerCase().split('.'))))) {
+          return false;
+        }
+        if (ancestors && _.isEmpty(_.intersection(ancestors, _.pluck(self.ancestors(item), 'id')))) {
+          return false;
+        }
+        return item.name.toLowerCase().indexOf(query) !== -1 ||
+          (item.description || '').toLowerCase().indexOf(query) !== -1;
+      });
+    }
+  });
+
+module.exports = FakeTree;
@@ -0,0 +1,89 @@
+'use strict';
+
+var _ = require('lodash'),
+  base = require('base-framework'),
+  Monologue = require('monologue.js')(_);
+
+/**
+ * @class RequestHandle
+ * @classdesc A handle to cancel an API call, returned by every API method that takes a
+ * {@linkcode config} argument (available as {@linkcode promise.handle} when the method returns a Promise).
+ * Cancelling removes the call's queued requests, aborts those in flight and clears pending retries, and the
+ * call fails with an error whose {@linkcode code} is {@linkcode cancelled}. A handle can also be created
+ * up front and passed in as {@linkcode config.handle}, to cancel several calls at once. Has
+ * {@link external:Monologue|Monologue} methods mixed in.
+ * @example
+ * var handle = connection.getFolderItems(0, null, function (err, result) {
+ *   if (err && err.code === 'cancelled') {
+ *     ...
+ *   }
+ * });
+ * handle.cancel();
+ */
+var RequestHandle = base.createChild().addInstanceMethods(
+  /** @lends RequestHandle.prototype */
+  {
+    init: function () {
+      this.cancelled = false;
+      this.cancellers = [];
+
+      return this;
+    },
+
+    /**
+     * Cancel the calls made with this handle. Has no effect once cancelled.
+     * @fires RequestHandle#cancelled
+     */
+    cancel: function () {
+      if (this.cancelled) {
+        return;
+      }
+
+      var cancellers = this.cancellers;
+      this.cancelled = true;
+      this.cancellers = [];
+
+      /**
+       * Fires when the handle is cancelled.
+       * @event RequestHandle#cancelled
+       */
+      this.emit('cancelled');
+      _.each(cancellers, function (canceller) {
+        canceller();
+      });
+    },
+
+    /**
+     * Create the error that cancelled calls fail with.
+     * @returns {Error} An error with the {@linkcode cancelled} code.
+     */
+    error: function () {
+      return _.extend(new Error('Request cancelled'), {
+        code: 'cancelled'
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Register a function to run on cancellation. It runs at once if the handle is already cancelled.
+     * @private
+     * @param {function} canceller - Stops a piece of pending work.
+     * @returns {function} Unregisters the canceller, once the work is done.
+     */
+    _register: function (canceller) {
+      var self = this;
+
+      if (self.cancelled) {
+        canceller();
+        return _.noop;
+      }
+      self.cancellers.push(canceller);
+      return function () {
+        self.cancellers = _.without(self.cancellers, canceller);
+      };
+    }
+  });
+
+Monologue.mixin(RequestHandle);
+
+module.exports = RequestHandle;
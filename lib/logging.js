@@ -0,0 +1,170 @@
+'use strict';
+
+var _ = require('lodash'),
+  util = require('util'),
+  Log = require('log');
+
+/**
+ * What redacted values are replaced with.
+ * @private
+ */
+var REDACTED = '[REDACTED]';
+
+/**
+ * Keys whose values are never logged.
+ * @private
+ */
+var SECRET_KEYS = /^(access_token|refresh_token|client_secret|authorization|password)$/i;
+
+/**
+ * Secrets embedded in strings: bearer credentials, and secret form or query parameters.
+ * @private
+ */
+var SECRET_PATTERNS = [
+  [/(Bearer\s+)[^\s,;'"]+/gi, '$1' + REDACTED],
+  [/((?:access_token|refresh_token|client_secret|password)=)[^&\s'"]+/gi, '$1' + REDACTED],
+  [/("(?:access_token|refresh_token|client_secret|password|authorization)"\s*:\s*")[^"]*/gi, '$1' + REDACTED]
+];
+
+/**
+ * The parameters of a token exchange or an authorization callback, whose {@linkcode code} parameter is the
+ * OAuth2 authorization code. Elsewhere, such as in errors, {@linkcode code} is not a secret.
+ * @private
+ */
+var OAUTH_PARAMS = /(^|[?&])(grant_type|state)=/;
+
+/**
+ * The authorization code in the query string or form body of a token exchange or an authorization callback.
+ * @private
+ */
+var OAUTH_CODE = [/((?:^|[?&])code=)[^&\s'"]+/g, '$1' + REDACTED];
+
+/**
+ * How deep objects are copied for redaction. Anything deeper is left out.
+ * @private
+ */
+var MAX_DEPTH = 8;
+
+/**
+ * Remove tokens, client secrets, authorization codes and Authorization headers from a value before it is
+ * logged. Objects and arrays are copied, with the values of secret keys replaced, and secrets are masked in
+ * strings. The {@linkcode code} of errors is kept: only the one of token exchanges and authorization callbacks
+ * is an authorization code.
+ * @param {*} value - The value to log.
+ * @param {number} [depth] - The current depth. Used internally.
+ * @returns {*} The redacted value.
+ */
+function redact(value, depth) {
+  depth = depth || 0;
+
+  if (_.isString(value)) {
+    var masked = _.reduce(SECRET_PATTERNS, function (result, pattern) {
+      return result.replace(pattern[0], pattern[1]);
+    }, value);
+    return OAUTH_PARAMS.test(value) ? masked.replace(OAUTH_CODE[0], OAUTH_CODE[1]) : masked;
+  }
+  if (value instanceof Error) {
+    return _.extend(new Error(redact(value.message)), {
+      stack: redact(value.stack)
+    }, redact(_.omit(value, 'message', 'stack'), depth));
+  }
+  if (!_.isArray(value) && !_.isPlainObject(value)) {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+
+  var copy = _.isArray(value) ? [] : {},
+    oauth = _.has(value, 'grant_type') || _.has(value, 'state');
+  _.forOwn(value, function (item, key) {
+    copy[key] = SECRET_KEYS.test(key) || (oauth && key === 'code') ? REDACTED : redact(item, depth + 1);
+  });
+  return copy;
+}
+
+/**
+ * @class TextLog
+ * @augments external:Log
+ * @classdesc The default log of a {@link Box}: a [Log]{@link https://www.npmjs.org/package/log} writing plain
+ * text lines, with secrets {@link redact|redacted} from the messages.
+ * @param {(string | number)} [level] - The log level. Defaults to {@linkcode debug}.
+ * @param {external:Writable} [stream] - The stream to write to. Defaults to stdout.
+ */
+function TextLog(level, stream) {
+  Log.call(this, level, stream);
+}
+util.inherits(TextLog, Log);
+
+/**
+ * Do not call this method directly.
+ * @summary Write a message, dropping a trailing structured record, which the text is expected to describe.
+ * @private
+ * @param {string} levelStr - The level name.
+ * @param {Arguments} args - The format string and its arguments.
+ */
+TextLog.prototype.log = function (levelStr, args) {
+  args = _.toArray(args);
+  if (this.structured && args.length > 1 && _.isPlainObject(_.last(args))) {
+    args.pop();
+  }
+  Log.prototype.log.call(this, levelStr, _.map(args, function (arg) {
+    return redact(arg);
+  }));
+};
+
+/**
+ * Whether a trailing plain object argument is a structured record rather than a value to format.
+ * @type {boolean}
+ */
+TextLog.prototype.structured = true;
+
+/**
+ * @class JsonLog
+ * @augments TextLog
+ * @classdesc A log that writes one JSON object per line, for log pipelines, selected with
+ * {@linkcode log_format: 'json'} in {@link BoxInit}. Each line has the {@linkcode time}, the {@linkcode level}
+ * and the formatted {@linkcode msg}. A trailing plain object argument, such as the record logged for every
+ * request, is merged into the line. Secrets are {@link redact|redacted}.
+ * @param {(string | number)} [level] - The log level. Defaults to {@linkcode debug}.
+ * @param {external:Writable} [stream] - The stream to write to. Defaults to stdout.
+ * @example
+ * {"time":"2026-01-31T10:00:00.000Z","level":"debug","msg":"GET /folders/0 200 84ms","method":"GET", ...}
+ */
+function JsonLog(level, stream) {
+  TextLog.call(this, level, stream);
+}
+util.inherits(JsonLog, TextLog);
+
+/**
+ * Do not call this method directly.
+ * @summary Write a message as a JSON line.
+ * @private
+ * @param {string} levelStr - The level name.
+ * @param {Arguments} args - The format string and its arguments, optionally followed by a record.
+ */
+JsonLog.prototype.log = function (levelStr, args) {
+  if (Log[levelStr] > this.level) {
+    return;
+  }
+
+  var record = {};
+  args = _.map(args, function (arg) {
+    return redact(arg);
+  });
+  if (args.length > 1 && _.isPlainObject(_.last(args))) {
+    record = args.pop();
+  }
+
+  this.stream.write(JSON.stringify(_.extend({
+    time: new Date().toISOString(),
+    level: levelStr.toLowerCase(),
+    msg: util.format.apply(null, args)
+  }, record)) + '\n');
+};
+
+module.exports = {
+  TextLog: TextLog,
+  JsonLog: JsonLog,
+  redact: redact
+};
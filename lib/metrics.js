@@ -0,0 +1,258 @@
+'use strict';
+
+var _ = require('lodash'),
+  base = require('base-framework');
+
+/**
+ * The default histogram buckets, in seconds.
+ * @private
+ */
+var DEFAULT_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * The help text of the metrics reported by a {@link Connection}.
+ * @private
+ */
+var HELP = {
+  box_requests_total: 'Requests sent to Box, by method, endpoint and status.',
+  box_request_errors_total: 'Requests that failed without a response, by method, endpoint and error code.',
+  box_request_duration_seconds: 'Time until the response headers of a request were received.',
+  box_request_retries_total: 'Retries of failed requests, by method, endpoint and reason.',
+  box_rate_limit_wait_seconds: 'Time waited before retrying a request rejected with status 429.',
+  box_queue_length: 'Requests waiting in the queue of a connection.',
+  box_queue_running: 'Requests in flight on a connection.',
+  box_longpoll_reconnects_total: 'Long-poll requests that ended without a change, and were reconnected.'
+};
+
+/**
+ * The interface a {@link Connection} reports metrics to, set as {@linkcode metrics} in {@link BoxInit} or on
+ * a connection. {@link PrometheusMetrics} implements it, and adapters to other metrics systems only need these
+ * three methods. The reported metrics are:
+ * - {@linkcode box_requests_total} (counter: {@linkcode method}, {@linkcode endpoint}, {@linkcode status})
+ * - {@linkcode box_request_errors_total} (counter: {@linkcode method}, {@linkcode endpoint}, {@linkcode error})
+ *   The {@linkcode error} label is the error's code, or {@linkcode error} for errors without one.
+ * - {@linkcode box_request_duration_seconds} (histogram: {@linkcode method}, {@linkcode endpoint})
+ * - {@linkcode box_request_retries_total} (counter: {@linkcode method}, {@linkcode endpoint},
+ *   {@linkcode reason})
+ * - {@linkcode box_rate_limit_wait_seconds} (histogram: {@linkcode endpoint})
+ * - {@linkcode box_queue_length} and {@linkcode box_queue_running} (gauges: {@linkcode connection})
+ * - {@linkcode box_longpoll_reconnects_total} (counter: {@linkcode connection})
+ *
+ * Endpoints are path templates with ids replaced, e.g. {@linkcode /folders/:id/items}.
+ * The {@linkcode connection} label is the connection's {@linkcode metrics_label}: an opaque number unique in
+ * the process by default, so that no email address is reported. Set it on a connection to name it instead.
+ * @interface Metrics
+ */
+
+/**
+ * Add to a counter.
+ * @function
+ * @name Metrics#increment
+ * @param {string} name - The metric name.
+ * @param {Object.<string, string>} labels - The label values.
+ * @param {number} [value] - The amount to add. Defaults to {@linkcode 1}.
+ */
+
+/**
+ * Record an observation in a histogram.
+ * @function
+ * @name Metrics#observe
+ * @param {string} name - The metric name.
+ * @param {Object.<string, string>} labels - The label values.
+ * @param {number} value - The observed value.
+ */
+
+/**
+ * Set a gauge.
+ * @function
+ * @name Metrics#gauge
+ * @param {string} name - The metric name.
+ * @param {Object.<string, string>} labels - The label values.
+ * @param {number} value - The current value.
+ */
+
+/**
+ * Do not call this function directly.
+ * @summary Format a set of labels in the Prometheus text format.
+ * @private
+ * @param {Object.<string, string>} labels - The label values.
+ * @returns {string} The labels, e.g. {@linkcode {method="GET",status="200"}}, or an empty string.
+ */
+function _labels(labels) {
+  var pairs = _.map(_.keys(labels).sort(), function (key) {
+    return key + '="' + String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') +
+      '"';
+  });
+  return pairs.length ? '{' + pairs.join(',') + '}' : '';
+}
+
+/**
+ * Options for {@link PrometheusMetrics}.
+ * @typedef {Object} PrometheusMetricsInit
+ * @property {Array.<number>} [buckets] - The upper bounds of the histogram buckets, in seconds. Defaults to
+ * {@linkcode [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]}.
+ */
+
+/**
+ * @class PrometheusMetrics
+ * @implements {Metrics}
+ * @classdesc Collects the metrics reported by connections in memory, and exports them in the Prometheus text
+ * format, to be scraped from an HTTP server of the application.
+ * @param {?PrometheusMetricsInit} [opts] - Options.
+ * @see {@link https://prometheus.io/docs/instrumenting/exposition_formats/}
+ * @example
+ * var metrics = box_sdk.PrometheusMetrics(),
+ *   box = box_sdk.Box({
+ *     ...
+ *     metrics: metrics
+ *   });
+ *
+ * app.get('/metrics', metrics.handler());
+ */
+var PrometheusMetrics = base.createChild().addInstanceMethods(
+  /** @lends PrometheusMetrics.prototype */
+  {
+    init: function (opts) {
+      this.buckets = _.sortBy((opts && opts.buckets) || DEFAULT_BUCKETS);
+      this.reset();
+
+      return this;
+    },
+
+    /**
+     * Clear all collected metrics.
+     */
+    reset: function () {
+      this.metrics = {};
+    },
+
+    /**
+     * Add to a counter.
+     * @param {string} name - The metric name.
+     * @param {Object.<string, string>} labels - The label values.
+     * @param {number} [value] - The amount to add. Defaults to {@linkcode 1}.
+     */
+    increment: function (name, labels, value) {
+      var series = this._series('counter', name, labels);
+      series.value += _.isNumber(value) ? value : 1;
+    },
+
+    /**
+     * Record an observation in a histogram.
+     * @param {string} name - The metric name.
+     * @param {Object.<string, string>} labels - The label values.
+     * @param {number} value - The observed value.
+     */
+    observe: function (name, labels, value) {
+      var series = this._series('histogram', name, labels);
+
+      _.each(this.buckets, function (bound, index) {
+        if (value <= bound) {
+          series.buckets[index]++;
+        }
+      });
+      series.sum += value;
+      series.count++;
+    },
+
+    /**
+     * Set a gauge.
+     * @param {string} name - The metric name.
+     * @param {Object.<string, string>} labels - The label values.
+     * @param {number} value - The current value.
+     */
+    gauge: function (name, labels, value) {
+      this._series('gauge', name, labels).value = value;
+    },
+
+    /**
+     * Export the collected metrics.
+     * @returns {string} The metrics in the Prometheus text format.
+     */
+    render: function () {
+      var self = this,
+        lines = [];
+
+      _.each(_.keys(self.metrics).sort(), function (name) {
+        var metric = self.metrics[name];
+
+        lines.push('# HELP ' + name + ' ' + (HELP[name] || name));
+        lines.push('# TYPE ' + name + ' ' + metric.type);
+        _.forIn(metric.series, function (series) {
+          if (metric.type !== 'histogram') {
+            lines.push(name + _labels(series.labels) + ' ' + series.value);
+            return;
+          }
+          _.each(self.buckets, function (bound, index) {
+            lines.push(name + '_bucket' + _labels(_.extend({
+              le: String(bound)
+            }, series.labels)) + ' ' + series.buckets[index]);
+          });
+          lines.push(name + '_bucket' + _labels(_.extend({
+            le: '+Inf'
+          }, series.labels)) + ' ' + series.count);
+          lines.push(name + '_sum' + _labels(series.labels) + ' ' + series.sum);
+          lines.push(name + '_count' + _labels(series.labels) + ' ' + series.count);
+        });
+      });
+
+      return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Get a request handler that responds with the {@link PrometheusMetrics#render|exported} metrics, for an
+     * HTTP server or an Express/Connect app.
+     * @returns {function} The handler, taking the request and the response.
+     */
+    handler: function () {
+      var self = this;
+
+      return function (req, res) {
+        var body = self.render();
+        res.writeHead(200, {
+          'Content-Type': 'text/plain; version=0.0.4',
+          'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+      };
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Get the series of a metric with the given labels, creating it if new.
+     * @private
+     * @param {string} type - {@linkcode counter}, {@linkcode gauge} or {@linkcode histogram}.
+     * @param {string} name - The metric name.
+     * @param {Object.<string, string>} labels - The label values.
+     * @returns {Object} The series.
+     * @throws {Error} The metric was already reported with another type.
+     */
+    _series: function (type, name, labels) {
+      var metric = this.metrics[name],
+        key = _labels(labels || {});
+
+      if (!metric) {
+        metric = this.metrics[name] = {
+          type: type,
+          series: {}
+        };
+      } else if (metric.type !== type) {
+        throw new Error('Metric ' + name + ' is a ' + metric.type + ', not a ' + type);
+      }
+
+      if (!metric.series[key]) {
+        metric.series[key] = type === 'histogram' ? {
+          labels: labels || {},
+          buckets: _.map(this.buckets, _.constant(0)),
+          sum: 0,
+          count: 0
+        } : {
+          labels: labels || {},
+          value: 0
+        };
+      }
+      return metric.series[key];
+    }
+  });
+
+module.exports = PrometheusMetrics;
@@ -0,0 +1,247 @@
+'use strict';
+
+var _ = require('lodash'),
+  async = require('async'),
+  base = require('base-framework'),
+  Readable = require('stream').Readable;
+
+/**
+ * Options for the iterator API methods, in addition to the query parameters of the underlying API call.
+ * @typedef {Object} OptsPager
+ * @property {number} [limit] - The page size. Defaults to the one of the API call.
+ * @property {number} [max_items] - Stop after this many items. Unlimited by default.
+ * @property {boolean} [usemarker] - Use marker-based rather than offset-based pagination, where the API
+ * supports it. Marker-based pagination is not thrown off by items added or removed while paging, and is the
+ * default where supported.
+ * @property {number} [offset] - The offset to start from, for offset-based pagination.
+ * @property {string} [marker] - The marker to start from, for marker-based pagination.
+ */
+
+/**
+ * @class Pager
+ * @classdesc Walks all pages of a paginated API call, one item at a time, fetching the next page only when
+ * needed, so that a consumer that stops early does not fetch any further pages. Returned by the iterator API
+ * methods, e.g. {@link Connection#iterateFolderItems}. Items can be consumed with callbacks ({@link Pager#read},
+ * {@link Pager#each}), as an async iterator ({@linkcode for await (const item of pager)}), or as a Readable
+ * object stream ({@link Pager#stream}).
+ * @param {function} fetch - Fetches a page, given the query parameters and a callback.
+ * @param {?OptsPager} [opts] - The pagination options, and the query parameters of every page.
+ * @param {function} getPromise - Returns the Promise constructor to use.
+ * @example
+ * connection.iterateFolderItems(0, {fields: 'name,size'}).each(function (item, next) {
+ *   console.log(item.name);
+ *   next();
+ * }, function (err) {
+ *   ...
+ * });
+ */
+var Pager = base.createChild().addInstanceMethods(
+  /** @lends Pager.prototype */
+  {
+    init: function (fetch, opts, getPromise) {
+      opts = opts || {};
+
+      this.fetch = fetch;
+      this.getPromise = getPromise;
+      this.query = _.omit(opts, 'max_items', 'offset', 'marker', 'usemarker');
+      this.usemarker = !!opts.usemarker;
+      this.max_items = opts.max_items || null;
+      this.offset = opts.offset || 0;
+      this.marker = opts.marker || null;
+
+      /**
+       * The total number of items, as reported by an offset-based API call, once the first page is in.
+       * @type {?number}
+       */
+      this.total_count = null;
+      this.count = 0;
+      this.buffer = [];
+      this.exhausted = false;
+      this.stopped = false;
+      this.reads = async.queue(_.bind(this._read, this), 1);
+
+      return this;
+    },
+
+    /**
+     * Get the next item. Concurrent reads are served in order.
+     * @param {function} callback - Called with an optional error and the item, which is
+     * {@linkcode undefined} once all items have been read.
+     */
+    read: function (callback) {
+      this.reads.push({}, callback);
+    },
+
+    /**
+     * Call a function for every item in turn, until all items have been read, the function fails, or it
+     * asks to stop.
+     * @param {function} iteratee - Called with each item and a callback, which takes an optional error, and
+     * {@linkcode false} as a second argument to stop.
+     * @param {optionalErrorCallback} callback - Called once done.
+     */
+    each: function (iteratee, callback) {
+      var self = this;
+
+      self.read(function next(err, item) {
+        if (err || _.isUndefined(item)) {
+          return callback(err);
+        }
+        iteratee(item, function (err, more) {
+          if (err || more === false) {
+            self.stop();
+            return callback(err);
+          }
+          self.read(next);
+        });
+      });
+    },
+
+    /**
+     * Stop paging. Further reads return no items.
+     */
+    stop: function () {
+      this.stopped = true;
+      this.buffer = [];
+    },
+
+    /**
+     * Get the next item, as specified by the async iterator protocol.
+     * @returns {Promise} Resolves to {@linkcode {value, done}}.
+     */
+    next: function () {
+      var self = this,
+        Promise = self.getPromise();
+
+      return new Promise(function (resolve, reject) {
+        self.read(function (err, item) {
+          if (err) {
+            return reject(err);
+          }
+          resolve(_.isUndefined(item) ? {
+            value: undefined,
+            done: true
+          } : {
+            value: item,
+            done: false
+          });
+        });
+      });
+    },
+
+    /**
+     * Stop paging, as specified by the async iterator protocol. Called when a {@linkcode for await} loop
+     * is left early.
+     * @returns {Promise} Resolves to {@linkcode {value: undefined, done: true}}.
+     */
+    'return': function () {
+      var Promise = this.getPromise();
+
+      this.stop();
+      return Promise.resolve({
+        value: undefined,
+        done: true
+      });
+    },
+
+    /**
+     * Get the items as a Readable object stream. A page is only fetched when the stream is read, so paging
+     * stops when the consumer stops reading, and for good when the stream is destroyed.
+     * @returns {external:Readable} The stream.
+     */
+    stream: function () {
+      var self = this,
+        stream = new Readable({
+          objectMode: true
+        });
+
+      stream._read = function () {
+        self.read(function (err, item) {
+          if (err) {
+            return stream.emit('error', err);
+          }
+          stream.push(_.isUndefined(item) ? null : item);
+        });
+      };
+      stream.on('close', _.bind(self.stop, self));
+
+      return stream;
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Serve a queued read, fetching the next page if none is buffered.
+     * @private
+     * @param {Object} task - The queued read.
+     * @param {function} callback - Called with an optional error and the item, if any.
+     */
+    _read: function (task, callback) {
+      var self = this;
+
+      if (self.stopped || (self.max_items && self.count >= self.max_items)) {
+        return callback();
+      }
+      if (self.buffer.length) {
+        self.count++;
+        return callback(null, self.buffer.shift());
+      }
+      if (self.exhausted) {
+        return callback();
+      }
+
+      self._fetch(function (err) {
+        if (err) {
+          return callback(err);
+        }
+        self._read(task, callback);
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Fetch the next page into the buffer.
+     * @private
+     * @param {optionalErrorCallback} callback - Called once the page is in.
+     */
+    _fetch: function (callback) {
+      var self = this,
+        query = _.clone(self.query);
+
+      if (self.usemarker) {
+        query.usemarker = true;
+        if (self.marker) {
+          query.marker = self.marker;
+        }
+      } else {
+        query.offset = self.offset;
+      }
+
+      self.fetch(query, function (err, page) {
+        if (err) {
+          return callback(err);
+        }
+
+        var entries = (page && page.entries) || [];
+        if (!self.stopped) {
+          self.buffer = self.buffer.concat(entries);
+        }
+        if (self.usemarker) {
+          self.marker = page.next_marker || null;
+          self.exhausted = !self.marker || !entries.length;
+        } else {
+          self.offset += entries.length;
+          self.total_count = _.isNumber(page.total_count) ? page.total_count : null;
+          self.exhausted = !entries.length || (self.total_count !== null && self.offset >= self.total_count);
+        }
+        callback();
+      });
+    }
+  });
+
+//Async iteration, where the runtime supports it.
+if (global.Symbol && global.Symbol.asyncIterator) {
+  Pager.prototype[global.Symbol.asyncIterator] = function () {
+    return this;
+  };
+}
+
+module.exports = Pager;
@@ -0,0 +1,109 @@
+'use strict';
+
+var _ = require('lodash'),
+  base = require('base-framework');
+
+/**
+ * Options for a {@link PathCache}.
+ * @typedef {Object} PathCacheInit
+ * @property {number} [max_entries] - The number of paths to remember. The oldest entries are dropped first.
+ * Defaults to {@linkcode 10000}.
+ */
+
+/**
+ * @class PathCache
+ * @classdesc Remembers the items that paths resolved to, so that {@link Connection#resolvePath} only lists
+ * the folders it has not seen before. Box names are case-insensitive, and so are the paths. Entries are
+ * dropped when the connection renames, moves or deletes the item or one of its ancestors. Changes made by
+ * other clients are only noticed when a cached id is not found anymore. Enabled with
+ * {@linkcode path_cache} in {@link BoxInit}, or on a connection through {@link Connection#setPathCache}.
+ * @param {?PathCacheInit} [opts] - Options.
+ */
+var PathCache = base.createChild().addInstanceMethods(
+  /** @lends PathCache.prototype */
+  {
+    init: function (opts) {
+      this.max_entries = (opts && opts.max_entries) || 10000;
+      this.clear();
+
+      return this;
+    },
+
+    /**
+     * Get the item a path resolved to.
+     * @param {Array.<string>} segments - The path segments.
+     * @returns {?Object} The item, with its {@linkcode type}, {@linkcode id} and {@linkcode name}.
+     */
+    get: function (segments) {
+      return this.entries[_key(segments)] || null;
+    },
+
+    /**
+     * Remember the item a path resolved to.
+     * @param {Array.<string>} segments - The path segments.
+     * @param {Object} item - The item.
+     */
+    set: function (segments, item) {
+      var key = _key(segments);
+
+      if (_.has(this.entries, key)) {
+        delete this.entries[key];
+      } else {
+        this.size++;
+      }
+      this.entries[key] = _.pick(item, 'type', 'id', 'name');
+      if (this.size > this.max_entries) {
+        delete this.entries[_.findKey(this.entries)];
+        this.size--;
+      }
+    },
+
+    /**
+     * Forget an item, and everything cached below it.
+     * @param {(number | string)} id - The item's ID.
+     */
+    invalidate: function (id) {
+      var self = this,
+        prefixes = [];
+
+      id = String(id);
+      _.forOwn(self.entries, function (item, key) {
+        if (item.id === id) {
+          prefixes.push(key + '/');
+          delete self.entries[key];
+          self.size--;
+        }
+      });
+      if (prefixes.length) {
+        _.forOwn(self.entries, function (item, key) {
+          if (_.some(prefixes, function (prefix) {
+              return key.indexOf(prefix) === 0;
+            })) {
+            delete self.entries[key];
+            self.size--;
+          }
+        });
+      }
+    },
+
+    /**
+     * Forget all paths.
+     */
+    clear: function () {
+      this.entries = {};
+      this.size = 0;
+    }
+  });
+
+/**
+ * Do not call this function directly.
+ * @summary Get the cache key of a path.
+ * @private
+ * @param {Array.<string>} segments - The path segments.
+ * @returns {string} The key.
+ */
+function _key(segments) {
+  return '/' + segments.join('/').toLowerCase();
+}
+
+module.exports = PathCache;
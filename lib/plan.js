@@ -0,0 +1,65 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * A change that a dry run found would be made.
+ * @typedef {Object} PlannedAction
+ * @property {string} action - What would be done, e.g. {@linkcode upload}, {@linkcode copy} or
+ * {@linkcode delete}.
+ * @property {?string} path - The local path of the item for syncs, or its path on Box otherwise, if known.
+ * @property {?string} id - The ID of the item on Box, if any.
+ * @property {string} reason - Why, e.g. {@linkcode deleted locally}.
+ */
+
+/**
+ * What a dry run found would be done, returned instead of doing it when {@linkcode config.dry_run} is set.
+ * @typedef {Object} DryRunPlan
+ * @property {boolean} dry_run - Always {@linkcode true}.
+ * @property {Array.<PlannedAction>} actions - The changes, in the order they would be made.
+ * @property {string} summary - A human-readable summary: the number of actions of each kind, then one line per
+ * action.
+ */
+
+/**
+ * Summarize planned actions for humans.
+ * @private
+ * @param {Array.<PlannedAction>} actions - The actions.
+ * @returns {string} The summary, e.g.:
+ * <pre>2 actions: 1 upload, 1 delete_remote
+ * upload /home/me/Projects/a.txt: new local file
+ * delete_remote /home/me/Projects/b.txt (#1234): deleted locally</pre>
+ */
+function summarize(actions) {
+  if (!actions.length) {
+    return 'Nothing to do.';
+  }
+
+  var counts = _.map(_.countBy(actions, 'action'), function (count, action) {
+    return count + ' ' + action;
+  });
+  return [actions.length + (actions.length === 1 ? ' action: ' : ' actions: ') + counts.join(', ')].concat(
+    _.map(actions, function (action) {
+      var id = action.id ? ' (#' + action.id + ')' : '';
+      return action.action + (action.path ? ' ' + action.path : '') + id + ': ' + action.reason;
+    })).join('\n');
+}
+
+/**
+ * Build the plan of a dry run.
+ * @private
+ * @param {Array.<PlannedAction>} actions - The actions.
+ * @returns {DryRunPlan} The plan.
+ */
+function dryRunPlan(actions) {
+  return {
+    dry_run: true,
+    actions: actions,
+    summary: summarize(actions)
+  };
+}
+
+module.exports = {
+  dryRunPlan: dryRunPlan,
+  summarize: summarize
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+var _ = require('lodash'),
+  RequestHandle = require('./handle');
+
+/**
+ * Do not call this function directly.
+ * @summary Get the declared parameter names of a function.
+ * @private
+ * @param {function} fn - The function to inspect.
+ * @returns {Array.<string>} The parameter names, in order.
+ */
+function _paramNames(fn) {
+  var params = fn.toString().match(/^function\s*[^\(]*\(([^\)]*)\)/)[1];
+  return _.compact(_.map(params.split(','), function (param) {
+    return param.replace(/\/\*.*?\*\//g, '').trim();
+  }));
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Check if a value is a {@link RequestHandle}, or a child such as a {@link Transfer}.
+ * @private
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a handle.
+ */
+function _isHandle(value) {
+  return _.isObject(value) && _.isFunction(value.cancel) && _.isBoolean(value.cancelled);
+}
+
+/**
+ * Wrap an API method that takes a {@linkcode done} callback, so that it can also be invoked with a
+ * single options object in place of the positional arguments, and returns a Promise when no callback
+ * is supplied.
+ *
+ * The options-object form is recognised when the first argument is a plain object whose keys are all
+ * parameter names of the method, optionally followed by a callback.
+ *
+ * Methods that take a {@linkcode config} are passed a {@link RequestHandle} as {@linkcode config.handle},
+ * unless one is given, and return it when called with a callback. A handle returned by the method itself,
+ * such as a {@link Transfer}, takes its place. When a Promise is returned, the handle is available on it
+ * as {@linkcode handle}.
+ * @private
+ * @param {function} method - The API method. Its callback parameter must be named {@linkcode done}.
+ * @param {function} getPromise - Returns the Promise constructor to use.
+ * @returns {function} The wrapped method, or the original method if it takes no callback. The wrapped method
+ * has the original's parameter names as {@linkcode param_names}.
+ */
+module.exports = function (method, getPromise) {
+  var names = _paramNames(method),
+    doneIdx = _.indexOf(names, 'done'),
+    configIdx = _.indexOf(names, 'config'),
+    wrapped;
+
+  if (doneIdx === -1) {
+    return method;
+  }
+
+  wrapped = function () {
+    var self = this,
+      args = _.toArray(arguments),
+      opts = args[0],
+      Promise, promise, handle, result;
+
+    if (_.isPlainObject(opts) && !_.isEmpty(opts) && (args.length === 1 || (args.length === 2 &&
+        _.isFunction(args[1]))) && _.isEmpty(_.difference(_.keys(opts), names))) {
+      args = _.map(names, function (name) {
+        return opts[name];
+      });
+      args[doneIdx] = arguments[1];
+    }
+
+    if (configIdx !== -1) {
+      handle = (args[configIdx] && args[configIdx].handle) || RequestHandle();
+      args[configIdx] = _.extend({}, args[configIdx], {
+        handle: handle
+      });
+    }
+
+    if (_.isFunction(args[doneIdx])) {
+      result = method.apply(self, args);
+      return _isHandle(result) ? result : handle;
+    }
+
+    Promise = getPromise();
+    if (!Promise) {
+      throw new Error('No Promise implementation available. Pass a callback, or set Connection.Promise.');
+    }
+
+    promise = new Promise(function (resolve, reject) {
+      args[doneIdx] = function (err, result) {
+        if (err) {
+          return reject(err);
+        }
+        resolve(result);
+      };
+      result = method.apply(self, args);
+    });
+
+    if (_isHandle(result)) {
+      handle = result;
+    }
+    if (handle) {
+      promise.handle = handle;
+    }
+    return promise;
+  };
+  wrapped.param_names = names;
+
+  return wrapped;
+};
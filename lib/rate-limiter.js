@@ -0,0 +1,134 @@
+'use strict';
+
+var _ = require('lodash'),
+  base = require('base-framework');
+
+/**
+ * The budgets of a {@link RateLimiter}: one for each API host.
+ * @private
+ */
+var BUDGETS = ['api', 'upload'];
+
+/**
+ * The rate and burst size of a token bucket.
+ * @typedef {Object} RateLimit
+ * @property {number} rate - The sustained number of requests per second.
+ * @property {number} [burst] - The number of requests that may be sent at once after a quiet period. Defaults
+ * to the rate, rounded up.
+ */
+
+/**
+ * Options for a {@link RateLimiter}. Either a single {@link RateLimit}, which the API and the upload host each
+ * get a budget of, or separate ones for each host.
+ * @typedef {(RateLimit | {api: ?RateLimit, upload: ?RateLimit})} RateLimiterInit
+ */
+
+/**
+ * @class RateLimiter
+ * @classdesc A token-bucket rate limiter, consulted by the request queue of a {@link Connection} before it
+ * dispatches a request. Requests to the upload host and to the other hosts draw from separate budgets, and a
+ * host without a budget is not limited. A limiter set on the {@link Box} (as {@linkcode rate_limit} in
+ * {@link BoxInit}) is shared by all its connections, and can also be shared by several {@link Box} instances.
+ * A {@link Connection} can have a limiter of its own in addition, through {@link Connection#setRateLimit}.
+ * @param {RateLimiterInit} limits - The budgets.
+ * @throws {RangeError} The rate must be a number > {@linkcode 0}.
+ * @example
+ * var box = box_sdk.Box({
+ *   ...
+ *   rate_limit: {
+ *     api: {rate: 10, burst: 20},
+ *     upload: {rate: 2}
+ *   }
+ * });
+ */
+var RateLimiter = base.createChild().addInstanceMethods(
+  /** @lends RateLimiter.prototype */
+  {
+    init: function (limits) {
+      limits = limits || {};
+      this.buckets = {};
+
+      _.each(BUDGETS, function (budget) {
+        var limit = _.has(limits, 'rate') ? limits : limits[budget],
+          burst;
+        if (!limit) {
+          return;
+        }
+        if (!_.isNumber(limit.rate) || limit.rate <= 0) {
+          throw new RangeError('Rate must be a number > 0');
+        }
+        burst = Math.max(limit.burst || Math.ceil(limit.rate), 1);
+        this.buckets[budget] = {
+          rate: limit.rate,
+          burst: burst,
+          tokens: burst,
+          updated: Date.now(),
+          waiting: [],
+          timer: null
+        };
+      }, this);
+
+      return this;
+    },
+
+    /**
+     * Wait for a request to fit in a budget. Waiting requests are let through in order.
+     * @param {string} budget - {@linkcode api} or {@linkcode upload}.
+     * @param {function} callback - Called, possibly at once, when the request may be dispatched.
+     * @returns {function} Stops waiting, without calling back.
+     */
+    take: function (budget, callback) {
+      var bucket = this.buckets[budget],
+        waiter = {
+          callback: callback
+        };
+
+      if (!bucket) {
+        callback();
+        return _.noop;
+      }
+      bucket.waiting.push(waiter);
+      this._drain(bucket);
+      return function () {
+        bucket.waiting = _.without(bucket.waiting, waiter);
+      };
+    },
+
+    /**
+     * Get the number of requests waiting for a budget.
+     * @param {string} budget - {@linkcode api} or {@linkcode upload}.
+     * @returns {number} The number of waiting requests.
+     */
+    waiting: function (budget) {
+      return this.buckets[budget] ? this.buckets[budget].waiting.length : 0;
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Refill a bucket for the time passed, let waiting requests through while it has tokens, and
+     * schedule the next refill if requests are still waiting.
+     * @private
+     * @param {Object} bucket - The bucket.
+     */
+    _drain: function (bucket) {
+      var self = this,
+        now = Date.now();
+
+      bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.updated) * bucket.rate / 1000);
+      bucket.updated = now;
+
+      while (bucket.waiting.length && bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        bucket.waiting.shift().callback();
+      }
+
+      if (bucket.waiting.length && !bucket.timer) {
+        bucket.timer = setTimeout(function () {
+          bucket.timer = null;
+          self._drain(bucket);
+        }, Math.ceil((1 - bucket.tokens) * 1000 / bucket.rate));
+      }
+    }
+  });
+
+module.exports = RateLimiter;
@@ -0,0 +1,157 @@
+'use strict';
+
+var _ = require('lodash'),
+  base = require('base-framework');
+
+/**
+ * The options of a {@link RetryPolicy}, and their defaults.
+ * @private
+ */
+var DEFAULTS = {
+  max_retries: 3,
+  base_delay: 1000,
+  max_delay: 30000,
+  max_elapsed: 300000,
+  statuses: [429, 500, 502, 503, 504],
+  jitter: true,
+  retry_unsafe: false
+};
+
+/**
+ * The methods whose requests can be repeated without changing the outcome.
+ * @private
+ */
+var IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Transport errors raised before the request could reach the server, which are safe to retry for any method.
+ * @private
+ */
+var UNSENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+/**
+ * Statuses with which Box rejects a request without processing it, which are safe to retry for any method.
+ * @private
+ */
+var UNPROCESSED_STATUSES = [429];
+
+/**
+ * Options for a {@link RetryPolicy}. May be given instead of a policy wherever one is accepted.
+ * @typedef {Object} RetryPolicyInit
+ * @property {number} [max_retries] - The number of retries to attempt before giving up. {@linkcode 0} implies
+ * no retries. A negative number implies unlimited retries. Defaults to {@linkcode 3}.
+ * @property {number} [base_delay] - The backoff interval before the first retry, in milliseconds. The interval
+ * doubles on each successive retry. Defaults to {@linkcode 1000}.
+ * @property {number} [max_delay] - The longest backoff interval, in milliseconds. Defaults to
+ * {@linkcode 30000}.
+ * @property {number} [max_elapsed] - Give up once a retry would start this many milliseconds after the first
+ * attempt. {@linkcode 0} removes the limit. Defaults to {@linkcode 300000}.
+ * @property {Array.<number>} [statuses] - The response statuses to retry. Defaults to
+ * {@linkcode [429, 500, 502, 503, 504]}. A {@linkcode 202} (not ready yet) is always retried.
+ * @property {boolean} [jitter] - Wait a random interval of up to the backoff interval ("full jitter"), rather
+ * than the interval itself. Defaults to {@linkcode true}.
+ * @property {boolean} [retry_unsafe] - Also retry non-idempotent requests (e.g. {@linkcode POST} and uploads)
+ * after failures that Box may already have acted on. Defaults to {@linkcode false}.
+ */
+
+/**
+ * Describes a failed attempt to {@link RetryPolicy#retryDelay}.
+ * @typedef {Object} RetryAttempt
+ * @property {number} retries - The number of retries so far.
+ * @property {number} elapsed - The milliseconds since the first attempt.
+ * @property {Error} [error] - The transport error, if any.
+ * @property {number} [status] - The response status, if any.
+ * @property {number} [retry_after] - The {@linkcode Retry-After} response header, in seconds.
+ * @property {string} method - The HTTP method of the request.
+ * @property {boolean} [idempotent] - Whether the request is known to be safe to repeat, whatever its method.
+ */
+
+/**
+ * @class RetryPolicy
+ * @classdesc Decides which failed requests are retried, and when. Transport errors, the configured statuses
+ * and {@linkcode 202} responses are retried with exponential backoff, waiting at least as long as a
+ * {@linkcode Retry-After} header asks, until the retries or the elapsed time run out. Requests that are not
+ * idempotent, such as {@linkcode POST} and uploads, are only retried when Box cannot have acted on them:
+ * when the connection could not be established, or on a {@linkcode 429}.
+ * A policy is set on the {@link Box} (as {@linkcode retry} in {@link BoxInit}), on a {@link Connection} (as
+ * {@linkcode connection.retry}), or per request (as {@linkcode config.retry}), the most specific one applying.
+ * @param {?RetryPolicyInit} [opts] - The policy options.
+ * @see {@link https://developer.box.com/guides/api-calls/permissions-and-errors/rate-limits/}
+ * @example
+ * connection.retry = box_sdk.RetryPolicy({
+ *   max_retries: 5,
+ *   max_elapsed: 60000
+ * });
+ */
+var RetryPolicy = base.createChild().addInstanceMethods(
+  /** @lends RetryPolicy.prototype */
+  {
+    init: function (opts) {
+      _.extend(this, DEFAULTS, _.pick(opts || {}, _.keys(DEFAULTS)));
+
+      return this;
+    },
+
+    /**
+     * Create a copy of this policy with some options changed.
+     * @param {RetryPolicyInit} opts - The options to change.
+     * @returns {RetryPolicy} The new policy.
+     */
+    extend: function (opts) {
+      return RetryPolicy(_.extend(_.pick(this, _.keys(DEFAULTS)), opts));
+    },
+
+    /**
+     * Determine whether a request may be repeated without changing the outcome.
+     * @param {string} method - The HTTP method of the request.
+     * @returns {boolean} True if idempotent.
+     */
+    isIdempotent: function (method) {
+      return _.contains(IDEMPOTENT_METHODS, method);
+    },
+
+    /**
+     * Compute the exponential backoff interval before a retry.
+     * @param {number} retries - The number of retries so far.
+     * @returns {number} The interval in milliseconds.
+     */
+    backoff: function (retries) {
+      var interval = Math.min(this.max_delay, this.base_delay * Math.pow(2, retries));
+      return this.jitter ? Math.floor(Math.random() * interval) : interval;
+    },
+
+    /**
+     * Decide whether to retry after a failed attempt, and how long to wait first.
+     * @param {RetryAttempt} attempt - The failed attempt.
+     * @returns {?number} The milliseconds to wait before retrying, or {@linkcode null} to give up.
+     */
+    retryDelay: function (attempt) {
+      var safe = this.retry_unsafe || attempt.idempotent || this.isIdempotent(attempt.method),
+        wait;
+
+      if (attempt.error) {
+        if (!safe && !_.contains(UNSENT_CODES, attempt.error.code)) {
+          return null;
+        }
+      } else if (attempt.status !== 202) {
+        if (!_.contains(this.statuses, attempt.status) ||
+          (!safe && !_.contains(UNPROCESSED_STATUSES, attempt.status))) {
+          return null;
+        }
+      }
+      if (this.max_retries >= 0 && attempt.retries >= this.max_retries) {
+        return null;
+      }
+
+      wait = this.backoff(attempt.retries);
+      if (attempt.retry_after > 0) {
+        wait = Math.max(wait, attempt.retry_after * 1000);
+      }
+      if (this.max_elapsed > 0 && attempt.elapsed + wait > this.max_elapsed) {
+        return null;
+      }
+      return wait;
+    }
+  });
+
+module.exports = RetryPolicy;
@@ -0,0 +1,109 @@
+'use strict';
+
+var _ = require('lodash'),
+  fs = require('fs'),
+  async = require('async'),
+  TokenStore = require('./token-store');
+
+/**
+ * @class FileTokenStore
+ * @augments TokenStore
+ * @classdesc A {@link TokenStore} that keeps tokens for all email ids in a single JSON file.
+ * Writes are serialized and the file is replaced atomically, with permissions restricted to the owner.
+ * @param {string} filename - Path to the JSON file. Created on first write if it does not exist.
+ */
+var FileTokenStore = TokenStore.createChild().addInstanceMethods(
+  /** @lends FileTokenStore.prototype */
+  {
+    init: function (filename) {
+      if (!_.isString(filename)) {
+        throw new Error('Must specify a filename');
+      }
+
+      var self = this;
+      self.filename = filename;
+
+      //Every operation reads and rewrites the whole file, so they must not interleave.
+      self.queue = async.queue(function (task, cb) {
+        task(cb);
+      }, 1);
+
+      return self;
+    },
+
+    get: function (email, callback) {
+      var self = this;
+      self.queue.push(function (cb) {
+        self._read(function (err, all) {
+          cb();
+          callback(err, err ? null : (all[email] || null));
+        });
+      });
+    },
+
+    set: function (email, tokens, callback) {
+      this._modify(function (all) {
+        all[email] = tokens;
+      }, callback);
+    },
+
+    'delete': function (email, callback) {
+      this._modify(function (all) {
+        delete all[email];
+      }, callback);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Read and parse the token file.
+     * @private
+     * @param {function} callback - Called with the parsed contents.
+     */
+    _read: function (callback) {
+      fs.readFile(this.filename, 'utf8', function (err, data) {
+        if (err) {
+          return callback(err.code === 'ENOENT' ? null : err, {});
+        }
+        try {
+          callback(null, JSON.parse(data));
+        } catch (e) {
+          callback(e);
+        }
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Apply a change to the token file contents and write it back.
+     * @private
+     * @param {function} change - Called with the parsed contents, to be modified in place.
+     * @param {optionalErrorCallback} callback - Called after the file has been written.
+     */
+    _modify: function (change, callback) {
+      var self = this,
+        tmp = self.filename + '.tmp';
+
+      self.queue.push(function (cb) {
+        async.waterfall([
+
+          function (next) {
+            self._read(next);
+          },
+          function (all, next) {
+            change(all);
+            fs.writeFile(tmp, JSON.stringify(all, null, 2), {
+              mode: parseInt('600', 8)
+            }, next);
+          },
+          function (next) {
+            fs.rename(tmp, self.filename, next);
+          }
+        ], function (err) {
+          cb();
+          callback(err);
+        });
+      });
+    }
+  });
+
+module.exports = FileTokenStore;
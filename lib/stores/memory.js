@@ -0,0 +1,38 @@
+'use strict';
+
+var _ = require('lodash'),
+  TokenStore = require('./token-store');
+
+/**
+ * @class MemoryTokenStore
+ * @augments TokenStore
+ * @classdesc A {@link TokenStore} that keeps tokens in process memory. Tokens do not survive a restart,
+ * so this is mostly useful for testing and for sharing tokens between {@link Box} instances.
+ */
+var MemoryTokenStore = TokenStore.createChild().addInstanceMethods(
+  /** @lends MemoryTokenStore.prototype */
+  {
+    init: function () {
+      this.tokens = {};
+      return this;
+    },
+
+    get: function (email, callback) {
+      var tokens = this.tokens[email];
+      process.nextTick(function () {
+        callback(null, tokens ? _.clone(tokens) : null);
+      });
+    },
+
+    set: function (email, tokens, callback) {
+      this.tokens[email] = _.clone(tokens);
+      process.nextTick(callback);
+    },
+
+    'delete': function (email, callback) {
+      delete this.tokens[email];
+      process.nextTick(callback);
+    }
+  });
+
+module.exports = MemoryTokenStore;
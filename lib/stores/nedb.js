@@ -0,0 +1,66 @@
+'use strict';
+
+var _ = require('lodash'),
+  Datastore = require('nedb'),
+  TokenStore = require('./token-store');
+
+/**
+ * @class NedbTokenStore
+ * @augments TokenStore
+ * @classdesc A {@link TokenStore} backed by an {@link https://github.com/louischatriot/nedb|nedb} datastore.
+ * @param {(string | Datastore)} db - Path to the datastore file, or an existing nedb Datastore instance.
+ */
+var NedbTokenStore = TokenStore.createChild().addInstanceMethods(
+  /** @lends NedbTokenStore.prototype */
+  {
+    init: function (db) {
+      if (_.isString(db)) {
+        db = new Datastore({
+          filename: db,
+          autoload: true
+        });
+      }
+      if (!(db instanceof Datastore)) {
+        throw new Error('Must specify a filename or a Datastore');
+      }
+
+      this.db = db;
+      this.db.ensureIndex({
+        fieldName: 'email',
+        unique: true
+      });
+
+      return this;
+    },
+
+    get: function (email, callback) {
+      this.db.findOne({
+        email: email
+      }, function (err, doc) {
+        callback(err, doc ? doc.tokens : null);
+      });
+    },
+
+    set: function (email, tokens, callback) {
+      this.db.update({
+        email: email
+      }, {
+        email: email,
+        tokens: tokens
+      }, {
+        upsert: true
+      }, function (err) {
+        callback(err);
+      });
+    },
+
+    'delete': function (email, callback) {
+      this.db.remove({
+        email: email
+      }, {}, function (err) {
+        callback(err);
+      });
+    }
+  });
+
+module.exports = NedbTokenStore;
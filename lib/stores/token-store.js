@@ -0,0 +1,55 @@
+'use strict';
+
+var base = require('base-framework');
+
+/**
+ * Called after a token store lookup.
+ * @callback tokenStoreGetCallback
+ * @param {Error} [error] - Any error that occurred.
+ * @param {?AuthTokens} tokens - The stored tokens, or {@linkcode null} if none exist for the email id.
+ */
+
+/**
+ * @class TokenStore
+ * @classdesc The TokenStore interface: Persists {@link AuthTokens} per email id, so that a
+ * {@link Connection} can be rehydrated across restarts. Implementations must override all methods.
+ * Use one of the bundled {@link MemoryTokenStore}, {@link FileTokenStore} or {@link NedbTokenStore}
+ * implementations, or create a child of this prototype for a custom backend.
+ */
+var TokenStore = base.createChild().addInstanceMethods(
+  /** @lends TokenStore.prototype */
+  {
+    init: function () {
+      return this;
+    },
+
+    /**
+     * Retrieve the tokens stored for an email id.
+     * @param {string} email - The email account identifier.
+     * @param {tokenStoreGetCallback} callback - Called with the stored tokens.
+     */
+    get: function (email, callback) {
+      callback(new Error('TokenStore#get is not implemented'));
+    },
+
+    /**
+     * Save the tokens for an email id, replacing any existing entry.
+     * @param {string} email - The email account identifier.
+     * @param {AuthTokens} tokens - The tokens to save.
+     * @param {optionalErrorCallback} callback - Called after the tokens have been saved.
+     */
+    set: function (email, tokens, callback) {
+      callback(new Error('TokenStore#set is not implemented'));
+    },
+
+    /**
+     * Remove the tokens stored for an email id.
+     * @param {string} email - The email account identifier.
+     * @param {optionalErrorCallback} callback - Called after the tokens have been removed.
+     */
+    'delete': function (email, callback) {
+      callback(new Error('TokenStore#delete is not implemented'));
+    }
+  });
+
+module.exports = TokenStore;
@@ -0,0 +1,1106 @@
+'use strict';
+
+var _ = require('lodash'),
+  fs = require('fs'),
+  path = require('path'),
+  async = require('async'),
+  base = require('base-framework'),
+  minimatch = require('minimatch'),
+  Datastore = require('nedb'),
+  errors = require('./errors'),
+  sha1File = require('./digest').sha1File,
+  dryRunPlan = require('./plan').dryRunPlan;
+
+/**
+ * The sync directions.
+ * @private
+ */
+var DIRECTIONS = ['up', 'down', 'both'];
+
+/**
+ * The conflict policies.
+ * @private
+ */
+var CONFLICTS = ['keep_both', 'newest', 'local'];
+
+/**
+ * The actions that only update the sync state, and are left out of reports.
+ * @private
+ */
+var STATE_ACTIONS = ['record', 'forget'];
+
+/**
+ * The fields to get for the items on Box.
+ * @private
+ */
+var FIELDS = 'name,size,sha1,etag,modified_at,content_modified_at';
+
+/**
+ * The suffix of files being downloaded, which are renamed into place once complete.
+ * @private
+ */
+var PART_SUFFIX = '.box-sync-part';
+
+/**
+ * Options for {@link Connection#syncDirectory}.
+ * @typedef {Object} OptsSync
+ * @property {string} [direction] - {@linkcode up} to apply local changes to Box, {@linkcode down} to apply
+ * changes on Box locally, or {@linkcode both}. In one-way syncs, the changes of the source side win conflicts.
+ * Defaults to {@linkcode both}.
+ * @property {string} [conflict] - What to do with a file changed on both sides since the last sync:
+ * {@linkcode keep_both} renames the local copy to {@linkcode name (conflicted copy DATE).ext}, uploads it,
+ * or moves it back if that fails, and downloads the version on Box; {@linkcode newest} keeps the most recently modified copy;
+ * {@linkcode local} keeps the local copy. A file changed on one side and deleted on the other is always kept.
+ * Defaults to {@linkcode keep_both}.
+ * @property {(string | Datastore)} [state] - Where to store the sync state: the path to an
+ * {@link https://github.com/louischatriot/nedb|nedb} file, or a Datastore. Without a persistent state, every
+ * run is a first sync: nothing is deleted, and files that differ are conflicts. Defaults to an in-memory
+ * datastore, which lasts as long as the {@link DirectorySync}.
+ * @property {(string | Array.<string>)} [exclude] - Globs of paths, relative to the synced folder, to leave
+ * alone on both sides, e.g. {@linkcode .git}. Everything in excluded folders is left alone too.
+ * @property {number} [concurrency] - How many transfers to run at once. Defaults to {@linkcode 4}.
+ */
+
+/**
+ * A change made, or to be made, by a {@link DirectorySync}.
+ * @typedef {Object} SyncAction
+ * @property {string} action - {@linkcode upload}, {@linkcode upload_version}, {@linkcode download},
+ * {@linkcode keep_both}, {@linkcode create_remote_folder}, {@linkcode create_local_folder},
+ * {@linkcode delete_remote}, {@linkcode delete_local}, {@linkcode delete_remote_folder},
+ * {@linkcode delete_local_folder}, or {@linkcode skip} for an item that cannot be synced.
+ * @property {string} path - The full local path.
+ * @property {string} relative_path - The path relative to the synced folders.
+ * @property {?string} id - The ID of the item on Box, if any.
+ * @property {string} reason - Why the action is taken, e.g. {@linkcode changed locally}.
+ * @property {Error} [error] - Why the action failed, if it did.
+ */
+
+/**
+ * The outcome of a sync run.
+ * @typedef {Object} SyncReport
+ * @property {Array.<SyncAction>} actions - The changes made, and the ones that failed.
+ * @property {number} errors - The number of failed actions.
+ */
+
+/**
+ * Do not call this function directly.
+ * @summary Join a relative folder path and a name.
+ * @private
+ * @param {string} dir - The folder's relative path, empty for the synced folder.
+ * @param {string} name - The name.
+ * @returns {string} The relative path.
+ */
+function _join(dir, name) {
+  return dir ? dir + '/' + name : name;
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Get the relative path of the folder an item is in.
+ * @private
+ * @param {string} relative_path - The item's relative path.
+ * @returns {string} The folder's relative path, empty for the synced folder.
+ */
+function _dirname(relative_path) {
+  var index = relative_path.lastIndexOf('/');
+  return index === -1 ? '' : relative_path.slice(0, index);
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Check if a relative path is below a folder.
+ * @private
+ * @param {string} relative_path - The path.
+ * @param {string} dir - The folder's relative path, empty for the synced folder.
+ * @returns {boolean} True if the path is a descendant of the folder.
+ */
+function _isBelow(relative_path, dir) {
+  return dir ? relative_path.indexOf(dir + '/') === 0 : relative_path !== '';
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Get a query matching the state of the descendants of a folder.
+ * @private
+ * @param {string} dir - The folder's relative path, empty for the synced folder.
+ * @returns {Object} The nedb query.
+ */
+function _below(dir) {
+  return dir ? {
+    path: {
+      $regex: new RegExp('^' + dir.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&') + '/')
+    }
+  } : {};
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Get the name of the conflicted copy of a file.
+ * @private
+ * @param {string} relative_path - The file's relative path.
+ * @returns {string} The relative path of the copy, e.g. {@linkcode a/b (conflicted copy 2026-01-31 101500).txt}.
+ */
+function _conflictName(relative_path) {
+  var ext = path.extname(relative_path),
+    date = new Date().toISOString().replace('T', ' ').replace(/:/g, '').slice(0, 17);
+  return relative_path.slice(0, relative_path.length - ext.length) + ' (conflicted copy ' + date + ')' + ext;
+}
+
+/**
+ * @class DirectorySync
+ * @classdesc Syncs a local directory with a folder on Box. A run lists both sides, compares each file's size
+ * and modification time, and its SHA-1 digest where those changed, with the state recorded by the last run,
+ * then creates, updates and deletes files and folders to bring the sides together. Uploads of new versions
+ * and deletions on Box are guarded with {@linkcode If-Match}, so that a file changed on Box meanwhile is not
+ * clobbered: the action fails, and the next run sees the change. Runs are serialized, and individual
+ * failures do not stop a run. Created by {@link Connection#createDirectorySync}.
+ * @param {Connection} connection - The connection to sync through.
+ * @param {string} local_path - The local directory.
+ * @param {number} folder_id - The folder's ID on Box.
+ * @param {?OptsSync} [opts] - Options.
+ * @param {?RequestConfig} [config] - Configure the request behaviour.
+ * @throws {RangeError} Unknown direction or conflict policy.
+ */
+var DirectorySync = base.createChild().addInstanceMethods(
+  /** @lends DirectorySync.prototype */
+  {
+    init: function (connection, local_path, folder_id, opts, config) {
+      opts = opts || {};
+
+      this.direction = opts.direction || 'both';
+      this.conflict = opts.conflict || 'keep_both';
+      if (!_.contains(DIRECTIONS, this.direction)) {
+        throw new RangeError('direction must be one of: ' + DIRECTIONS.join(', '));
+      }
+      if (!_.contains(CONFLICTS, this.conflict)) {
+        throw new RangeError('conflict must be one of: ' + CONFLICTS.join(', '));
+      }
+
+      this.connection = connection;
+      this.local_path = path.resolve(local_path);
+      this.folder_id = String(folder_id);
+      this.exclude = _.compact([].concat(opts.exclude || []));
+      this.concurrency = opts.concurrency || 4;
+      this.config = config;
+
+      var state = opts.state;
+      if (_.isString(state)) {
+        //Keep the state file, and the copy nedb writes it through, out of the sync.
+        var relative = path.relative(this.local_path, path.resolve(state)).split(path.sep).join('/');
+        if (relative.split('/')[0] !== '..') {
+          this.exclude.push(relative, relative + '~');
+        }
+        state = new Datastore({
+          filename: state,
+          autoload: true
+        });
+      }
+      this.state = state || new Datastore();
+      this.state.ensureIndex({
+        fieldName: 'path',
+        unique: true
+      });
+
+      this.runs = async.queue(_.bind(this._run, this), 1);
+      this.pending = {};
+      this.subscription = null;
+
+      return this;
+    },
+
+    /**
+     * Sync the whole directory. Waits for the runs already queued.
+     * @param {function} callback - Called with an optional error, and the {@link SyncReport}.
+     */
+    run: function (callback) {
+      this.runs.push({
+        path: '',
+        id: this.folder_id
+      }, callback);
+    },
+
+    /**
+     * Work out what a run would do, without changing anything on either side or in the state. Runs instead
+     * of {@link DirectorySync#run} when the sync's {@linkcode config.dry_run} is set.
+     * @param {function} callback - Called with an optional error, and the {@link DryRunPlan}.
+     */
+    dryRun: function (callback) {
+      this.runs.push({
+        path: '',
+        id: this.folder_id,
+        dry_run: true
+      }, callback);
+    },
+
+    /**
+     * Sync incrementally as changes are reported by long-polling, which must be started separately with
+     * {@link Connection#startLongPolling}. For each event about an item in the synced folder, the folder the
+     * item is in is synced, rather than the whole directory. Events about items the sync cannot place, such
+     * as new items reported without their parent, sync the whole directory.
+     * @param {function} [callback] - Called with an optional error, and the {@link SyncReport}, after each
+     * run.
+     */
+    watch: function (callback) {
+      var self = this;
+
+      callback = callback || _.noop;
+      self.unwatch();
+      self.subscription = self.connection.on('polling.event.item.#', function (event) {
+        self._scopeOf(event.source || {}, function (err, scope) {
+          if (err) {
+            return callback(err);
+          }
+          if (!scope || self.pending[''] || self.pending[scope.path]) {
+            return;
+          }
+          self.pending[scope.path] = true;
+          self.runs.push(scope, callback);
+        });
+      });
+    },
+
+    /**
+     * Stop syncing on long-polling events.
+     */
+    unwatch: function () {
+      if (this.subscription) {
+        this.subscription.unsubscribe();
+        this.subscription = null;
+      }
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Sync a folder and everything in it, or plan it for a dry run. A folder that is not found on
+     * Box anymore is synced from the top instead.
+     * @private
+     * @param {Object} scope - The folder's relative {@linkcode path} and {@linkcode id}, and whether this is
+     * a {@linkcode dry_run}.
+     * @param {function} callback - Called with an optional error, and the {@link SyncReport}, or the
+     * {@link DryRunPlan}.
+     */
+    _run: function (scope, callback) {
+      var self = this;
+
+      delete self.pending[scope.path];
+      self._plan(scope, function (err, actions, ids) {
+        if (err instanceof errors.BoxNotFoundError && scope.path) {
+          return self._run({
+            path: '',
+            id: self.folder_id,
+            dry_run: scope.dry_run
+          }, callback);
+        }
+        if (err) {
+          return callback(err);
+        }
+        if (scope.dry_run || (self.config && self.config.dry_run)) {
+          return callback(null, dryRunPlan(self._report(actions).actions));
+        }
+        self._apply(actions, ids, function () {
+          callback(null, self._report(actions));
+        });
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary List both sides and the recorded state of a folder, and work out the actions to sync it.
+     * @private
+     * @param {Object} scope - The folder's relative {@linkcode path} and {@linkcode id}.
+     * @param {function} callback - Called with an optional error, the actions in path order, and the IDs of
+     * the folders on Box by relative path.
+     */
+    _plan: function (scope, callback) {
+      var self = this;
+
+      async.parallel({
+        local: _.bind(self._scanLocal, self, scope),
+        remote: _.bind(self._scanRemote, self, scope),
+        state: _.bind(self._loadState, self, scope)
+      }, function (err, sides) {
+        if (err) {
+          return callback(err);
+        }
+
+        var paths = _.union(_.keys(sides.local), _.keys(sides.remote), _.keys(sides.state)).sort(),
+          ids = {};
+        ids[scope.path] = scope.id;
+        _.forOwn(sides.remote, function (item, relative_path) {
+          if (item.type === 'folder') {
+            ids[relative_path] = item.id;
+          }
+        });
+
+        async.mapLimit(paths, self.concurrency, function (relative_path, next) {
+          self._decide(relative_path, sides.local[relative_path], sides.remote[relative_path],
+            sides.state[relative_path], next);
+        }, function (err, actions) {
+          callback(err, err ? null : self._keepFolders(_.compact(actions)), ids);
+        });
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Work out the action to sync a path.
+     * @private
+     * @param {string} relative_path - The path.
+     * @param {?Object} local - The local item, if any.
+     * @param {?Object} remote - The item on Box, if any.
+     * @param {?Object} state - The state recorded by the last sync, if any.
+     * @param {function} callback - Called with an optional error, and the action, if any.
+     */
+    _decide: function (relative_path, local, remote, state, callback) {
+      var self = this,
+        up = self.direction !== 'down',
+        down = self.direction !== 'up',
+        action = function (name, reason) {
+          return {
+            action: name,
+            path: self._local(relative_path),
+            relative_path: relative_path,
+            id: (remote && remote.id) || (state && state.id) || null,
+            reason: reason,
+            local: local,
+            remote: remote,
+            state: state
+          };
+        };
+
+      if (!local && !remote) {
+        return callback(null, action('forget', 'deleted on both sides'));
+      }
+      if (local && remote && local.type !== remote.type) {
+        return callback(null, action('skip', 'a file on one side and a folder on the other'));
+      }
+      if (state && state.type !== (local || remote).type) {
+        state = null;
+      }
+
+      if ((local || remote).type === 'folder') {
+        if (local && remote) {
+          return callback(null, (!state || state.id !== remote.id) ? action('record', 'on both sides') : null);
+        }
+        if (!state) {
+          return callback(null, local ? (up ? action('create_remote_folder', 'new local folder') : null) :
+            (down ? action('create_local_folder', 'new folder on Box') : null));
+        }
+        return callback(null, local ? (down ? action('delete_local_folder', 'deleted on Box') : null) :
+          (up ? action('delete_remote_folder', 'deleted locally') : null));
+      }
+
+      self._localChanged(relative_path, local, remote, state, function (err, local_changed) {
+        if (err) {
+          return callback(err);
+        }
+
+        var remote_changed = !!remote && (!state || remote.sha1 !== state.sha1);
+        if (!state && !remote) {
+          return callback(null, up ? action('upload', 'new local file') : null);
+        }
+        if (!state && !local) {
+          return callback(null, down ? action('download', 'new file on Box') : null);
+        }
+        if (!remote) {
+          return callback(null, local_changed ? (up ? action('upload', 'changed locally, deleted on Box') : null) :
+            (down ? action('delete_local', 'deleted on Box') : null));
+        }
+        if (!local) {
+          return callback(null, remote_changed ? (down ? action('download', 'changed on Box, deleted locally') :
+            null) : (up ? action('delete_remote', 'deleted locally') : null));
+        }
+
+        if (!local_changed && !remote_changed) {
+          return callback(null, (local.size !== state.size || local.mtime !== state.mtime) ?
+            action('record', 'touched locally') : null);
+        }
+        if (local_changed && remote_changed) {
+          return callback(null, local.sha1 === remote.sha1 ? action('record', 'same changes on both sides') :
+            self._resolveConflict(action, local, remote));
+        }
+        if (local_changed) {
+          return callback(null, up ? action('upload_version', 'changed locally') : null);
+        }
+        callback(null, down ? action('download', 'changed on Box') : null);
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Work out the action for a file changed on both sides, by direction and conflict policy.
+     * @private
+     * @param {function} action - Creates the action, given its name and reason.
+     * @param {Object} local - The local file.
+     * @param {Object} remote - The file on Box.
+     * @returns {Object} The action.
+     */
+    _resolveConflict: function (action, local, remote) {
+      var local_wins;
+
+      if (this.direction !== 'both') {
+        local_wins = this.direction === 'up';
+        return action(local_wins ? 'upload_version' : 'download', 'changed on both sides, syncing ' +
+          this.direction);
+      }
+      if (this.conflict === 'keep_both') {
+        return action('keep_both', 'changed on both sides, keeping both');
+      }
+      local_wins = this.conflict === 'local' || local.mtime >= remote.modified;
+      return action(local_wins ? 'upload_version' : 'download', 'changed on both sides, ' + (this.conflict ===
+        'local' ? 'local copy wins' : (local_wins ? 'local copy is newer' : 'copy on Box is newer')));
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Check if a local file changed since the last sync. Files of the same size and modification
+     * time are not read. Otherwise, the SHA-1 digest is computed, and set on the file, if it is needed to
+     * compare the file with the state or with the copy on Box.
+     * @private
+     * @param {string} relative_path - The file's relative path.
+     * @param {?Object} local - The local file, if any.
+     * @param {?Object} remote - The file on Box, if any.
+     * @param {?Object} state - The state recorded by the last sync, if any.
+     * @param {function} callback - Called with an optional error, and whether the file changed.
+     */
+    _localChanged: function (relative_path, local, remote, state, callback) {
+      if (!local) {
+        return callback(null, false);
+      }
+      if (state && local.size === state.size && local.mtime === state.mtime) {
+        return callback(null, false);
+      }
+      if (!state && !remote) {
+        return callback(null, true);
+      }
+      sha1File(this._local(relative_path), function (err, sha1) {
+        local.sha1 = sha1;
+        callback(err, !state || sha1 !== state.sha1);
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Keep the folders deleted on one side that still have changed items in them on the other, by
+     * creating them again instead.
+     * @private
+     * @param {Array.<Object>} actions - The actions, in path order.
+     * @returns {Array.<Object>} The actions.
+     */
+    _keepFolders: function (actions) {
+      var keep_remote = ['upload', 'upload_version', 'keep_both', 'create_remote_folder'],
+        keep_local = ['download', 'keep_both', 'create_local_folder'];
+
+      //From the deepest paths up, so that kept folders keep their parents.
+      _.forEachRight(actions, function (action) {
+        var keep = action.action === 'delete_local_folder' ? keep_remote :
+          (action.action === 'delete_remote_folder' ? keep_local : null);
+        if (keep && _.some(actions, function (other) {
+            return _isBelow(other.relative_path, action.relative_path) && _.contains(keep, other.action);
+          })) {
+          _.extend(action, action.action === 'delete_local_folder' ? {
+            action: 'create_remote_folder',
+            id: null,
+            reason: 'deleted on Box, but changed locally'
+          } : {
+            action: 'create_local_folder',
+            reason: 'deleted locally, but changed on Box'
+          });
+        }
+      });
+      return actions;
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Apply the actions: create folders from the top, transfer files, delete files, and delete
+     * folders from the bottom. Failed actions get an {@linkcode error}, and the rest go on.
+     * @private
+     * @param {Array.<Object>} actions - The actions, in path order.
+     * @param {Object.<string, string>} ids - The IDs of the folders on Box by relative path, which created
+     * folders are added to.
+     * @param {function} callback - Called once done.
+     */
+    _apply: function (actions, ids, callback) {
+      var self = this,
+        phases = _.groupBy(actions, function (action) {
+          if (_.contains(['create_remote_folder', 'create_local_folder'], action.action)) {
+            return 'create';
+          }
+          if (_.contains(['delete_remote', 'delete_local'], action.action)) {
+            return 'delete';
+          }
+          if (_.contains(['delete_remote_folder', 'delete_local_folder'], action.action)) {
+            return 'delete_folder';
+          }
+          return action.action === 'skip' ? 'skip' : 'transfer';
+        }),
+        apply = function (action, next) {
+          if (!_.contains(STATE_ACTIONS, action.action)) {
+            self.connection.log.debug('Sync: %s %s (%s)', action.action, action.relative_path, action.reason);
+          }
+          self['_' + action.action](action, ids, function (err) {
+            if (err) {
+              self.connection.log.warning('Sync: %s %s failed: %s', action.action, action.relative_path,
+                err.message);
+              action.error = err;
+            }
+            next();
+          });
+        };
+
+      async.series([
+        _.partial(async.eachSeries, phases.create || [], apply),
+        _.partial(async.eachLimit, phases.transfer || [], self.concurrency, apply),
+        _.partial(async.eachLimit, phases['delete'] || [], self.concurrency, apply),
+        _.partial(async.eachSeries, (phases.delete_folder || []).reverse(), apply)
+      ], callback);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Summarize the applied actions.
+     * @private
+     * @param {Array.<Object>} actions - The actions.
+     * @returns {SyncReport} The report.
+     */
+    _report: function (actions) {
+      var reported = _.map(_.reject(actions, function (action) {
+        return _.contains(STATE_ACTIONS, action.action);
+      }), function (action) {
+        return _.pick(action, 'action', 'path', 'relative_path', 'id', 'reason', 'error');
+      });
+
+      return {
+        actions: reported,
+        errors: _.filter(reported, 'error').length
+      };
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary List the files and folders in a local folder, recursively.
+     * @private
+     * @param {Object} scope - The folder's relative {@linkcode path}.
+     * @param {function} callback - Called with an optional error, and the items by relative path, with their
+     * {@linkcode type}, and the {@linkcode size} and {@linkcode mtime} of files.
+     */
+    _scanLocal: function (scope, callback) {
+      var self = this,
+        found = {};
+
+      (function scan(dir, done) {
+        fs.readdir(self._local(dir), function (err, names) {
+          if (err) {
+            return done(err.code === 'ENOENT' ? null : err);
+          }
+          async.eachLimit(names, self.concurrency, function (name, next) {
+            var relative_path = _join(dir, name);
+            if (self._excluded(relative_path)) {
+              return next();
+            }
+            fs.stat(self._local(relative_path), function (err, stats) {
+              if (err) {
+                return next(err.code === 'ENOENT' ? null : err);
+              }
+              if (stats.isDirectory()) {
+                found[relative_path] = {
+                  type: 'folder'
+                };
+                return scan(relative_path, next);
+              }
+              if (stats.isFile()) {
+                found[relative_path] = {
+                  type: 'file',
+                  size: stats.size,
+                  mtime: stats.mtime.getTime()
+                };
+              }
+              next();
+            });
+          }, done);
+        });
+      })(scope.path, function (err) {
+        callback(err, found);
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary List the files and folders in a folder on Box, recursively.
+     * @private
+     * @param {Object} scope - The folder's relative {@linkcode path} and {@linkcode id}.
+     * @param {function} callback - Called with an optional error, and the items by relative path, with their
+     * {@linkcode type} and {@linkcode id}, and the {@linkcode size}, {@linkcode sha1}, {@linkcode etag} and
+     * {@linkcode modified} time of files.
+     */
+    _scanRemote: function (scope, callback) {
+      var self = this,
+        found = {};
+
+      self.connection.walkFolder(scope.id, {
+        fields: FIELDS,
+        concurrency: self.concurrency,
+        exclude: scope.path ? null : self.exclude
+      }, self.config).each(function (entry, next) {
+        var relative_path = _join(scope.path, entry.relative_path),
+          item = entry.item;
+        if (!self._excluded(relative_path)) {
+          found[relative_path] = {
+            type: item.type,
+            id: item.id,
+            size: item.size,
+            sha1: item.sha1,
+            etag: item.etag,
+            modified: Date.parse(item.content_modified_at || item.modified_at)
+          };
+        }
+        next();
+      }, function (err) {
+        callback(err, found);
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Load the state recorded for the items in a folder.
+     * @private
+     * @param {Object} scope - The folder's relative {@linkcode path}.
+     * @param {function} callback - Called with an optional error, and the state by relative path.
+     */
+    _loadState: function (scope, callback) {
+      this.state.find(_below(scope.path), function (err, docs) {
+        callback(err, _.indexBy(docs, 'path'));
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Find the folder to sync for a long-polling event about an item.
+     * @private
+     * @param {Object} source - The item the event is about.
+     * @param {function} callback - Called with an optional error, and the folder's relative {@linkcode path}
+     * and {@linkcode id}, or {@linkcode null} if the item is not in the synced folder.
+     */
+    _scopeOf: function (source, callback) {
+      var self = this,
+        root = {
+          path: '',
+          id: self.folder_id
+        };
+
+      if (!source.id) {
+        return callback(null, null);
+      }
+      self.state.findOne({
+        id: String(source.id)
+      }, function (err, doc) {
+        if (err || doc) {
+          return err ? callback(err) : self._scopeAt(_dirname(doc.path), callback);
+        }
+        if (!source.parent) {
+          //An item reported without its parent could be anywhere.
+          return callback(null, root);
+        }
+        if (String(source.parent.id) === self.folder_id) {
+          return callback(null, root);
+        }
+        self.state.findOne({
+          id: String(source.parent.id),
+          type: 'folder'
+        }, function (err, doc) {
+          if (err || doc) {
+            return callback(err, doc ? {
+              path: doc.path,
+              id: doc.id
+            } : null);
+          }
+          //A new folder's items, or an item moved in from elsewhere.
+          callback(null, _.find((source.path_collection || {}).entries, {
+            id: self.folder_id
+          }) ? root : null);
+        });
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Get the ID of a synced folder from the state.
+     * @private
+     * @param {string} dir - The folder's relative path.
+     * @param {function} callback - Called with an optional error, and the folder's relative {@linkcode path}
+     * and {@linkcode id}, or the synced folder's if it is not in the state.
+     */
+    _scopeAt: function (dir, callback) {
+      var self = this;
+
+      if (!dir) {
+        return callback(null, {
+          path: '',
+          id: self.folder_id
+        });
+      }
+      self.state.findOne({
+        path: dir,
+        type: 'folder'
+      }, function (err, doc) {
+        if (err || !doc) {
+          return self._scopeAt('', callback);
+        }
+        callback(null, {
+          path: dir,
+          id: doc.id
+        });
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Check if a path, or a folder it is in, is excluded from the sync. Partial downloads are.
+     * @private
+     * @param {string} relative_path - The path.
+     * @returns {boolean} True if excluded.
+     */
+    _excluded: function (relative_path) {
+      var exclude = this.exclude,
+        names = relative_path.split('/');
+
+      if (_.last(names).slice(-PART_SUFFIX.length) === PART_SUFFIX) {
+        return true;
+      }
+      return _.some(names, function (name, index) {
+        var prefix = names.slice(0, index + 1).join('/');
+        return _.some(exclude, function (glob) {
+          return minimatch(prefix, glob, {
+            nocase: true,
+            dot: true
+          });
+        });
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Get the full local path of a relative path.
+     * @private
+     * @param {string} relative_path - The path.
+     * @returns {string} The full local path.
+     */
+    _local: function (relative_path) {
+      return path.join(this.local_path, relative_path);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Record the state of a synced item.
+     * @private
+     * @param {string} relative_path - The item's path.
+     * @param {Object} doc - The item's {@linkcode type} and {@linkcode id}, and the {@linkcode size},
+     * {@linkcode mtime} and {@linkcode sha1} of files.
+     * @param {optionalErrorCallback} callback - Called once recorded.
+     */
+    _save: function (relative_path, doc, callback) {
+      this.state.update({
+        path: relative_path
+      }, _.extend({
+        path: relative_path
+      }, doc), {
+        upsert: true
+      }, function (err) {
+        callback(err);
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Drop the recorded state of an item, and of everything in it.
+     * @private
+     * @param {string} relative_path - The item's path.
+     * @param {optionalErrorCallback} callback - Called once dropped.
+     */
+    _drop: function (relative_path, callback) {
+      this.state.remove({
+        $or: [{
+          path: relative_path
+        }, _below(relative_path)]
+      }, {
+        multi: true
+      }, function (err) {
+        callback(err);
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Record an item that is in sync.
+     * @private
+     */
+    _record: function (action, ids, callback) {
+      this._save(action.relative_path, action.remote.type === 'folder' ? {
+        type: 'folder',
+        id: action.remote.id
+      } : {
+        type: 'file',
+        id: action.remote.id,
+        sha1: action.remote.sha1,
+        size: action.local.size,
+        mtime: action.local.mtime
+      }, callback);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Drop an item deleted on both sides.
+     * @private
+     */
+    _forget: function (action, ids, callback) {
+      this._drop(action.relative_path, callback);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Upload a local file to Box as a new file.
+     * @private
+     */
+    _upload: function (action, ids, callback) {
+      var self = this,
+        local = action.local,
+        parent_id = ids[_dirname(action.relative_path)];
+
+      if (!parent_id) {
+        return callback(new Error('The folder of ' + action.relative_path + ' is not on Box'));
+      }
+      self.connection.uploadFile(action.path, parent_id, {
+        content_modified_at: new Date(local.mtime).toISOString()
+      }, function (err, result) {
+        if (err) {
+          return callback(err);
+        }
+        var file = result.entries[0];
+        action.id = file.id;
+        self._save(action.relative_path, {
+          type: 'file',
+          id: file.id,
+          sha1: file.sha1,
+          size: local.size,
+          mtime: local.mtime
+        }, callback);
+      }, null, self.config);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Upload a local file to Box as a new version, unless it changed on Box since it was listed.
+     * @private
+     */
+    _upload_version: function (action, ids, callback) {
+      var self = this,
+        local = action.local;
+
+      self.connection.uploadFileNewVersion(action.path, action.remote.id, {
+        content_modified_at: new Date(local.mtime).toISOString()
+      }, function (err, result) {
+        if (err) {
+          return callback(err);
+        }
+        self._save(action.relative_path, {
+          type: 'file',
+          id: action.remote.id,
+          sha1: result.entries[0].sha1,
+          size: local.size,
+          mtime: local.mtime
+        }, callback);
+      }, {
+        'If-Match': action.remote.etag
+      }, self.config);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Download a file from Box next to its local path, then move it into place, with the modification
+     * time it has on Box.
+     * @private
+     */
+    _download: function (action, ids, callback) {
+      var self = this,
+        remote = action.remote,
+        part = action.path + PART_SUFFIX;
+
+      self.connection.getFile(remote.id, null, part, function (err) {
+        if (err) {
+          return fs.unlink(part, function () {
+            callback(err);
+          });
+        }
+        async.series([
+          _.partial(fs.rename, part, action.path),
+          function (next) {
+            if (_.isNaN(remote.modified)) {
+              return next();
+            }
+            fs.utimes(action.path, new Date(), new Date(remote.modified), next);
+          },
+          _.partial(fs.stat, action.path)
+        ], function (err, results) {
+          if (err) {
+            return callback(err);
+          }
+          self._save(action.relative_path, {
+            type: 'file',
+            id: remote.id,
+            sha1: remote.sha1,
+            size: results[2].size,
+            mtime: results[2].mtime.getTime()
+          }, callback);
+        });
+      }, self.config);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Keep both copies of a file changed on both sides: rename the local copy and upload it, then
+     * download the copy on Box. If the upload fails, the local copy is moved back to its path.
+     * @private
+     */
+    _keep_both: function (action, ids, callback) {
+      var self = this,
+        copy = _.extend({}, action, {
+          relative_path: _conflictName(action.relative_path)
+        });
+
+      copy.path = self._local(copy.relative_path);
+      fs.rename(action.path, copy.path, function (err) {
+        if (err) {
+          return callback(err);
+        }
+        self._upload(copy, ids, function (err) {
+          if (err) {
+            return fs.rename(copy.path, action.path, function (rename_err) {
+              if (rename_err) {
+                self.connection.log.warning('Sync: the local copy of %s was left at %s: %s',
+                  action.relative_path, copy.relative_path, rename_err.message);
+              }
+              callback(err);
+            });
+          }
+          self._download(action, ids, callback);
+        });
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Create a local folder on Box, or use the one that already is.
+     * @private
+     */
+    _create_remote_folder: function (action, ids, callback) {
+      var self = this,
+        parent_id = ids[_dirname(action.relative_path)];
+
+      if (!parent_id) {
+        return callback(new Error('The folder of ' + action.relative_path + ' is not on Box'));
+      }
+      self.connection._findOrCreateFolder(parent_id, path.basename(action.path), self.config, function (err,
+        folder) {
+        if (err) {
+          return callback(err);
+        }
+        ids[action.relative_path] = action.id = folder.id;
+        self._save(action.relative_path, {
+          type: 'folder',
+          id: folder.id
+        }, callback);
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Create a folder on Box locally.
+     * @private
+     */
+    _create_local_folder: function (action, ids, callback) {
+      var self = this;
+
+      fs.mkdir(action.path, function (err) {
+        if (err && err.code !== 'EEXIST') {
+          return callback(err);
+        }
+        self._save(action.relative_path, {
+          type: 'folder',
+          id: action.remote.id
+        }, callback);
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Delete a file deleted on Box locally.
+     * @private
+     */
+    _delete_local: function (action, ids, callback) {
+      var self = this;
+
+      fs.unlink(action.path, function (err) {
+        if (err && err.code !== 'ENOENT') {
+          return callback(err);
+        }
+        self._drop(action.relative_path, callback);
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Delete a file deleted locally on Box, unless it changed on Box since it was listed.
+     * @private
+     */
+    _delete_remote: function (action, ids, callback) {
+      var self = this;
+
+      self.connection.deleteFile(action.id, function (err) {
+        if (err && !(err instanceof errors.BoxNotFoundError)) {
+          return callback(err);
+        }
+        self._drop(action.relative_path, callback);
+      }, {
+        'If-Match': action.remote.etag
+      }, self.config);
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Delete a folder deleted on Box locally, once the files in it are deleted. Fails if anything is
+     * left in it, such as excluded files.
+     * @private
+     */
+    _delete_local_folder: function (action, ids, callback) {
+      var self = this;
+
+      fs.rmdir(action.path, function (err) {
+        if (err && err.code !== 'ENOENT') {
+          return callback(err);
+        }
+        self._drop(action.relative_path, callback);
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Delete a folder deleted locally on Box, once the files in it are deleted. Fails if anything is
+     * left in it, such as excluded items.
+     * @private
+     */
+    _delete_remote_folder: function (action, ids, callback) {
+      var self = this;
+
+      self.connection.deleteFolder(action.id, {
+        recursive: false
+      }, function (err) {
+        if (err && !(err instanceof errors.BoxNotFoundError)) {
+          return callback(err);
+        }
+        self._drop(action.relative_path, callback);
+      }, null, self.config);
+    }
+  });
+
+module.exports = DirectorySync;
@@ -0,0 +1,129 @@
+'use strict';
+
+var _ = require('lodash'),
+  RequestHandle = require('./handle');
+
+/**
+ * The minimum interval between two progress events of a transfer, in milliseconds.
+ * @private
+ */
+var PROGRESS_INTERVAL = 100;
+
+/**
+ * Published with every {@linkcode progress} event of a {@link Transfer}.
+ * @typedef {Object} TransferProgress
+ * @property {string} direction - {@linkcode upload} or {@linkcode download}.
+ * @property {number} transferred - The number of bytes transferred so far.
+ * @property {?number} total - The total number of bytes to transfer, if known.
+ * @property {number} rate - The average transfer rate so far, in bytes per second.
+ * @property {?number} eta - The estimated time remaining, in seconds, if known.
+ */
+
+/**
+ * @class Transfer
+ * @augments RequestHandle
+ * @classdesc A handle to an upload or download in progress, returned by the API methods that transfer file
+ * contents. Publishes a {@linkcode progress} event with a {@link TransferProgress} at most every 100ms, and
+ * once more when all bytes have been transferred. When the request is made with {@linkcode config.progress}
+ * set, the events are also published on the {@link Connection} as {@linkcode transfer.progress}. Like any
+ * {@link RequestHandle}, it can cancel the transfer.
+ * @param {string} direction - {@linkcode upload} or {@linkcode download}.
+ * @param {Connection} [connection] - The connection to also publish progress on.
+ * @param {RequestHandle} [parent] - A handle to cancel the transfer along with, such as the
+ * {@linkcode config.handle} of the call.
+ * @example
+ * connection.uploadFile('/path/to/file', 0, null, function (err, result) {
+ *   ...
+ * }).on('progress', function (progress) {
+ *   console.log('%d of %d bytes', progress.transferred, progress.total);
+ * });
+ */
+var Transfer = RequestHandle.createChild().addInstanceMethods(
+  /** @lends Transfer.prototype */
+  {
+    init: function (direction, connection, parent) {
+      RequestHandle.prototype.init.call(this);
+      this.direction = direction;
+      this.connection = connection || null;
+      this.parent = parent || null;
+      this.transferred = 0;
+      this.total = null;
+      this.offset = 0;
+      this.started = Date.now();
+      this.emitted = 0;
+
+      return this;
+    },
+
+    /**
+     * Set the total number of bytes to transfer, and the number already transferred, e.g. when resuming.
+     * @param {?number} total - The total number of bytes, if known.
+     * @param {number} [transferred] - The number of bytes already transferred.
+     */
+    setTotal: function (total, transferred) {
+      this.total = _.isNumber(total) && !_.isNaN(total) ? total : null;
+      if (_.isNumber(transferred)) {
+        this.transferred = transferred;
+        this.offset = transferred;
+        this.started = Date.now();
+      }
+    },
+
+    /**
+     * Record transferred bytes, publishing a {@linkcode progress} event if due.
+     * @param {number} bytes - The number of bytes transferred since the last update.
+     */
+    update: function (bytes) {
+      var now = Date.now(),
+        progress;
+
+      this.transferred += bytes;
+      if (now - this.emitted >= PROGRESS_INTERVAL || this.transferred === this.total) {
+        this.emitted = now;
+        progress = this.progress();
+        this.emit('progress', progress);
+        if (this.connection) {
+          this.connection.emit('transfer.progress', progress);
+        }
+      }
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Register a function to run on cancellation. While the work is pending, cancelling the handle
+     * the transfer was created with cancels the transfer too. Registering for the pending work only, rather
+     * than once for the whole transfer, leaves nothing behind on a handle that is reused for many calls.
+     * @private
+     * @param {function} canceller - Stops a piece of pending work.
+     * @returns {function} Unregisters the canceller, once the work is done.
+     */
+    _register: function (canceller) {
+      var self = this,
+        unregister = RequestHandle.prototype._register.call(self, canceller),
+        detach = self.parent ? self.parent._register(_.bind(self.cancel, self)) : _.noop;
+
+      return function () {
+        unregister();
+        detach();
+      };
+    },
+
+    /**
+     * Get the current progress of the transfer.
+     * @returns {TransferProgress} The progress.
+     */
+    progress: function () {
+      var elapsed = (Date.now() - this.started) / 1000,
+        rate = elapsed > 0 ? (this.transferred - this.offset) / elapsed : 0;
+
+      return {
+        direction: this.direction,
+        transferred: this.transferred,
+        total: this.total,
+        rate: rate,
+        eta: (this.total === null || rate === 0) ? null : Math.max(this.total - this.transferred, 0) / rate
+      };
+    }
+  });
+
+module.exports = Transfer;
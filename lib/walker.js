@@ -0,0 +1,302 @@
+'use strict';
+
+var _ = require('lodash'),
+  minimatch = require('minimatch'),
+  Pager = require('./pager');
+
+/**
+ * How globs are matched: case-insensitively, as Box names are, and matching names that start with a dot.
+ * @private
+ */
+var GLOB_OPTS = {
+  nocase: true,
+  dot: true
+};
+
+/**
+ * Options for {@link Connection#walkFolder}.
+ * @typedef {Object} OptsWalk
+ * @property {number} [max_depth] - How deep to walk: {@linkcode 1} for the folder's own items only. Unlimited
+ * by default.
+ * @property {(string | Array.<string>)} [include] - Only yield the items whose path relative to the walked
+ * folder matches one of these globs, e.g. {@linkcode *.pdf} for the folder's own PDFs. A {@linkcode **}
+ * segment matches any number of folders. Folders that do not match are still walked.
+ * @property {(string | Array.<string>)} [exclude] - Skip the items whose relative path matches one of these
+ * globs, along with everything in the skipped folders.
+ * @property {string} [order] - {@linkcode breadth} to yield the items level by level, or {@linkcode depth} to
+ * yield the items of each folder right after the folder. Defaults to {@linkcode breadth}.
+ * @property {number} [concurrency] - How many folders to list at once, ahead of the consumer. The requests
+ * still go through the connection's queue. Defaults to {@linkcode 4}.
+ * @property {string} [fields] - The fields to get for each item, e.g. {@linkcode size,sha1}. The
+ * {@linkcode name} is always included. Defaults to the mini format.
+ * @property {number} [max_items] - Stop after this many items. Unlimited by default.
+ */
+
+/**
+ * An item yielded by a {@link Walker}.
+ * @typedef {Object} WalkEntry
+ * @property {string} path - The item's full path, e.g. {@linkcode /Projects/2026/report.pdf}.
+ * @property {string} relative_path - The item's path relative to the walked folder, e.g.
+ * {@linkcode 2026/report.pdf}.
+ * @property {number} depth - {@linkcode 1} for the walked folder's own items, {@linkcode 2} for theirs, etc.
+ * @property {Object} item - The item, in mini format or with the requested fields.
+ */
+
+/**
+ * Do not call this function directly.
+ * @summary Get a list of globs from an option.
+ * @private
+ * @param {?(string | Array.<string>)} globs - The option.
+ * @returns {Array.<string>} The globs.
+ */
+function _globs(globs) {
+  return _.compact([].concat(globs || []));
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Check if a path matches any of a list of globs.
+ * @private
+ * @param {string} path - The relative path.
+ * @param {Array.<string>} globs - The globs.
+ * @returns {boolean} True if a glob matches.
+ */
+function _matches(path, globs) {
+  return _.some(globs, function (glob) {
+    return minimatch(path, glob, GLOB_OPTS);
+  });
+}
+
+/**
+ * Do not call this function directly.
+ * @summary Join a folder's path and the name of an item in it.
+ * @private
+ * @param {string} path - The folder's path.
+ * @param {string} name - The item's name.
+ * @returns {string} The item's path.
+ */
+function _join(path, name) {
+  return path ? (path === '/' ? '' : path) + '/' + name : name;
+}
+
+/**
+ * @class Walker
+ * @augments Pager
+ * @classdesc Walks all the descendants of a folder, yielding a {@link WalkEntry} with the full path of each.
+ * Returned by {@link Connection#walkFolder}, and consumed like a {@link Pager}: with callbacks, as an async
+ * iterator, or as a Readable object stream. Folders are listed as the consumer gets to them, up to
+ * {@linkcode concurrency} at once, so a consumer that stops early does not list the rest of the tree.
+ * @param {Connection} connection - The connection to list the folders through.
+ * @param {number} id - The walked folder's ID.
+ * @param {?OptsWalk} [opts] - Options.
+ * @param {?RequestConfig} [config] - Configure the behaviour of the listing requests.
+ * @param {function} getPromise - Returns the Promise constructor to use.
+ */
+var Walker = Pager.createChild().addInstanceMethods(
+  /** @lends Walker.prototype */
+  {
+    init: function (connection, id, opts, config, getPromise) {
+      opts = opts || {};
+      Pager.prototype.init.call(this, null, {
+        max_items: opts.max_items
+      }, getPromise);
+
+      this.connection = connection;
+      this.config = config;
+      this.max_depth = opts.max_depth || Infinity;
+      this.include = _globs(opts.include);
+      this.exclude = _globs(opts.exclude);
+      this.depth_first = opts.order === 'depth';
+      this.concurrency = opts.concurrency || 4;
+      this.fields = opts.fields ? _.union(opts.fields.split(','), ['name']).join(',') : null;
+
+      /**
+       * The walked folder, once its path is known.
+       * @type {?Object}
+       */
+      this.root = null;
+      this.id = id;
+      this.work = [];
+
+      return this;
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Take the next step of the walk: get the walked folder's path on the first call, then move the
+     * next items into the buffer, or list the next folder.
+     * @private
+     * @param {optionalErrorCallback} callback - Called once the step is done.
+     */
+    _fetch: function (callback) {
+      var self = this,
+        task;
+
+      if (!self.root) {
+        return self.connection.getFolderInfo(self.id, function (err, folder) {
+          if (err) {
+            return callback(err);
+          }
+          var names = _.pluck(_.reject(folder.path_collection.entries, {
+            id: '0'
+          }), 'name');
+          if (folder.id !== '0') {
+            names.push(folder.name);
+          }
+          self.root = {
+            id: folder.id,
+            path: '/' + names.join('/'),
+            relative_path: '',
+            depth: 0
+          };
+          self.work.push({
+            folder: self.root
+          });
+          callback();
+        }, null, self.config);
+      }
+
+      self._prefetch();
+      task = self.work[0];
+      if (self.stopped || !task) {
+        self.exhausted = true;
+        return callback();
+      }
+      if (task.entry) {
+        while (self.work.length && self.work[0].entry) {
+          self.buffer.push(self.work.shift().entry);
+        }
+        return callback();
+      }
+
+      self._list(task.folder, function (err, items) {
+        if (err) {
+          return callback(err);
+        }
+        self.work.shift();
+        self._expand(task.folder, items);
+        callback();
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Queue the items of a listed folder. In breadth-first order, the entries are buffered right
+     * away and the subfolders are walked after the folders already queued. In depth-first order, each
+     * subfolder is walked right after its entry, before the rest of the queue. Excluded items are dropped,
+     * and the folders that are not included are walked without being yielded.
+     * @private
+     * @param {Object} folder - The folder.
+     * @param {Array.<Object>} items - Its items.
+     */
+    _expand: function (folder, items) {
+      var self = this,
+        tasks = [],
+        folders = [];
+
+      _.each(items, function (item) {
+        var relative_path = _join(folder.relative_path, item.name),
+          path = _join(folder.path, item.name),
+          task;
+
+        if (_matches(relative_path, self.exclude)) {
+          return;
+        }
+        if (!self.include.length || _matches(relative_path, self.include)) {
+          tasks.push({
+            entry: {
+              path: path,
+              relative_path: relative_path,
+              depth: folder.depth + 1,
+              item: item
+            }
+          });
+        }
+        if (item.type === 'folder' && folder.depth + 1 < self.max_depth) {
+          task = {
+            folder: {
+              id: item.id,
+              path: path,
+              relative_path: relative_path,
+              depth: folder.depth + 1
+            }
+          };
+          tasks.push(task);
+          folders.push(task);
+        }
+      });
+
+      if (self.depth_first) {
+        self.work = tasks.concat(self.work);
+      } else {
+        self.buffer = self.buffer.concat(_.pluck(_.filter(tasks, 'entry'), 'entry'));
+        self.work = self.work.concat(folders);
+      }
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Start listing the next {@linkcode concurrency} queued folders that are not being listed yet.
+     * @private
+     */
+    _prefetch: function () {
+      var self = this,
+        started = 0;
+
+      _.each(self.work, function (task) {
+        if (task.folder) {
+          self._list(task.folder);
+          started++;
+        }
+        return started < self.concurrency;
+      });
+    },
+
+    /**
+     * Do not call this method directly.
+     * @summary Get all the items of a folder, listing it on the first call.
+     * @private
+     * @param {Object} folder - The folder.
+     * @param {function} [callback] - Called with an optional error and the items.
+     */
+    _list: function (folder, callback) {
+      var self = this,
+        listing = folder.listing;
+
+      if (!listing) {
+        listing = folder.listing = {
+          done: false,
+          items: [],
+          callbacks: []
+        };
+        self.connection.iterateFolderItems(folder.id, _.extend({
+          limit: 1000
+        }, self.fields ? {
+          fields: self.fields
+        } : null), self.config).each(function (item, next) {
+          listing.items.push(item);
+          next(null, !self.stopped);
+        }, function (err) {
+          listing.done = true;
+          listing.error = err;
+          _.each(listing.callbacks, function (cb) {
+            cb(err, listing.items);
+          });
+          listing.callbacks = null;
+        });
+      }
+
+      if (callback && listing.done) {
+        callback(listing.error, listing.items);
+      } else if (callback) {
+        listing.callbacks.push(callback);
+      }
+    }
+  });
+
+//The async iterator is not copied to children.
+if (global.Symbol && global.Symbol.asyncIterator) {
+  Walker.prototype[global.Symbol.asyncIterator] = Pager.prototype[global.Symbol.asyncIterator];
+}
+
+module.exports = Walker;
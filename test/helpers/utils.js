@@ -45,6 +45,19 @@ exports.prepTestFolder = function (connection, done) {
   });
 };
 
+exports.prepFakeServer = function (done) {
+  mkdirp.sync('test/.tmp');
+  var fake = require('../..').FakeServer();
+  fake.listen(function (err) {
+    if (err) {
+      return done(err);
+    }
+    fake.getConnection('somebody@example.com', function (err, connection) {
+      done(err, fake, connection);
+    });
+  });
+};
+
 exports.prepSampleFile = function (connection, test_nbsdk_id, done) {
   mkdirp.sync('test/.tmp');
   var self = this;
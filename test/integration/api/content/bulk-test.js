@@ -0,0 +1,149 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  fs = require('fs'),
+  utils = require('../../../helpers/utils'),
+  box_sdk = require('../../../..');
+
+describe('Connection', function () {
+  describe('Bulk', function () {
+    var fake, connection, target, deleted, renamed, operations;
+
+    before(function (done) {
+      utils.prepFakeServer(function (err, server, conn) {
+        fake = server;
+        connection = conn;
+        done(err);
+      });
+    });
+
+    beforeEach(function () {
+      target = fake.createFolder('bulk-' + utils.uuid(), 0);
+      deleted = fake.createFile('deleted.txt', target.id, 'content');
+      renamed = fake.createFile('renamed.txt', target.id, 'content');
+      operations = [{
+        method: 'deleteFile',
+        params: {
+          id: deleted.id
+        }
+      }, {
+        method: 'deleteFile',
+        params: {
+          id: 999999
+        }
+      }, {
+        method: 'updateFile',
+        params: {
+          id: renamed.id,
+          fields: {
+            name: 'tagged.txt',
+            tags: ['bulk']
+          }
+        }
+      }, {
+        method: 'copyFolder',
+        params: {
+          id: target.id,
+          parent_id: 0,
+          name: 'copy of ' + target.name
+        }
+      }];
+    });
+
+    it('should reject invalid operations before running any', function (done) {
+      connection.bulk([operations[0], {
+        method: '_request'
+      }], null, function (err) {
+        assert(/^Invalid operation at index 1/.test(err.message));
+        assert(fake.tree.get('file', deleted.id));
+        done();
+      });
+    });
+
+    it('should report the result of each operation', function (done) {
+      connection.bulk(operations, null, function (err, report) {
+        assert.ifError(err);
+        assert.equal(report.succeeded, 3);
+        assert.equal(report.failed, 1);
+        assert.deepEqual(_.pluck(report.results, 'index'), [0, 1, 2, 3]);
+        assert(report.results[1].error instanceof box_sdk.BoxNotFoundError);
+        assert.equal(report.results[2].result.name, 'tagged.txt');
+        assert.equal(report.results[3].result.name, 'copy of ' + target.name);
+        assert.throws(function () {
+          fake.tree.get('file', deleted.id);
+        });
+        done();
+      });
+    });
+
+    it('should count the retries of each operation', function (done) {
+      fake.failRequests(1, 503);
+      connection.bulk(operations, {
+        concurrency: 1
+      }, null, {
+        retry: {
+          base_delay: 10
+        }
+      }).then(function (report) {
+        assert.equal(report.succeeded, 3);
+        assert.equal(report.retries, 1);
+        assert.deepEqual(_.pluck(report.results, 'retries'), [1, 0, 0, 0]);
+        done();
+      }).catch(done);
+    });
+
+    it('should count the retries of uploads', function (done) {
+      var dest = 'test/.tmp/testfile-' + utils.uuid();
+      fs.writeFileSync(dest, 'uploaded');
+      fake.failRequests(1, 429, {
+        'Retry-After': '0'
+      });
+      connection.bulk([{
+        method: 'uploadFile',
+        params: {
+          name: dest,
+          parent_id: target.id
+        }
+      }], null, function (err, report) {
+        assert.ifError(err);
+        assert.equal(report.succeeded, 1);
+        assert.deepEqual(_.pluck(report.results, 'retries'), [1]);
+        done();
+      });
+    });
+
+    it('should plan the operations in a dry run', function (done) {
+      connection.bulk(operations, null, function (err, plan) {
+        assert.ifError(err);
+        assert.deepEqual(_.pluck(plan.actions, 'action'), ['deleteFile', 'deleteFile', 'updateFile', 'copyFolder']);
+        assert.equal(plan.actions[0].id, deleted.id);
+        assert.equal(plan.actions[0].reason, 'operation 1 of 4');
+        assert(fake.tree.get('file', deleted.id));
+        done();
+      }, {
+        dry_run: true
+      });
+    });
+
+    it('should cancel the operations with the bulk call', function (done) {
+      var handle = box_sdk.RequestHandle();
+      connection.bulk(operations, {
+        concurrency: 1
+      }, function (err, report) {
+        assert.ifError(err);
+        assert.equal(report.failed, 4);
+        assert.equal(report.results[3].error.code, 'cancelled');
+        assert(fake.tree.get('file', deleted.id));
+        done();
+      }, {
+        handle: handle
+      });
+      handle.cancel();
+    });
+
+    after(function (done) {
+      fake.close(done);
+    });
+  });
+});
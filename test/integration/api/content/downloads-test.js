@@ -0,0 +1,152 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  fs = require('fs'),
+  crypto = require('crypto'),
+  utils = require('../../../helpers/utils'),
+  box_sdk = require('../../../..');
+
+describe('Connection', function () {
+  describe('Downloads', function () {
+    var fake, connection, middleware, content, file, dest;
+
+    before(function (done) {
+      utils.prepFakeServer(function (err, server, conn) {
+        fake = server;
+        connection = conn;
+        middleware = _.clone(connection.middleware);
+        done(err);
+      });
+    });
+
+    beforeEach(function () {
+      content = crypto.randomBytes(64 * 1024);
+      file = fake.createFile('download-' + utils.uuid() + '.bin', 0, content);
+      dest = 'test/.tmp/testfile-' + utils.uuid();
+    });
+
+    it('should stream binary downloads', function (done) {
+      var chunks = [];
+      connection.getFileStream(file.id).on('data', function (chunk) {
+        chunks.push(chunk);
+      }).on('end', function () {
+        assert(content.equals(Buffer.concat(chunks)));
+        done();
+      });
+    });
+
+    it('should save binary downloads', function (done) {
+      connection.getFile(file.id, null, dest, function (err) {
+        assert.ifError(err);
+        assert(content.equals(fs.readFileSync(dest)));
+        done();
+      });
+    });
+
+    it('should fail a download stream with a typed error', function (done) {
+      connection.getFileStream(-1).on('error', function (err) {
+        assert(err instanceof box_sdk.BoxNotFoundError);
+        assert.equal(err.status, 404);
+        done();
+      });
+    });
+
+    it('should only send the version of a download when given', function (done) {
+      var queries = [];
+      connection.use(function (opts, next, callback) {
+        next(opts, function (err, res, body) {
+          if (/\/content$/.test(res.request.uri.pathname)) {
+            queries.push(res.request.uri.search);
+          }
+          callback(err, res, body);
+        });
+      });
+
+      connection.getFile(file.id, null, dest, function (err) {
+        assert.ifError(err);
+        connection.getFile(file.id, 1234, dest, function () {
+          assert.deepEqual(queries, [null, '?version=1234']);
+          done();
+        });
+      });
+    });
+
+    it('should download a byte range', function (done) {
+      connection.getFile(file.id, {
+        start: 10,
+        end: 19
+      }, dest, function (err) {
+        assert.ifError(err);
+        assert(content.slice(10, 20).equals(fs.readFileSync(dest)));
+        done();
+      });
+    });
+
+    it('should not combine a byte range with verification', function (done) {
+      connection.getFile(file.id, {
+        start: 10,
+        verify: true
+      }, dest, function (err) {
+        assert(/byte range/.test(err.message));
+        done();
+      });
+    });
+
+    it('should resume a partial download', function (done) {
+      fs.writeFileSync(dest, content.slice(0, 1000));
+      connection.getFile(file.id, {
+        resume: true
+      }, dest, function (err) {
+        assert.ifError(err);
+        assert(content.equals(fs.readFileSync(dest)));
+        done();
+      });
+    });
+
+    it('should verify a download', function (done) {
+      connection.getFile(file.id, {
+        verify: true
+      }, dest, function (err) {
+        assert.ifError(err);
+        assert(content.equals(fs.readFileSync(dest)));
+        done();
+      });
+    });
+
+    it('should delete a download that fails verification', function (done) {
+      //A corrupt prefix is kept by the ranged request, and caught by verification.
+      fs.writeFileSync(dest, new Buffer(1000));
+      connection.getFile(file.id, {
+        resume: true
+      }, dest, function (err) {
+        assert.equal(err.code, 'sha1_mismatch');
+        assert.equal(err.expected, file.sha1);
+        assert.equal(err.path, dest);
+        assert(!fs.existsSync(dest));
+        done();
+      });
+    });
+
+    it('should keep a download that fails verification when asked to', function (done) {
+      fs.writeFileSync(dest, new Buffer(1000));
+      connection.getFile(file.id, {
+        resume: true,
+        on_mismatch: 'keep'
+      }, dest, function (err) {
+        assert.equal(err.code, 'sha1_mismatch');
+        assert.equal(err.actual, crypto.createHash('sha1').update(fs.readFileSync(dest)).digest('hex'));
+        assert.equal(fs.statSync(dest).size, content.length);
+        done();
+      });
+    });
+
+    afterEach(function () {
+      connection.middleware = _.clone(middleware);
+    });
+
+    after(function (done) {
+      fake.close(done);
+    });
+  });
+});
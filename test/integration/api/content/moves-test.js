@@ -0,0 +1,179 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  crypto = require('crypto'),
+  utils = require('../../../helpers/utils'),
+  box_sdk = require('../../../..');
+
+describe('Connection', function () {
+  describe('Moves', function () {
+    var fake, connection, src, dest;
+
+    before(function (done) {
+      utils.prepFakeServer(function (err, server, conn) {
+        fake = server;
+        connection = conn;
+        done(err);
+      });
+    });
+
+    beforeEach(function () {
+      var moves = fake.createFolder('moves-' + utils.uuid(), 0);
+      src = fake.createFolder('src', moves.id);
+      dest = fake.createFolder('dest', moves.id);
+    });
+
+    function names(id) {
+      return _.pluck(fake.tree.children(id), 'name');
+    }
+
+    it('should fail on a collision by default', function (done) {
+      var file = fake.createFile('x.txt', src.id, 'moved');
+      fake.createFile('x.txt', dest.id, 'existing');
+      connection.moveFile(file.id, dest.id, null, function (err) {
+        assert(err instanceof box_sdk.BoxConflictError);
+        assert.equal(err.code, 'item_name_in_use');
+        assert.deepEqual(names(src.id), ['x.txt']);
+        done();
+      });
+    });
+
+    it('should rename a moved file to the first free name', function (done) {
+      var first = fake.createFile('x.txt', src.id, 'first'),
+        second = fake.createFile('X.txt', fake.createFolder('other', src.id).id, 'second');
+      fake.createFile('x.txt', dest.id, 'existing');
+      connection.moveFile(first.id, dest.id, {
+        on_conflict: 'rename'
+      }, function (err, file) {
+        assert.ifError(err);
+        assert.equal(file.name, 'x (1).txt');
+        assert.equal(file.parent.id, dest.id);
+        connection.moveFile(second.id, dest.id, {
+          on_conflict: 'rename'
+        }, function (err, file) {
+          assert.ifError(err);
+          assert.equal(file.name, 'X (2).txt');
+          done();
+        });
+      });
+    });
+
+    it('should rename a folder to the first free name', function (done) {
+      connection.renameFolder(src.id, 'DEST', {
+        on_conflict: 'rename'
+      }, function (err, folder) {
+        assert.ifError(err);
+        assert.equal(folder.name, 'DEST (1)');
+        done();
+      });
+    });
+
+    it('should not rename an item changed since its etag was read', function (done) {
+      var file = fake.createFile('x.txt', src.id, 'content');
+      connection.renameFile(file.id, 'y.txt', null, function (err) {
+        assert(err instanceof box_sdk.BoxPreconditionFailedError);
+        assert.deepEqual(names(src.id), ['x.txt']);
+        done();
+      }, {
+        'If-Match': '42'
+      });
+    });
+
+    it('should reject the strategies of the other item type', function (done) {
+      connection.moveFolder(src.id, dest.id, {
+        on_conflict: 'overwrite'
+      }, function (err) {
+        assert(/^on_conflict must be one of/.test(err.message));
+        done();
+      });
+    });
+
+    it('should overwrite a file in the way with a new version', function (done) {
+      var mine = fake.createFile('o.txt', src.id, 'mine'),
+        theirs = fake.createFile('o.txt', dest.id, 'theirs');
+      connection.moveFile(mine.id, dest.id, {
+        on_conflict: 'overwrite'
+      }, function (err, file) {
+        assert.ifError(err);
+        assert.equal(file.id, theirs.id);
+        assert.equal(file.sha1, crypto.createHash('sha1').update('mine').digest('hex'));
+        assert.throws(function () {
+          fake.tree.get('file', mine.id);
+        });
+        done();
+      });
+    });
+
+    it('should report the overwritten file if the moved one changed meanwhile', function (done) {
+      var mine = fake.createFile('o.txt', src.id, 'mine'),
+        theirs = fake.createFile('o.txt', dest.id, 'theirs'),
+        middleware = _.clone(connection.middleware);
+      connection.use(function (opts, next) {
+        if (opts.method === 'DELETE') {
+          fake.tree.uploadVersion(mine.id, 'mine 2');
+        }
+        next();
+      });
+      connection.moveFile(mine.id, dest.id, {
+        on_conflict: 'overwrite'
+      }, function (err) {
+        connection.middleware = middleware;
+        assert(err instanceof box_sdk.BoxPreconditionFailedError);
+        assert.equal(err.partial_result.id, theirs.id);
+        assert.equal(err.partial_result.sha1, crypto.createHash('sha1').update('mine').digest('hex'));
+        assert.deepEqual(names(src.id), ['o.txt']);
+        done();
+      });
+    });
+
+    it('should merge a folder into the one in the way', function (done) {
+      var docs = fake.createFolder('docs', src.id),
+        dest_docs = fake.createFolder('docs', dest.id);
+      fake.createFile('a.txt', docs.id, 'a');
+      fake.createFile('b.txt', fake.createFolder('deep', docs.id).id, 'b');
+      fake.createFile('a.txt', dest_docs.id, 'a');
+      fake.createFolder('deep', dest_docs.id);
+
+      connection.moveFolder(docs.id, dest.id, {
+        on_conflict: 'merge'
+      }, function (err, folder) {
+        assert.ifError(err);
+        assert.equal(folder.id, dest_docs.id);
+        assert.deepEqual(names(dest_docs.id), ['deep', 'a (1).txt', 'a.txt']);
+        assert.deepEqual(names(fake.tree.children(dest_docs.id)[0].id), ['b.txt']);
+        assert.deepEqual(names(src.id), []);
+        done();
+      });
+    });
+
+    it('should not trash a merged folder that changed meanwhile', function (done) {
+      var docs = fake.createFolder('docs', src.id),
+        dest_docs = fake.createFolder('docs', dest.id),
+        middleware = _.clone(connection.middleware);
+      fake.createFile('a.txt', docs.id, 'a');
+      connection.use(function (opts, next) {
+        if (opts.method === 'DELETE') {
+          fake.tree.update('folder', docs.id, {
+            description: 'changed'
+          });
+        }
+        next();
+      });
+      connection.moveFolder(docs.id, dest.id, {
+        on_conflict: 'merge'
+      }, function (err) {
+        connection.middleware = middleware;
+        assert(err instanceof box_sdk.BoxPreconditionFailedError);
+        assert.equal(err.partial_result.id, dest_docs.id);
+        assert.deepEqual(names(dest_docs.id), ['a.txt']);
+        assert.deepEqual(names(src.id), ['docs']);
+        done();
+      });
+    });
+
+    after(function (done) {
+      fake.close(done);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+var assert = require("assert"),
+  fs = require('fs'),
+  utils = require('../../../helpers/utils'),
+  box_sdk = require('../../../..');
+
+describe('Connection', function () {
+  describe('Paths', function () {
+    var fake, connection, requests;
+
+    before(function (done) {
+      utils.prepFakeServer(function (err, server, conn) {
+        if (err) {
+          return done(err);
+        }
+        fake = server;
+        connection = conn;
+        connection.use(function (opts, next) {
+          requests++;
+          next();
+        });
+        done();
+      });
+    });
+
+    beforeEach(function () {
+      requests = 0;
+    });
+
+    it('should create the folders along a path', function (done) {
+      var projects = fake.createFolder('Projects', 0);
+      connection.createFolderPath('/Projects/2026', function (err, folder) {
+        assert.ifError(err);
+        assert.equal(folder.name, '2026');
+        assert.equal(fake.tree.children(projects.id)[0].id, folder.id);
+        done();
+      });
+    });
+
+    it('should resolve paths case-insensitively, relative to the root', function (done) {
+      var folder = fake.createFolder('Case', 0);
+      connection.resolvePath('case', function (err, item) {
+        assert.ifError(err);
+        assert.equal(item.id, folder.id);
+        done();
+      });
+    });
+
+    it('should resolve the root folder', function (done) {
+      connection.resolvePath('/').then(function (root) {
+        assert.equal(root.id, '0');
+        done();
+      }).catch(done);
+    });
+
+    it('should not resolve a file as a folder', function (done) {
+      fake.createFile('file.txt', fake.createFolder('Typed', 0).id, 'content');
+      connection.getFolderByPath('/Typed/file.txt', function (err) {
+        assert(err instanceof box_sdk.BoxNotFoundError);
+        assert.equal(err.context_info.path, '/Typed/file.txt');
+        done();
+      });
+    });
+
+    it('should upload to a path, creating its folders', function (done) {
+      var local = 'test/.tmp/report-' + utils.uuid() + '.txt';
+      fs.writeFileSync(local, 'report');
+      connection.uploadToPath(local, '/Uploads/Q1', null, function (err, result) {
+        assert.ifError(err);
+        assert.equal(result.entries[0].parent.name, 'Q1');
+        connection.getFileByPath('/Uploads/Q1/' + result.entries[0].name, function (err, file) {
+          assert.ifError(err);
+          assert.equal(file.id, result.entries[0].id);
+          done();
+        });
+      });
+    });
+
+    describe('with a path cache', function () {
+      var cached, file;
+
+      beforeEach(function (done) {
+        cached = fake.createFolder('Cached-' + utils.uuid(), 0);
+        file = fake.createFile('report.txt', fake.createFolder('Q1', cached.id).id, 'report');
+        connection.setPathCache(true);
+        connection.resolvePath('/' + cached.name + '/Q1/report.txt', function (err) {
+          requests = 0;
+          done(err);
+        });
+      });
+
+      it('should not list the folders of cached paths again', function (done) {
+        connection.getFileByPath('/' + cached.name + '/Q1/report.txt', function (err, result) {
+          assert.ifError(err);
+          assert.equal(result.id, file.id);
+          //Only the cached file's info is fetched.
+          assert.equal(requests, 1);
+          done();
+        });
+      });
+
+      it('should forget the paths of renamed folders', function (done) {
+        connection.updateFolder(file.parent.id, {
+          name: 'Q2'
+        }, function (err) {
+          assert.ifError(err);
+          connection.resolvePath('/' + cached.name + '/Q1/report.txt', function (err) {
+            assert(err instanceof box_sdk.BoxNotFoundError);
+            done();
+          });
+        });
+      });
+
+      it('should resolve a path again once its cached item is gone', function (done) {
+        fake.tree.trash('file', file.id);
+        connection.getFileByPath('/' + cached.name + '/Q1/report.txt', function (err) {
+          assert(err instanceof box_sdk.BoxNotFoundError);
+          assert.equal(err.context_info.path, '/' + cached.name + '/Q1/report.txt');
+          done();
+        });
+      });
+
+      it('should count its entries, dropping the oldest past the limit', function () {
+        var cache = box_sdk.PathCache({
+          max_entries: 2
+        });
+        cache.set(['a'], {
+          type: 'folder',
+          id: '1'
+        });
+        cache.set(['a', 'b'], {
+          type: 'folder',
+          id: '2'
+        });
+        cache.set(['A'], {
+          type: 'folder',
+          id: '1'
+        });
+        assert.equal(cache.size, 2);
+        cache.set(['c'], {
+          type: 'file',
+          id: '3'
+        });
+        assert.equal(cache.size, 2);
+        assert.equal(cache.get(['a', 'b']), null);
+        cache.invalidate(1);
+        assert.equal(cache.size, 1);
+        assert.equal(cache.get(['c']).id, '3');
+      });
+
+      afterEach(function () {
+        connection.setPathCache(false);
+      });
+    });
+
+    after(function (done) {
+      fake.close(done);
+    });
+  });
+});
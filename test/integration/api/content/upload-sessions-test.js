@@ -0,0 +1,186 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  fs = require('fs'),
+  utils = require('../../../helpers/utils');
+
+describe('Connection', function () {
+  describe('Upload Sessions', function () {
+    var read = fs.read,
+      close = fs.close,
+      fake, connection, uploadPart, middleware, folder, dest;
+
+    before(function (done) {
+      utils.prepFakeServer(function (err, server, conn) {
+        fake = server;
+        connection = conn;
+        uploadPart = connection.uploadPart;
+        middleware = _.clone(connection.middleware);
+        done(err);
+      });
+    });
+
+    beforeEach(function () {
+      folder = fake.createFolder('sessions-' + utils.uuid(), 0);
+      dest = 'test/.tmp/testfile-' + utils.uuid();
+      fake.part_size = 4;
+    });
+
+    it('should upload a large file in parts', function (done) {
+      var config = {
+        chunked_threshold: 1
+      };
+      fs.writeFileSync(dest, 'chunked version 1');
+
+      connection.uploadFile(dest, folder.id, null, function (err, result) {
+        assert.ifError(err);
+        var file = result.entries[0];
+        assert.equal(file.size, 17);
+        assert.equal(_.last(fake.tree.get('file', file.id).versions).content.toString(), 'chunked version 1');
+        assert.deepEqual(fake.sessions, {});
+        done();
+      }, null, config);
+    });
+
+    it('should upload a new version of a large file in parts', function (done) {
+      var file = fake.createFile('chunked.txt', folder.id, 'chunked version 1');
+      fs.writeFileSync(dest, 'chunked version 2!');
+
+      connection.uploadFileNewVersion(dest, file.id, null, function (err, result) {
+        assert.ifError(err);
+        assert.equal(result.entries[0].size, 18);
+        assert.equal(_.last(fake.tree.get('file', file.id).versions).content.toString(), 'chunked version 2!');
+        assert.deepEqual(fake.sessions, {});
+        done();
+      }, null, {
+        chunked_threshold: 1
+      });
+    });
+
+    it('should resume an interrupted upload from its journal', function (done) {
+      var journal = 'test/.tmp/journal-' + utils.uuid() + '.json',
+        offsets = [],
+        fail = true,
+        config = {
+          chunked_threshold: 1,
+          part_retries: 0,
+          journal: journal
+        };
+      fs.writeFileSync(dest, 'resumable content');
+
+      //Fail the third part once the others are through, as if the process had died halfway through.
+      connection.uploadPart = function (session_id, part, offset, size, cb) {
+        offsets.push(offset);
+        if (fail && offset === 8) {
+          return setTimeout(function () {
+            cb(new Error('Connection reset'));
+          }, 100);
+        }
+        return uploadPart.apply(this, arguments);
+      };
+
+      connection.uploadFile(dest, folder.id, null, function (err) {
+        assert(err);
+        var entry = _.values(JSON.parse(fs.readFileSync(journal, 'utf8')))[0];
+        assert(fake.sessions[entry.session.id]);
+        assert.deepEqual(_.pluck(entry.parts, 'offset'), [0, 4, 12, 16]);
+
+        offsets = [];
+        fail = false;
+        connection.uploadFile(dest, folder.id, null, function (err, result) {
+          assert.ifError(err);
+          assert.deepEqual(offsets, [8]);
+          assert.equal(result.entries[0].size, 17);
+          assert.deepEqual(JSON.parse(fs.readFileSync(journal, 'utf8')), {});
+          assert.deepEqual(fake.sessions, {});
+          done();
+        }, null, config);
+      }, null, config);
+    });
+
+    it('should close a file once the parts in flight are done', function (done) {
+      var part_fd = null,
+        reading = 0,
+        closed = false,
+        read_after_close = false;
+      fs.writeFileSync(dest, 'closed after parts');
+
+      //The first part fails at once, while the others are still being read.
+      connection.uploadPart = function (session_id, part, offset, size, cb) {
+        if (offset === 0) {
+          return cb(new Error('Connection reset'));
+        }
+        return uploadPart.apply(this, arguments);
+      };
+      fs.read = function (fd, buffer, offset, length, position) {
+        var args = arguments;
+        if (length !== 4 || position === 0) {
+          return read.apply(fs, args);
+        }
+        part_fd = fd;
+        reading++;
+        setTimeout(function () {
+          reading--;
+          read_after_close = read_after_close || closed;
+          read.apply(fs, args);
+        }, 20);
+      };
+      fs.close = function (fd) {
+        closed = closed || fd === part_fd;
+        return close.apply(fs, arguments);
+      };
+
+      connection.uploadFile(dest, folder.id, null, function (err) {
+        assert.equal(err.message, 'Connection reset');
+        assert.equal(reading, 0);
+        assert(!read_after_close);
+        assert(closed);
+        done();
+      }, null, {
+        chunked_threshold: 1
+      });
+    });
+
+    it('should retry parts by the retry policy, part_retries times', function (done) {
+      var attempts = 0;
+      fs.writeFileSync(dest, 'one');
+      connection.use(function (opts, next, callback) {
+        if (opts.method === 'PUT' && /upload_sessions/.test(opts.url)) {
+          attempts++;
+          return callback(null, {
+            statusCode: 503,
+            headers: {}
+          }, {});
+        }
+        next();
+      });
+
+      connection.uploadFile(dest, folder.id, null, function (err) {
+        assert.equal(err.status, 503);
+        //One attempt and two retries, rather than three for each retry of the policy.
+        assert.equal(attempts, 3);
+        done();
+      }, null, {
+        chunked_threshold: 1,
+        part_retries: 2,
+        retry: {
+          max_retries: 5,
+          base_delay: 10
+        }
+      });
+    });
+
+    afterEach(function () {
+      connection.uploadPart = uploadPart;
+      connection.middleware = _.clone(middleware);
+      fs.read = read;
+      fs.close = close;
+      fake.part_size = 8 * 1024 * 1024;
+    });
+
+    after(function (done) {
+      fake.close(done);
+    });
+  });
+});
@@ -1,12 +1,49 @@
 'use strict';
 
 var assert = require("assert"),
+  _ = require('lodash'),
+  net = require('net'),
   utils = require('../helpers/utils'),
   box_sdk = require('../..');
 
 describe('Box', function () {
   var PORT = parseInt(process.env.ICT_PORT, 10);
 
+  describe('Constructor', function () {
+    it('should reject a missing or non-numeric port', function () {
+      _.each([undefined, 'port'], function (port) {
+        assert.throws(function () {
+          box_sdk.Box({
+            client_id: 'id',
+            client_secret: 'secret',
+            port: port
+          });
+        }, /numeric port/);
+      });
+    });
+
+    it('should report a port in use to the caller', function (done) {
+      var server = net.createServer();
+      server.listen(0, '127.0.0.1', function () {
+        var box = box_sdk.Box({
+          client_id: 'id',
+          client_secret: 'secret',
+          port: server.address().port,
+          host: '127.0.0.1',
+          on_listen: function (err) {
+            assert(err);
+            assert.equal(err.code, 'EADDRINUSE');
+            box.stopServer(function () {
+              server.close(done);
+            });
+          }
+        }, 'error', {
+          write: _.noop
+        });
+      });
+    });
+  });
+
   describe('Standalone', function () {
     var box, opts;
 
@@ -37,6 +74,20 @@ describe('Box', function () {
       });
     });
 
+    it('should reject an authorization callback with a mismatched state', function (done) {
+      var http = require('http'),
+        connection = box.getConnection(process.env.ICT_EMAIL_ID);
+
+      http.get('http://localhost:' + PORT + '/authorize?code=dummy&state=invalid&id=' +
+        encodeURIComponent(connection.email),
+        function (res) {
+          assert.equal(res.statusCode, 403);
+          assert(!connection.isAuthenticated());
+          res.resume();
+          done();
+        }).on('error', done);
+    });
+
     it('should authorize a connection', function (done) {
       var connection = box.getConnection(process.env.ICT_EMAIL_ID);
 
@@ -1,6 +1,7 @@
 'use strict';
 
 var assert = require("assert"),
+  request = require('request'),
   box_sdk = require('../..');
 
 describe('Connection', function () {
@@ -32,4 +33,183 @@ describe('Connection', function () {
       box.stopServer(done);
     });
   });
-});
\ No newline at end of file
+
+  describe('URLs', function () {
+    var PORT = parseInt(process.env.ICT_PORT, 10) + 9,
+      box, connection;
+
+    before(function () {
+      box = box_sdk.Box({
+        client_id: 'client id',
+        client_secret: 'client secret',
+        port: PORT,
+        api_url: 'http://localhost:8080/api/2.0/',
+        authorize_url: 'http://localhost:8080/oauth2/authorize'
+      });
+      connection = box.getConnection('somebody@example.com');
+    });
+
+    it('should pass the configured base URLs to connections', function () {
+      assert.equal(connection.api_url, 'http://localhost:8080/api/2.0');
+      assert.equal(connection.upload_url, 'https://upload.box.com/api/2.0');
+    });
+
+    it('should use the configured authorize URL', function () {
+      assert.equal(connection.getAuthURL().indexOf('http://localhost:8080/oauth2/authorize?'), 0);
+    });
+
+    after(function (done) {
+      box.stopServer(done);
+    });
+  });
+
+  describe('Tokens', function () {
+    var PORT = parseInt(process.env.ICT_PORT, 10) + 7,
+      post = request.post,
+      box, connection, calls;
+
+    before(function () {
+      box = box_sdk.Box({
+        client_id: 'client id',
+        client_secret: 'client secret',
+        port: PORT
+      });
+      connection = box.getConnection('somebody@example.com');
+    });
+
+    beforeEach(function () {
+      calls = 0;
+      request.post = function (opts, callback) {
+        calls++;
+        setTimeout(function () {
+          callback(null, {
+            statusCode: 200
+          }, {
+            access_token: 'access ' + calls,
+            refresh_token: 'refresh ' + calls,
+            expires_in: 3600
+          });
+        }, 10);
+      };
+    });
+
+    it('should compute an absolute expiry', function () {
+      connection._setTokens({
+        access_token: 'access',
+        refresh_token: 'refresh',
+        expires_in: 30
+      });
+      assert(connection.expires_at > Date.now());
+      assert(connection._isTokenExpiring());
+    });
+
+    it('should share a single refresh between concurrent callers', function (done) {
+      var pending = 3,
+        refreshed = 0;
+
+      connection.on('tokens.refreshed', function () {
+        refreshed++;
+      });
+
+      function _check(err) {
+        assert.ifError(err);
+        if (--pending === 0) {
+          assert.equal(calls, 1);
+          assert.equal(refreshed, 1);
+          assert.equal(connection.access_token, 'access 1');
+          assert(!connection._isTokenExpiring());
+          done();
+        }
+      }
+
+      connection._refreshTokens(_check);
+      connection._refreshTokens(_check);
+      connection._refreshTokens(_check);
+    });
+
+    afterEach(function () {
+      request.post = post;
+    });
+
+    after(function (done) {
+      box.stopServer(done);
+    });
+  });
+
+  describe('Promises', function () {
+    var PORT = parseInt(process.env.ICT_PORT, 10) + 8,
+      box, connection, calls;
+
+    before(function () {
+      box = box_sdk.Box({
+        client_id: 'client id',
+        client_secret: 'client secret',
+        port: PORT
+      });
+      connection = box.getConnection('somebody@example.com');
+      connection._request = function (segments, method, callback, query, payload, data, headers) {
+        calls.push({
+          segments: segments,
+          query: query,
+          headers: headers
+        });
+        callback(null, {
+          id: segments[1]
+        });
+      };
+    });
+
+    beforeEach(function () {
+      calls = [];
+    });
+
+    it('should return a promise when no callback is supplied', function (done) {
+      connection.getFileInfo(42).then(function (result) {
+        assert.equal(result.id, 42);
+        done();
+      }, done);
+    });
+
+    it('should reject the promise on validation errors', function (done) {
+      connection.search(42).then(function () {
+        done(new Error('should not resolve'));
+      }, function (err) {
+        assert(err instanceof Error);
+        done();
+      });
+    });
+
+    it('should accept a single options object', function (done) {
+      connection.getFolderItems({
+        id: 7,
+        opts: {
+          limit: 1
+        }
+      }).then(function (result) {
+        assert.equal(result.id, 7);
+        assert.deepEqual(calls[0].query, {
+          limit: 1
+        });
+        done();
+      }, done);
+    });
+
+    it('should accept a single options object with a callback', function (done) {
+      connection.getFileInfo({
+        id: 9,
+        headers: {
+          'If-None-Match': 'etag'
+        }
+      }, function (err, result) {
+        assert.ifError(err);
+        assert.equal(result.id, 9);
+        assert.equal(calls[0].headers['If-None-Match'], 'etag');
+        done();
+      });
+    });
+
+    after(function (done) {
+      box.stopServer(done);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+var assert = require("assert"),
+  utils = require('../helpers/utils'),
+  box_sdk = require('../..');
+
+describe('BoxError', function () {
+  var fake, connection, folder;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server, conn) {
+      fake = server;
+      connection = conn;
+      done(err);
+    });
+  });
+
+  beforeEach(function () {
+    folder = fake.createFolder('errors-' + utils.uuid(), 0);
+  });
+
+  it('should report name conflicts with their details', function (done) {
+    fake.createFolder('conflict', folder.id);
+    connection.createFolder('conflict', folder.id, function (err) {
+      assert(err instanceof box_sdk.BoxConflictError);
+      assert(err instanceof box_sdk.BoxError);
+      assert.equal(err.status, 409);
+      assert.equal(err.code, 'item_name_in_use');
+      assert.equal(err.method, 'POST');
+      assert.equal(err.context_info.conflicts[0].name, 'conflict');
+      assert(err.request_id);
+      done();
+    });
+  });
+
+  it('should report failed preconditions with the request URL', function (done) {
+    var file = fake.createFile('typed.txt', folder.id, 'content');
+
+    connection.updateFile(file.id, {
+      name: 'renamed.txt'
+    }, function (err) {
+      assert(err instanceof box_sdk.BoxPreconditionFailedError);
+      assert.equal(err.status, 412);
+      assert.equal(err.url, fake.url + '/api/2.0/files/' + file.id);
+      done();
+    }, {
+      'If-Match': 'stale'
+    });
+  });
+
+  it('should report missing items', function (done) {
+    connection.getFolderInfo(999999, function (err) {
+      assert(err instanceof box_sdk.BoxNotFoundError);
+      assert.equal(err.status, 404);
+      done();
+    });
+  });
+
+  after(function (done) {
+    fake.close(done);
+  });
+});
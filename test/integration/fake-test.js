@@ -0,0 +1,175 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  fs = require('fs'),
+  rimraf = require('rimraf'),
+  utils = require('../helpers/utils'),
+  box_sdk = require('../..');
+
+describe('FakeServer', function () {
+  var fake, connection, folder;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server, conn) {
+      fake = server;
+      connection = conn;
+      done(err);
+    });
+  });
+
+  beforeEach(function () {
+    folder = fake.createFolder('test_nbsdk-' + utils.uuid(), 0);
+  });
+
+  it('should return an authenticated connection', function () {
+    assert(connection instanceof box_sdk.Connection);
+    assert(connection.isAuthenticated());
+  });
+
+  it('should create a folder', function (done) {
+    connection.createFolder('created', folder.id, function (err, result) {
+      assert.ifError(err);
+      assert.equal(result.type, 'folder');
+      assert.equal(result.parent.id, folder.id);
+      done();
+    });
+  });
+
+  it('should return download links', function (done) {
+    var file = fake.createFile('linked.txt', folder.id, 'content');
+
+    connection.getTempDownloadLink(file.id, function (err, link) {
+      assert.ifError(err);
+      assert.equal(link.indexOf(fake.url + '/download/'), 0);
+      done();
+    });
+  });
+
+  it('should upload a file', function (done) {
+    var dest = 'test/.tmp/testfile-' + utils.uuid();
+    fs.writeFileSync(dest, 'version 1');
+
+    connection.uploadFile(dest, folder.id, null, function (err, result) {
+      assert.ifError(err);
+      assert.equal(result.entries[0].size, 9);
+      assert.equal(result.entries[0].parent.id, folder.id);
+      done();
+    });
+  });
+
+  it('should upload a new version of a file', function (done) {
+    var file = fake.createFile('versioned.txt', folder.id, 'version 1'),
+      dest = 'test/.tmp/testfile-' + utils.uuid();
+    fs.writeFileSync(dest, 'version 2');
+
+    connection.uploadFileNewVersion(dest, file.id, null, function (err) {
+      assert.ifError(err);
+      connection.getFileVersions(file.id, function (err, result) {
+        assert.ifError(err);
+        assert.equal(result.total_count, 1);
+        done();
+      });
+    });
+  });
+
+  it('should list and page folder items', function (done) {
+    fake.createFolder('listed', folder.id);
+    fake.createFile('listed.txt', folder.id, 'content');
+
+    connection.getFolderItems(folder.id, {
+      limit: 1,
+      fields: 'name,size'
+    }, function (err, result) {
+      assert.ifError(err);
+      assert.equal(result.total_count, 2);
+      assert.equal(result.entries.length, 1);
+      assert.equal(result.entries[0].name, 'listed');
+      done();
+    });
+  });
+
+  it('should search items', function (done) {
+    var name = 'searched-' + utils.uuid();
+    fake.createFile(name + '.txt', folder.id, 'content');
+
+    connection.search(name, null, function (err, result) {
+      assert.ifError(err);
+      assert.equal(result.total_count, 1);
+      assert.equal(result.entries[0].name, name + '.txt');
+      done();
+    });
+  });
+
+  it('should return comments and tasks', function (done) {
+    var file = fake.createFile('commented.txt', folder.id, 'content');
+    fake.tree.addComment(file.id, 'A comment');
+    fake.tree.addTask(file.id, 'A task');
+
+    connection.getFileComments(file.id, function (err, result) {
+      assert.ifError(err);
+      assert.equal(result.entries[0].message, 'A comment');
+      connection.getFileTasks(file.id, function (err, result) {
+        assert.ifError(err);
+        assert.equal(result.entries[0].message, 'A task');
+        done();
+      });
+    });
+  });
+
+  it('should trash and restore a folder', function (done) {
+    connection.deleteFolder(folder.id, {
+      recursive: true
+    }, function (err) {
+      assert.ifError(err);
+      connection.getTrashedItems(null, function (err, result) {
+        assert.ifError(err);
+        assert(_.contains(_.pluck(result.entries, 'id'), folder.id));
+        connection.restoreTrashedFolder(folder.id, null, null, function (err, result) {
+          assert.ifError(err);
+          assert.equal(result.item_status, 'active');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should refresh expired tokens', function (done) {
+    var access_token = connection.access_token;
+    fake.expireTokens();
+    connection.getFolderInfo(folder.id, function (err, result) {
+      assert.ifError(err);
+      assert.equal(result.id, folder.id);
+      assert.notEqual(connection.access_token, access_token);
+      done();
+    });
+  });
+
+  it('should fix a stream position for long-polling', function (done) {
+    connection.once('polling.ready', function () {
+      connection.stopLongPolling();
+      done();
+    });
+    connection.startLongPolling();
+  });
+
+  it('should abort a long-poll when polling is stopped', function (done) {
+    connection.once('polling.end', function () {
+      done();
+    });
+    connection.startLongPolling();
+    //The realtime request is held open for longer than this test may take.
+    setTimeout(function () {
+      connection.stopLongPolling();
+    }, 200);
+  });
+
+  afterEach(function () {
+    connection.stopLongPolling();
+  });
+
+  after(function (done) {
+    rimraf.sync('test/.tmp');
+    fake.close(done);
+  });
+});
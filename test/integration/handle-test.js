@@ -0,0 +1,45 @@
+'use strict';
+
+var assert = require("assert"),
+  utils = require('../helpers/utils'),
+  box_sdk = require('../..');
+
+describe('RequestHandle', function () {
+  var fake, connection, folder;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server, conn) {
+      fake = server;
+      connection = conn;
+      done(err);
+    });
+  });
+
+  beforeEach(function () {
+    folder = fake.createFolder('handles-' + utils.uuid(), 0);
+  });
+
+  it('should cancel a request through the handle it returns', function (done) {
+    var handle = connection.getFolderInfo(folder.id, function (err) {
+      assert.equal(err.code, 'cancelled');
+      done();
+    });
+    assert(handle instanceof box_sdk.RequestHandle);
+    handle.cancel();
+  });
+
+  it('should reject a promise whose handle is cancelled', function (done) {
+    var promise = connection.getFolderInfo(folder.id);
+    promise.handle.cancel();
+    promise.then(function () {
+      done(new Error('Not cancelled'));
+    }, function (err) {
+      assert.equal(err.code, 'cancelled');
+      done();
+    });
+  });
+
+  after(function (done) {
+    fake.close(done);
+  });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  utils = require('../helpers/utils'),
+  box_sdk = require('../..');
+
+describe('Logging', function () {
+  var fake, folder, box, lines;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server) {
+      fake = server;
+      done(err);
+    });
+  });
+
+  beforeEach(function () {
+    folder = fake.createFolder('logged-' + utils.uuid(), 0);
+    lines = [];
+    box = box_sdk.Box({
+      client_id: fake.client_id,
+      client_secret: fake.client_secret,
+      port: 0,
+      api_url: fake.url + '/api/2.0',
+      upload_url: fake.url + '/upload/2.0',
+      oauth_url: fake.url + '/oauth2',
+      log_format: 'json'
+    }, 'debug', {
+      write: function (line) {
+        lines.push(line);
+      }
+    });
+  });
+
+  it('should redact credentials', function () {
+    assert.deepEqual(box_sdk.redact({
+      headers: {
+        Authorization: 'Bearer secret'
+      },
+      url: '/token?grant_type=refresh_token&refresh_token=secret'
+    }), {
+      headers: {
+        Authorization: '[REDACTED]'
+      },
+      url: '/token?grant_type=refresh_token&refresh_token=[REDACTED]'
+    });
+  });
+
+  it('should redact authorization codes, but not error codes', function () {
+    assert.deepEqual(box_sdk.redact({
+      form: {
+        grant_type: 'authorization_code',
+        code: 'secret'
+      },
+      url: '/authorize?code=secret&state=csrf',
+      error: {
+        code: 'item_name_in_use'
+      }
+    }), {
+      form: {
+        grant_type: 'authorization_code',
+        code: '[REDACTED]'
+      },
+      url: '/authorize?code=[REDACTED]&state=csrf',
+      error: {
+        code: 'item_name_in_use'
+      }
+    });
+    assert.equal(box_sdk.redact(new box_sdk.BoxConflictError('Conflict', {
+      code: 'item_name_in_use'
+    })).code, 'item_name_in_use');
+  });
+
+  it('should log redacted request records', function (done) {
+    var connection = box.getConnection('logger@example.com');
+    connection._setTokens(fake.issueTokens('logger@example.com'));
+
+    connection.getFolderInfo(folder.id, function (err) {
+      assert.ifError(err);
+      var record = _.find(_.map(lines, JSON.parse), {
+        path: '/api/2.0/folders/' + folder.id
+      });
+      assert.equal(record.level, 'debug');
+      assert.equal(record.method, 'GET');
+      assert.equal(record.status, 200);
+      assert.equal(record.retries, 0);
+      assert(_.isNumber(record.duration));
+      assert.equal(lines.join('').indexOf(connection.access_token), -1);
+      done();
+    });
+  });
+
+  afterEach(function (done) {
+    box.stopServer(done);
+  });
+
+  after(function (done) {
+    fake.close(done);
+  });
+});
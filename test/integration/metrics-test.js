@@ -0,0 +1,90 @@
+'use strict';
+
+var assert = require("assert"),
+  utils = require('../helpers/utils'),
+  box_sdk = require('../..');
+
+describe('PrometheusMetrics', function () {
+  var fake, connection, folder, metrics;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server, conn) {
+      fake = server;
+      connection = conn;
+      done(err);
+    });
+  });
+
+  beforeEach(function () {
+    folder = fake.createFolder('measured-' + utils.uuid(), 0);
+    metrics = box_sdk.PrometheusMetrics();
+    connection.metrics = metrics;
+  });
+
+  function contains(line) {
+    return metrics.render().indexOf(line + '\n') !== -1;
+  }
+
+  it('should report requests, retries and rate limit waits', function (done) {
+    fake.failRequests(1, 429);
+    connection.getFolderInfo(folder.id, function (err) {
+      assert.ifError(err);
+      assert(contains('# TYPE box_requests_total counter'));
+      assert(contains('box_requests_total{endpoint="/folders/:id",method="GET",status="429"} 1'));
+      assert(contains('box_requests_total{endpoint="/folders/:id",method="GET",status="200"} 1'));
+      assert(contains('box_request_retries_total{endpoint="/folders/:id",method="GET",reason="429"} 1'));
+      assert(contains('box_rate_limit_wait_seconds_count{endpoint="/folders/:id"} 1'));
+      assert(contains('box_request_duration_seconds_bucket{endpoint="/folders/:id",le="+Inf",method="GET"} 2'));
+      done();
+    }, null, {
+      retry: {
+        base_delay: 10
+      }
+    });
+  });
+
+  it('should label the queue gauges with an opaque connection label', function (done) {
+    connection.getFolderInfo(folder.id, function (err) {
+      assert.ifError(err);
+      assert(contains('box_queue_length{connection="' + connection.metrics_label + '"} 0'));
+      assert.equal(metrics.render().indexOf(connection.email), -1);
+      done();
+    });
+  });
+
+  it('should label request errors by code only', function () {
+    //Free-form messages do not become label values.
+    connection._recordRequest({
+      method: 'GET',
+      url: fake.url + '/api/2.0/folders/' + folder.id
+    }, 0, 5, new Error('Unexpected end of 10.0.0.1:443'));
+    assert(contains('box_request_errors_total{endpoint="/folders/:id",error="error",method="GET"} 1'));
+  });
+
+  it('should serve the metrics in the Prometheus text format', function (done) {
+    connection.getFolderInfo(folder.id, function (err) {
+      assert.ifError(err);
+      var text, res = {
+        writeHead: function (status, headers) {
+          assert.equal(status, 200);
+          assert.equal(headers['Content-Type'], 'text/plain; version=0.0.4');
+        },
+        end: function (body) {
+          text = body;
+        }
+      };
+      metrics.handler()(null, res);
+      assert.equal(text, metrics.render());
+      done();
+    });
+  });
+
+  afterEach(function () {
+    connection.metrics = null;
+    fake.resetFailures();
+  });
+
+  after(function (done) {
+    fake.close(done);
+  });
+});
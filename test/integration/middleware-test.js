@@ -0,0 +1,80 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  utils = require('../helpers/utils');
+
+describe('Middleware', function () {
+  var fake, connection, middleware, folder;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server, conn) {
+      fake = server;
+      connection = conn;
+      middleware = _.clone(connection.middleware);
+      done(err);
+    });
+  });
+
+  beforeEach(function () {
+    folder = fake.createFolder('middleware-' + utils.uuid(), 0);
+  });
+
+  it('should pass requests and responses through middleware', function (done) {
+    var seen = [];
+    connection.use(function (opts, next, callback) {
+      opts.headers['X-Correlation-Id'] = 'abc';
+      next(opts, function (err, res, body) {
+        seen.push(res.request.headers['X-Correlation-Id']);
+        callback(err, res, _.extend({
+          audited: true
+        }, body));
+      });
+    });
+
+    connection.getFolderInfo(folder.id, function (err, result) {
+      assert.ifError(err);
+      assert.equal(result.id, folder.id);
+      assert(result.audited);
+      assert.deepEqual(seen, ['abc']);
+      done();
+    });
+  });
+
+  it('should let middleware respond in place of a request', function (done) {
+    var responses = [];
+    connection.use(function (opts, next, callback) {
+      next(opts, function (err, res, body) {
+        responses.push(res);
+        callback(err, res, body);
+      });
+    }).use(function (opts, next, callback) {
+      if (/\/folders\/-1$/.test(opts.url)) {
+        return callback(null, {
+          statusCode: 200,
+          headers: {}
+        }, {
+          id: '-1'
+        });
+      }
+      next();
+    });
+
+    connection.getFolderInfo(-1, function (err, result) {
+      assert.ifError(err);
+      assert.equal(result.id, '-1');
+      //The outer middleware still sees the response, which no request was sent for.
+      assert.equal(responses.length, 1);
+      assert.equal(responses[0].request, undefined);
+      done();
+    });
+  });
+
+  afterEach(function () {
+    connection.middleware = _.clone(middleware);
+  });
+
+  after(function (done) {
+    fake.close(done);
+  });
+});
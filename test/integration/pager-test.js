@@ -0,0 +1,96 @@
+'use strict';
+
+var assert = require("assert"),
+  utils = require('../helpers/utils');
+
+describe('Pager', function () {
+  var fake, connection, paged, file, requests;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server, conn) {
+      if (err) {
+        return done(err);
+      }
+      fake = server;
+      connection = conn;
+      paged = fake.createFolder('paged', 0);
+      file = fake.createFile('commented.bin', paged.id, 'content');
+      for (var i = 0; i < 4; i++) {
+        fake.createFile('page-' + i, paged.id, 'content');
+        fake.tree.addComment(file.id, 'Comment ' + i);
+      }
+      connection.use(function (opts, next) {
+        requests++;
+        next();
+      });
+      done();
+    });
+  });
+
+  beforeEach(function () {
+    requests = 0;
+  });
+
+  it('should iterate over all pages', function (done) {
+    var names = [];
+    connection.iterateFolderItems(paged.id, {
+      limit: 2
+    }).each(function (item, next) {
+      names.push(item.name);
+      next();
+    }, function (err) {
+      assert.ifError(err);
+      assert.deepEqual(names, ['commented.bin', 'page-0', 'page-1', 'page-2', 'page-3']);
+      assert.equal(requests, 3);
+      done();
+    });
+  });
+
+  it('should fetch no further pages once stopped', function (done) {
+    connection.iterateFolderItems(paged.id, {
+      limit: 2
+    }).each(function (item, next) {
+      next(null, false);
+    }, function (err) {
+      assert.ifError(err);
+      assert.equal(requests, 1);
+      done();
+    });
+  });
+
+  it('should stream up to max_items items', function (done) {
+    var streamed = [];
+    connection.iterateFolderItems(paged.id, {
+      limit: 2,
+      max_items: 3,
+      fields: 'name,size'
+    }).stream().on('data', function (item) {
+      streamed.push(item);
+    }).on('end', function () {
+      assert.equal(streamed.length, 3);
+      assert.equal(streamed[2].size, 7);
+      done();
+    }).on('error', done);
+  });
+
+  it('should be an async iterator', function (done) {
+    var pager = connection.iterateFileComments(file.id, {
+      limit: 3
+    });
+    assert.equal(pager[global.Symbol.asyncIterator](), pager);
+    pager.next().then(function (result) {
+      assert.equal(result.value.message, 'Comment 0');
+      assert.equal(pager.total_count, 4);
+      return pager['return']();
+    }).then(function () {
+      return pager.next();
+    }).then(function (result) {
+      assert(result.done);
+      done();
+    }).catch(done);
+  });
+
+  after(function (done) {
+    fake.close(done);
+  });
+});
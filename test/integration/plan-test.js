@@ -0,0 +1,113 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  fs = require('fs'),
+  mkdirp = require('mkdirp'),
+  rimraf = require('rimraf'),
+  utils = require('../helpers/utils');
+
+describe('Dry runs', function () {
+  var dry_run = {
+      dry_run: true
+    },
+    fake, connection, planned, a, methods;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server, conn) {
+      if (err) {
+        return done(err);
+      }
+      fake = server;
+      connection = conn;
+      planned = fake.createFolder('planned', 0);
+      a = fake.createFile('a.txt', planned.id, 'a');
+      fake.createFile('b.txt', fake.createFolder('sub', planned.id).id, 'b');
+      connection.use(function (opts, next) {
+        methods.push(opts.method);
+        next();
+      });
+      done();
+    });
+  });
+
+  beforeEach(function () {
+    methods = [];
+  });
+
+  function assertUnchanged() {
+    assert.deepEqual(_.without(methods, 'GET'), []);
+    assert.equal(fake.tree.descendants(planned.id).length, 3);
+    assert.equal(fake.tree.get('file', a.id).name, 'a.txt');
+  }
+
+  it('should plan a recursive folder delete', function (done) {
+    connection.deleteFolder(planned.id, {
+      recursive: true
+    }, function (err, plan) {
+      assert.ifError(err);
+      assert(plan.dry_run);
+      assert.deepEqual(_.pluck(plan.actions, 'path'), ['/planned', '/planned/sub', '/planned/sub/b.txt',
+        '/planned/a.txt'
+      ]);
+      assert.deepEqual(_.uniq(_.pluck(plan.actions, 'action')), ['delete']);
+      assert.equal(plan.actions[3].id, a.id);
+      assert.equal(plan.actions[3].reason, 'inside deleted folder /planned');
+      assert.equal(plan.summary.split('\n')[0], '4 actions: 4 delete');
+      assertUnchanged();
+      done();
+    }, null, dry_run);
+  });
+
+  it('should plan a failure to delete a folder that is not empty', function (done) {
+    connection.deleteFolder(planned.id, null, function (err, plan) {
+      assert.ifError(err);
+      assert.deepEqual(_.pluck(plan.actions, 'action'), ['fail']);
+      assertUnchanged();
+      done();
+    }, null, dry_run);
+  });
+
+  it('should plan a folder copy', function (done) {
+    connection.copyFolder(planned.id, 0, 'copied', function (err, plan) {
+      assert.ifError(err);
+      assert.equal(plan.actions.length, 4);
+      assert.equal(plan.actions[0].reason, 'copied to folder 0 as copied');
+      assert.equal(plan.actions[1].reason, 'copied with /planned');
+      assertUnchanged();
+      done();
+    }, dry_run);
+  });
+
+  it('should plan a sync', function (done) {
+    var local = 'test/.tmp/dry-' + utils.uuid();
+    mkdirp.sync(local);
+    fs.writeFileSync(local + '/new.txt', 'new');
+
+    connection.syncDirectory(local, planned.id, null, function (err, plan) {
+      assert.ifError(err);
+      assert.deepEqual(_.map(plan.actions, function (action) {
+        return action.action + ' ' + action.relative_path;
+      }), ['download a.txt', 'upload new.txt', 'create_local_folder sub', 'download sub/b.txt']);
+      assert.equal(plan.actions[1].path, process.cwd() + '/' + local + '/new.txt');
+      assert.equal(plan.summary.split('\n')[2].indexOf('upload '), 0);
+      assert.deepEqual(fs.readdirSync(local), ['new.txt']);
+      assertUnchanged();
+      rimraf(local, done);
+    }, dry_run);
+  });
+
+  it('should refuse to send requests that change anything', function (done) {
+    connection.updateFile(a.id, {
+      name: 'renamed.txt'
+    }, function (err) {
+      assert(/^Dry run: PUT /.test(err.message));
+      assertUnchanged();
+      done();
+    }, null, dry_run);
+  });
+
+  after(function (done) {
+    fake.close(done);
+  });
+});
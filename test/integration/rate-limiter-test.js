@@ -0,0 +1,124 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  fs = require('fs'),
+  async = require('async'),
+  utils = require('../helpers/utils'),
+  box_sdk = require('../..');
+
+describe('RateLimiter', function () {
+  var fake, connection, concurrency, folder;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server, conn) {
+      fake = server;
+      connection = conn;
+      concurrency = connection.queue.concurrency;
+      done(err);
+    });
+  });
+
+  beforeEach(function () {
+    folder = fake.createFolder('limited-' + utils.uuid(), 0);
+  });
+
+  it('should limit the request rate', function (done) {
+    var started = Date.now();
+    connection.setRateLimit({
+      api: {
+        rate: 10,
+        burst: 1
+      }
+    });
+
+    async.times(3, function (n, next) {
+      connection.getFolderInfo(folder.id, next);
+    }, function (err) {
+      assert.ifError(err);
+      //Three requests with a burst of one, at ten per second.
+      assert(Date.now() - started >= 190);
+      done();
+    });
+  });
+
+  it('should not hold up requests for a request cancelled while waiting for its budget', function (done) {
+    var started = Date.now(),
+      handle = box_sdk.RequestHandle();
+    connection.setRateLimit({
+      api: {
+        rate: 10,
+        burst: 1
+      }
+    });
+
+    async.parallel([
+
+      function (next) {
+        connection.getFolderInfo(folder.id, next);
+      },
+      function (next) {
+        connection.getFolderInfo(folder.id, function (err) {
+          assert.equal(err.code, 'cancelled');
+          next();
+        }, null, {
+          handle: handle
+        });
+        setTimeout(_.bind(handle.cancel, handle), 50);
+      },
+      function (next) {
+        connection.getFolderInfo(folder.id, next);
+      }
+    ], function (err) {
+      assert.ifError(err);
+      //The cancelled request gave its turn to the last one.
+      var elapsed = Date.now() - started;
+      assert(elapsed >= 90);
+      assert(elapsed < 190);
+      done();
+    });
+  });
+
+  it('should not hold queue slots for requests waiting for their budget', function (done) {
+    var started = Date.now();
+    connection.setConcurrency(1);
+    connection.setRateLimit({
+      upload: {
+        rate: 2,
+        burst: 1
+      }
+    });
+
+    async.parallel([
+
+      function (next) {
+        async.each([1, 2], function (n, next) {
+          var dest = 'test/.tmp/testfile-' + utils.uuid();
+          fs.writeFileSync(dest, 'throttled ' + n);
+          connection.uploadFile(dest, folder.id, null, next);
+        }, next);
+      },
+      function (next) {
+        setTimeout(function () {
+          connection.getFolderInfo(folder.id, function (err) {
+            next(err, Date.now() - started);
+          });
+        }, 50);
+      }
+    ], function (err, elapsed) {
+      assert.ifError(err);
+      //The second upload waits for its budget until 500ms in.
+      assert(elapsed[1] < 400);
+      done();
+    });
+  });
+
+  afterEach(function () {
+    connection.setRateLimit(null);
+    connection.setConcurrency(concurrency);
+  });
+
+  after(function (done) {
+    fake.close(done);
+  });
+});
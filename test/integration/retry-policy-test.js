@@ -0,0 +1,135 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  fs = require('fs'),
+  utils = require('../helpers/utils'),
+  box_sdk = require('../..');
+
+describe('RetryPolicy', function () {
+  var createReadStream = fs.createReadStream,
+    config = {
+      retry: {
+        base_delay: 10
+      }
+    },
+    fake, connection, folder, retries, subscription;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server, conn) {
+      fake = server;
+      connection = conn;
+      done(err);
+    });
+  });
+
+  beforeEach(function () {
+    folder = fake.createFolder('retried-' + utils.uuid(), 0);
+    retries = [];
+    subscription = connection.on('request.retry', function (retry) {
+      retries.push(retry);
+    });
+  });
+
+  it('should retry server errors with backoff', function (done) {
+    fake.failRequests(2, 503);
+    connection.getFolderInfo(folder.id, function (err, result) {
+      assert.ifError(err);
+      assert.equal(result.id, folder.id);
+      assert.deepEqual(_.pluck(retries, 'status'), [503, 503]);
+      assert(retries[1].delay >= retries[0].delay);
+      done();
+    }, null, config);
+  });
+
+  it('should wait as long as Retry-After asks', function (done) {
+    fake.failRequests(1, 429, {
+      'Retry-After': '1'
+    });
+    connection.getFolderInfo(folder.id, function (err) {
+      assert.ifError(err);
+      assert.deepEqual(_.pluck(retries, 'status'), [429]);
+      assert(retries[0].delay >= 1000);
+      done();
+    }, null, config);
+  });
+
+  it('should not repeat a POST that may have reached Box', function (done) {
+    fake.failRequests(1, null);
+    connection.createFolder('not-retried', folder.id, function (err) {
+      assert.equal(err.code, 'ECONNRESET');
+      assert.equal(retries.length, 0);
+      done();
+    }, config);
+  });
+
+  it('should give up once max_retries are used', function (done) {
+    fake.failRequests(3, 503);
+    connection.getFolderInfo(folder.id, function (err) {
+      assert(err instanceof box_sdk.BoxError);
+      assert.equal(err.status, 503);
+      assert.equal(retries.length, 2);
+      done();
+    }, null, {
+      retry: {
+        base_delay: 10,
+        max_retries: 2
+      }
+    });
+  });
+
+  it('should give up when Retry-After would exceed the elapsed time limit', function (done) {
+    fake.failRequests(1, 429, {
+      'Retry-After': '10'
+    });
+    connection.getFolderInfo(folder.id, function (err) {
+      assert(err instanceof box_sdk.BoxRateLimitError);
+      assert.equal(err.retry_after, 10);
+      assert.equal(retries.length, 0);
+      done();
+    }, null, {
+      retry: {
+        max_elapsed: 5000
+      }
+    });
+  });
+
+  it('should close the body of a retried upload, and reopen the same range', function (done) {
+    var dest = 'test/.tmp/testfile-' + utils.uuid(),
+      streams = [];
+    fs.writeFileSync(dest, 'retried upload');
+    fs.createReadStream = function () {
+      var stream = createReadStream.apply(fs, arguments);
+      streams.push(stream);
+      return stream;
+    };
+
+    fake.failRequests(1, 429, {
+      'Retry-After': '0'
+    });
+    connection._request(['files', 'content'], 'POST', function (err) {
+      assert.ifError(err);
+      assert.equal(streams.length, 2);
+      assert(streams[0].destroyed);
+      assert.equal(streams[1].path, dest);
+      assert.equal(streams[1].start, 2);
+      assert.equal(streams[1].end, 5);
+      done();
+    }, null, {
+      parent_id: folder.id
+    }, fs.createReadStream(dest, {
+      start: 2,
+      end: 5
+    }));
+  });
+
+  afterEach(function () {
+    fs.createReadStream = createReadStream;
+    subscription.unsubscribe();
+    fake.resetFailures();
+  });
+
+  after(function (done) {
+    fake.close(done);
+  });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+var assert = require("assert"),
+  mkdirp = require('mkdirp'),
+  rimraf = require('rimraf'),
+  utils = require('../helpers/utils'),
+  box_sdk = require('../..');
+
+describe('TokenStore', function () {
+  var tokens = {
+    access_token: 'access',
+    refresh_token: 'refresh'
+  };
+
+  before(function () {
+    mkdirp.sync('test/.tmp');
+  });
+
+  [{
+    name: 'MemoryTokenStore',
+    create: function () {
+      return box_sdk.MemoryTokenStore();
+    }
+  }, {
+    name: 'FileTokenStore',
+    create: function () {
+      return box_sdk.FileTokenStore('test/.tmp/tokens-' + utils.uuid() + '.json');
+    }
+  }, {
+    name: 'NedbTokenStore',
+    create: function () {
+      return box_sdk.NedbTokenStore('test/.tmp/tokens-' + utils.uuid() + '.db');
+    }
+  }].forEach(function (type) {
+    describe(type.name, function () {
+      var store;
+
+      before(function () {
+        store = type.create();
+      });
+
+      it('should return null for an unknown email', function (done) {
+        store.get('nobody@example.com', function (err, result) {
+          assert.ifError(err);
+          assert.strictEqual(result, null);
+          done();
+        });
+      });
+
+      it('should save and retrieve tokens', function (done) {
+        store.set('somebody@example.com', tokens, function (err) {
+          assert.ifError(err);
+          store.get('somebody@example.com', function (err, result) {
+            assert.ifError(err);
+            assert.deepEqual(result, tokens);
+            done();
+          });
+        });
+      });
+
+      it('should delete tokens', function (done) {
+        store['delete']('somebody@example.com', function (err) {
+          assert.ifError(err);
+          store.get('somebody@example.com', function (err, result) {
+            assert.ifError(err);
+            assert.strictEqual(result, null);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('Box', function () {
+    var PORT = parseInt(process.env.ICT_PORT, 10) + 6,
+      box, store;
+
+    before(function (done) {
+      store = box_sdk.MemoryTokenStore();
+      store.set('somebody@example.com', tokens, done);
+    });
+
+    it('should rehydrate a connection from the store', function (done) {
+      box = box_sdk.Box({
+        client_id: 'client id',
+        client_secret: 'client secret',
+        port: PORT,
+        store: store
+      });
+
+      var connection = box.getConnection('somebody@example.com');
+      connection.ready(function () {
+        assert.equal(connection.access_token, tokens.access_token);
+        assert.equal(connection.refresh_token, tokens.refresh_token);
+        done();
+      });
+    });
+
+    it('should write new tokens back to the store', function (done) {
+      box.getConnection('somebody@example.com')._setTokens({
+        access_token: 'new access',
+        refresh_token: 'new refresh'
+      });
+
+      store.get('somebody@example.com', function (err, result) {
+        assert.ifError(err);
+        assert.equal(result.access_token, 'new access');
+        assert.equal(result.refresh_token, 'new refresh');
+        done();
+      });
+    });
+
+    after(function (done) {
+      box.stopServer(done);
+    });
+  });
+
+  after(function () {
+    rimraf.sync('test/.tmp');
+  });
+});
@@ -0,0 +1,266 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  crypto = require('crypto'),
+  fs = require('fs'),
+  mkdirp = require('mkdirp'),
+  rimraf = require('rimraf'),
+  utils = require('../helpers/utils'),
+  box_sdk = require('../..');
+
+describe('DirectorySync', function () {
+  var fake, connection, middleware, local, synced, remote_file, rsub, r_file, sync;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server, conn) {
+      fake = server;
+      connection = conn;
+      middleware = _.clone(connection.middleware);
+      done(err);
+    });
+  });
+
+  beforeEach(function (done) {
+    local = 'test/.tmp/sync-' + utils.uuid();
+    synced = fake.createFolder('synced-' + utils.uuid(), 0);
+    remote_file = fake.createFile('remote.txt', synced.id, 'remote');
+    rsub = fake.createFolder('rsub', synced.id);
+    r_file = fake.createFile('r.txt', rsub.id, 'r');
+    mkdirp.sync(local + '/sub');
+    mkdirp.sync(local + '/.git');
+    fs.writeFileSync(local + '/local.txt', 'local');
+    fs.writeFileSync(local + '/sub/inner.txt', 'inner');
+    fs.writeFileSync(local + '/.git/config', 'ignored');
+    sync = connection.createDirectorySync(local, synced.id, {
+      state: local + '/.sync.db',
+      exclude: '**/.git'
+    });
+    //Wait for the state to load before anything can remove its file.
+    sync.state.count({}, function (err) {
+      done(err);
+    });
+  });
+
+  function run(callback) {
+    sync.run(function (err, report) {
+      callback(err, _.map(report && report.actions, function (action) {
+        return action.action + ' ' + action.relative_path;
+      }), report);
+    });
+  }
+
+  function remoteNames(id) {
+    return _.pluck(fake.tree.children(id), 'name');
+  }
+
+  function remoteFile(name) {
+    return _.find(fake.tree.children(synced.id), {
+      name: name
+    });
+  }
+
+  it('should reject an unknown direction', function () {
+    assert.throws(function () {
+      connection.createDirectorySync(local, synced.id, {
+        direction: 'sideways'
+      });
+    }, RangeError);
+  });
+
+  it('should create, upload and download what is missing on either side', function (done) {
+    run(function (err, actions, report) {
+      assert.ifError(err);
+      assert.equal(report.errors, 0);
+      assert.deepEqual(actions, ['upload local.txt', 'download remote.txt', 'create_local_folder rsub',
+        'download rsub/r.txt', 'create_remote_folder sub', 'upload sub/inner.txt'
+      ]);
+      assert.equal(fs.readFileSync(local + '/rsub/r.txt', 'utf8'), 'r');
+      assert.deepEqual(remoteNames(synced.id), ['rsub', 'sub', 'local.txt', 'remote.txt']);
+      done();
+    });
+  });
+
+  describe('once synced', function () {
+    beforeEach(function (done) {
+      run(done);
+    });
+
+    it('should do nothing when nothing changed', function (done) {
+      run(function (err, actions) {
+        assert.ifError(err);
+        assert.deepEqual(actions, []);
+        done();
+      });
+    });
+
+    it('should sync changes and deletions on both sides', function (done) {
+      fs.writeFileSync(local + '/local.txt', 'local 2');
+      fs.unlinkSync(local + '/sub/inner.txt');
+      fake.tree.uploadVersion(remote_file.id, 'remote 2');
+      fake.tree.trash('file', r_file.id);
+      run(function (err, actions, report) {
+        assert.ifError(err);
+        assert.equal(report.errors, 0);
+        assert.deepEqual(actions, ['upload_version local.txt', 'download remote.txt', 'delete_local rsub/r.txt',
+          'delete_remote sub/inner.txt'
+        ]);
+        assert.equal(fs.readFileSync(local + '/remote.txt', 'utf8'), 'remote 2');
+        assert(!fs.existsSync(local + '/rsub/r.txt'));
+        assert.deepEqual(remoteNames(rsub.id), []);
+        done();
+      });
+    });
+
+    it('should keep both copies of a file changed on both sides', function (done) {
+      fs.writeFileSync(local + '/local.txt', 'mine');
+      fake.tree.uploadVersion(remoteFile('local.txt').id, 'theirs');
+      run(function (err, actions) {
+        assert.ifError(err);
+        assert.deepEqual(actions, ['keep_both local.txt']);
+        var copy = _.find(fs.readdirSync(local), function (name) {
+          return (/^local \(conflicted copy .*\)\.txt$/).test(name);
+        });
+        assert.equal(fs.readFileSync(local + '/local.txt', 'utf8'), 'theirs');
+        assert.equal(fs.readFileSync(local + '/' + copy, 'utf8'), 'mine');
+        assert(_.contains(remoteNames(synced.id), copy));
+        run(function (err, actions) {
+          assert.deepEqual(actions, []);
+          done(err);
+        });
+      });
+    });
+
+    it('should sync the folders of long-polling events', function (done) {
+      var file = fake.createFile('new.txt', rsub.id, 'new');
+      sync.watch(function (err, report) {
+        sync.unwatch();
+        assert.ifError(err);
+        assert.deepEqual(_.pluck(report.actions, 'relative_path'), ['rsub/new.txt']);
+        assert.equal(fs.readFileSync(local + '/rsub/new.txt', 'utf8'), 'new');
+        done();
+      });
+      connection.emit('polling.event.item.upload', {
+        source: {
+          type: 'file',
+          id: file.id,
+          parent: {
+            type: 'folder',
+            id: rsub.id
+          }
+        }
+      });
+    });
+
+    it('should report a failed transfer, and retry it on the next run', function (done) {
+      fake.tree.uploadVersion(remote_file.id, 'remote 2');
+      connection.use(function (opts, next, callback) {
+        if (/\/files\/\d+\/content$/.test(opts.url)) {
+          return callback(new Error('Connection reset'));
+        }
+        next();
+      });
+      run(function (err, actions, report) {
+        connection.middleware = _.clone(middleware);
+        assert.ifError(err);
+        assert.deepEqual(actions, ['download remote.txt']);
+        assert.equal(report.errors, 1);
+        assert.equal(report.actions[0].error.message, 'Connection reset');
+        assert.equal(fs.readFileSync(local + '/remote.txt', 'utf8'), 'remote');
+        assert(!fs.existsSync(local + '/remote.txt.box-sync-part'));
+        run(function (err, actions, report) {
+          assert.deepEqual(actions, ['download remote.txt']);
+          assert.equal(report.errors, 0);
+          done(err);
+        });
+      });
+    });
+
+    it('should leave the local copy in place when keeping both fails to upload it', function (done) {
+      fs.writeFileSync(local + '/local.txt', 'mine');
+      fake.tree.uploadVersion(remoteFile('local.txt').id, 'theirs');
+      connection.use(function (opts, next, callback) {
+        if (/\/files\/content$/.test(opts.url)) {
+          return callback(new Error('Connection reset'));
+        }
+        next();
+      });
+      run(function (err, actions, report) {
+        connection.middleware = _.clone(middleware);
+        assert.ifError(err);
+        assert.deepEqual(actions, ['keep_both local.txt']);
+        assert.equal(report.actions[0].error.message, 'Connection reset');
+        assert.equal(fs.readFileSync(local + '/local.txt', 'utf8'), 'mine');
+        assert.deepEqual(_.filter(fs.readdirSync(local), function (name) {
+          return (/conflicted copy/).test(name);
+        }), []);
+        done();
+      });
+    });
+
+    it('should not upload over a file changed on Box since it was listed', function (done) {
+      var file = remoteFile('local.txt');
+      fs.writeFileSync(local + '/local.txt', 'local 2');
+      connection.use(function (opts, next) {
+        if (opts.method === 'POST' && opts.url.indexOf('/files/' + file.id + '/content') !== -1) {
+          fake.tree.uploadVersion(file.id, 'theirs');
+        }
+        next();
+      });
+      run(function (err, actions, report) {
+        connection.middleware = _.clone(middleware);
+        assert.ifError(err);
+        assert.deepEqual(actions, ['upload_version local.txt']);
+        assert.equal(report.errors, 1);
+        assert(report.actions[0].error instanceof box_sdk.BoxPreconditionFailedError);
+        assert.equal(fake.tree.mini(file).sha1, crypto.createHash('sha1').update('theirs').digest('hex'));
+        run(function (err, actions) {
+          assert.deepEqual(actions, ['keep_both local.txt']);
+          done(err);
+        });
+      });
+    });
+
+    it('should not delete a file changed on Box since it was listed', function (done) {
+      var file = remoteFile('local.txt');
+      fs.unlinkSync(local + '/local.txt');
+      connection.use(function (opts, next) {
+        if (opts.method === 'DELETE') {
+          fake.tree.uploadVersion(file.id, 'theirs');
+        }
+        next();
+      });
+      run(function (err, actions, report) {
+        connection.middleware = _.clone(middleware);
+        assert.ifError(err);
+        assert.deepEqual(actions, ['delete_remote local.txt']);
+        assert.equal(report.errors, 1);
+        assert(report.actions[0].error instanceof box_sdk.BoxPreconditionFailedError);
+        assert(_.contains(remoteNames(synced.id), 'local.txt'));
+        done();
+      });
+    });
+
+    it('should fail to delete a local folder that is not empty', function (done) {
+      fs.writeFileSync(local + '/rsub/.git', 'excluded');
+      fake.tree.trash('folder', rsub.id, true);
+      run(function (err, actions, report) {
+        assert.ifError(err);
+        assert.deepEqual(actions, ['delete_local_folder rsub', 'delete_local rsub/r.txt']);
+        assert.equal(report.errors, 1);
+        assert.equal(report.actions[0].error.code, 'ENOTEMPTY');
+        assert(fs.existsSync(local + '/rsub/.git'));
+        done();
+      });
+    });
+  });
+
+  afterEach(function (done) {
+    connection.middleware = _.clone(middleware);
+    rimraf(local, done);
+  });
+
+  after(function (done) {
+    fake.close(done);
+  });
+});
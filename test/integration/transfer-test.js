@@ -0,0 +1,108 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  fs = require('fs'),
+  crypto = require('crypto'),
+  async = require('async'),
+  utils = require('../helpers/utils'),
+  box_sdk = require('../..');
+
+describe('Transfer', function () {
+  var fake, connection, folder, content, dest, subscription;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server, conn) {
+      fake = server;
+      connection = conn;
+      done(err);
+    });
+  });
+
+  beforeEach(function () {
+    folder = fake.createFolder('transfers-' + utils.uuid(), 0);
+    content = crypto.randomBytes(256 * 1024);
+    dest = 'test/.tmp/testfile-' + utils.uuid();
+    subscription = null;
+  });
+
+  it('should publish upload progress on the transfer', function (done) {
+    var uploads = [];
+    fs.writeFileSync(dest, content);
+
+    connection.uploadFile(dest, folder.id, null, function (err) {
+      assert.ifError(err);
+      assert.equal(_.last(uploads).direction, 'upload');
+      assert.equal(_.last(uploads).transferred, _.last(uploads).total);
+      //The multipart body is larger than the file.
+      assert(_.last(uploads).total > content.length);
+      done();
+    }).on('progress', function (progress) {
+      uploads.push(progress);
+    });
+  });
+
+  it('should publish download progress on the transfer and the connection', function (done) {
+    var file = fake.createFile('progress.bin', folder.id, content),
+      downloads = [],
+      published = [],
+      promise;
+    subscription = connection.on('transfer.progress', function (progress) {
+      published.push(progress);
+    });
+
+    promise = connection.getFile(file.id, null, dest, null, {
+      progress: true
+    });
+    assert(promise.handle instanceof box_sdk.Transfer);
+    promise.handle.on('progress', function (progress) {
+      downloads.push(progress);
+    });
+    promise.then(function () {
+      assert.equal(_.last(downloads).transferred, content.length);
+      assert.equal(_.last(downloads).total, content.length);
+      assert.equal(_.last(downloads).direction, 'download');
+      assert.deepEqual(published, downloads);
+      done();
+    }).catch(done);
+  });
+
+  it('should not keep transfers registered on a reused handle', function (done) {
+    var handle = box_sdk.RequestHandle(),
+      file = fake.createFile('handled.txt', folder.id, 'content');
+
+    async.timesSeries(3, function (n, next) {
+      connection.getFile(file.id, null, dest, next, {
+        handle: handle
+      });
+    }, function (err) {
+      assert.ifError(err);
+      assert.deepEqual(handle.cancellers, []);
+      done();
+    });
+  });
+
+  it('should cancel a transfer along with its handle', function (done) {
+    var handle = box_sdk.RequestHandle(),
+      file = fake.createFile('cancelled.txt', folder.id, 'content');
+
+    connection.getFile(file.id, null, dest, function (err) {
+      assert.equal(err.code, 'cancelled');
+      assert.deepEqual(handle.cancellers, []);
+      done();
+    }, {
+      handle: handle
+    });
+    handle.cancel();
+  });
+
+  afterEach(function () {
+    if (subscription) {
+      subscription.unsubscribe();
+    }
+  });
+
+  after(function (done) {
+    fake.close(done);
+  });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+var assert = require("assert"),
+  _ = require('lodash'),
+  utils = require('../helpers/utils');
+
+describe('Walker', function () {
+  var fake, connection, walked, requests;
+
+  before(function (done) {
+    utils.prepFakeServer(function (err, server, conn) {
+      if (err) {
+        return done(err);
+      }
+      fake = server;
+      connection = conn;
+
+      var a, skip;
+      walked = fake.createFolder('walked', 0);
+      a = fake.createFolder('a', walked.id);
+      skip = fake.createFolder('skip', walked.id);
+      fake.createFile('a1.txt', a.id, 'content');
+      fake.createFile('d.pdf', fake.createFolder('deep', a.id).id, 'content');
+      fake.createFile('b.pdf', walked.id, 'content');
+      fake.createFile('s.txt', skip.id, 'content');
+      connection.use(function (opts, next) {
+        requests++;
+        next();
+      });
+      done();
+    });
+  });
+
+  beforeEach(function () {
+    requests = 0;
+  });
+
+  function walk(opts, callback) {
+    var entries = [];
+    connection.walkFolder(walked.id, opts).each(function (entry, next) {
+      entries.push(entry);
+      next();
+    }, function (err) {
+      callback(err, entries);
+    });
+  }
+
+  it('should walk a folder tree breadth first', function (done) {
+    walk(null, function (err, entries) {
+      assert.ifError(err);
+      assert.deepEqual(_.pluck(entries, 'relative_path'), ['a', 'skip', 'b.pdf', 'a/deep', 'a/a1.txt',
+        'skip/s.txt', 'a/deep/d.pdf'
+      ]);
+      assert.equal(entries[6].path, '/walked/a/deep/d.pdf');
+      assert.equal(entries[6].depth, 3);
+      done();
+    });
+  });
+
+  it('should walk a folder tree depth first', function (done) {
+    walk({
+      order: 'depth',
+      concurrency: 1
+    }, function (err, entries) {
+      assert.ifError(err);
+      assert.deepEqual(_.pluck(entries, 'relative_path'), ['a', 'a/deep', 'a/deep/d.pdf', 'a/a1.txt', 'skip',
+        'skip/s.txt', 'b.pdf'
+      ]);
+      done();
+    });
+  });
+
+  it('should not list excluded folders', function (done) {
+    walk({
+      include: '**/*.PDF',
+      exclude: 'skip',
+      fields: 'size'
+    }, function (err, entries) {
+      assert.ifError(err);
+      assert.deepEqual(_.pluck(entries, 'path'), ['/walked/b.pdf', '/walked/a/deep/d.pdf']);
+      assert.equal(entries[0].item.size, 7);
+      //The folder's info, and its own, a's and deep's items: skip is not listed.
+      assert.equal(requests, 4);
+      done();
+    });
+  });
+
+  it('should stop at max_depth', function (done) {
+    walk({
+      max_depth: 1
+    }, function (err, entries) {
+      assert.ifError(err);
+      assert.deepEqual(_.pluck(entries, 'relative_path'), ['a', 'skip', 'b.pdf']);
+      done();
+    });
+  });
+
+  it('should stop listing after max_items', function (done) {
+    walk({
+      max_items: 1,
+      concurrency: 1
+    }, function (err, entries) {
+      assert.ifError(err);
+      assert.equal(entries.length, 1);
+      assert.equal(requests, 2);
+      done();
+    });
+  });
+
+  after(function (done) {
+    fake.close(done);
+  });
+});